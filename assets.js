@@ -0,0 +1,439 @@
+// Asset manager
+// Shows where every fixture's model came from (or why it didn't load) and lets
+// a user import GLB/GLTF files by dropping them on the page. An imported file
+// stands in for assets/<file name>: it can be assigned to a fixture slot (it
+// becomes that slot's first candidate) or added as a new fixture. A .gltf with
+// separate .bin or texture files needs them dropped along with it. Placing one
+// starts from the units and orientation orientation.js proposes, previewed in
+// the room until confirmed.
+import * as THREE from 'three';
+import { getLoader, registerAsset, isImportedAsset } from './fixtures.js';
+import { disposeScene } from './compare.js';
+import { wallNames } from './room.js';
+import { UP_AXES } from './layout.js';
+import { UNITS, proposeOrientation, yawFor, axesFor, orientedSize, frontChoices } from './orientation.js';
+
+export const ASSET_DIR = 'assets/';
+const MODEL_FILE = /\.(glb|gltf)$/i;
+
+// How a new imported fixture hangs, by mount: standing on the floor, hung on
+// the wall with its bottom at a chosen height, or hanging from the ceiling
+const IMPORT_MOUNTS = {
+    floor: { label: 'Floor', align: 'bottom', gap: 0.25 },
+    wall: { label: 'Wall', align: 'bottom', gap: 0.25, y: 36 },
+    ceiling: { label: 'Ceiling', align: 'top', gap: 24 }
+};
+
+// Source size, mesh and triangle counts and the materials of a loaded model
+export function describeModel(model) {
+    model.updateMatrixWorld(true);
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    const materials = new Map();
+    let meshes = 0;
+    let triangles = 0;
+    model.traverse((o) => {
+        if (!o.isMesh) return;
+        meshes++;
+        const { index, attributes } = o.geometry;
+        triangles += (index ? index.count : attributes.position.count) / 3;
+        (Array.isArray(o.material) ? o.material : [o.material]).forEach((m) => {
+            if (!m || materials.has(m.uuid)) return;
+            const maps = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap'].filter((key) => m[key]);
+            materials.set(m.uuid, {
+                name: m.name || '(unnamed)',
+                type: m.type,
+                color: m.color ? `#${m.color.getHexString()}` : null,
+                maps
+            });
+        });
+    });
+    return { size, meshes, triangles: Math.round(triangles), materials: [...materials.values()] };
+}
+
+// Load a model by path; resolves { model, info } with the model untouched, in
+// its source units and orientation
+export async function loadAsset(path, renderer) {
+    const gltf = await getLoader(renderer).loadAsync(path);
+    const model = gltf.scene || gltf.scenes[0];
+    return { model, info: describeModel(model) };
+}
+
+// Orientation fields of a fixture spec: { up, rotationY, axes }
+export function orientationFields({ up, front }) {
+    return { up, rotationY: yawFor(up, front), axes: axesFor(up, front) };
+}
+
+// Fixture spec for an imported model on `wall`, `size` inches
+// (width/height/depth) once oriented by `up` and `front`, mounted on the floor,
+// the wall (bottom `y` inches up) or the ceiling
+export function importedFixtureSpec(path, { id, label, wall = 'back', size, up, front, mount = 'floor', y = IMPORT_MOUNTS.wall.y }) {
+    const { align, gap } = IMPORT_MOUNTS[mount];
+    const target = {
+        width: +size.width.toFixed(2),
+        height: +size.height.toFixed(2),
+        depth: +size.depth.toFixed(2)
+    };
+    return {
+        id,
+        type: 'custom',
+        label,
+        candidates: [path],
+        scaleMode: 'uniformByHeight',
+        target,
+        ...orientationFields({ up, front }),
+        wall,
+        mount,
+        align,
+        offset: { along: 0, y: mount === 'wall' ? y : 0 },
+        gap,
+        fallback: { ...target }
+    };
+}
+
+function uniqueId(base, taken) {
+    const stem = base.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))
+        .replace(/^[^a-zA-Z]+/, '') || 'custom';
+    const id = stem[0].toLowerCase() + stem.slice(1);
+    let candidate = id;
+    for (let n = 2; taken.has(candidate); n++) candidate = `${id}${n}`;
+    return candidate;
+}
+
+function formatSize(size) {
+    return `${size.x.toFixed(3)} × ${size.y.toFixed(3)} × ${size.z.toFixed(3)}`;
+}
+
+// Create the asset panel.
+//   panel              element to render into
+//   renderer           passed to the shared loader
+//   getLayout()        layout being edited
+//   onAssign(spec, path, orientation)  make `path` the slot's first candidate,
+//                      with orientation { up, rotationY, axes }, and reload it
+//   onAdd(spec)        add a new fixture spec to the layout
+//   onPreview(spec, model)  show `model` placed as `spec`; (null) hides it
+export function createAssetPanel({ panel, renderer, getLayout, onAssign, onAdd, onPreview = () => {} }) {
+    const statuses = new Map(); // fixture id -> { state, source, failures, error }
+    const imports = []; // [{ path, name, model, info, error }]
+    // Placement being set up: { entry, slotId (null for a new fixture), wall,
+    // mount, y, units, up, front, height, proposal }
+    let placing = null;
+    let message = '';
+
+    function button(text, onClick) {
+        const b = document.createElement('button');
+        b.textContent = text;
+        b.addEventListener('click', onClick);
+        return b;
+    }
+
+    function notify(text) {
+        message = text;
+        render();
+    }
+
+    // Register dropped or picked files and describe the models among them
+    function importFiles(files) {
+        const list = [...files];
+        list.forEach((file) => registerAsset(ASSET_DIR + file.name, URL.createObjectURL(file)));
+        const models = list.filter((file) => MODEL_FILE.test(file.name));
+        if (!models.length) {
+            notify(list.length ? `No .glb or .gltf among ${list.map((f) => f.name).join(', ')}` : '');
+            return Promise.resolve([]);
+        }
+        const reads = models.map((file) => {
+            const path = ASSET_DIR + file.name;
+            let entry = imports.find((e) => e.path === path);
+            if (!entry) {
+                entry = { path, name: file.name, model: null, info: null, error: null };
+                imports.push(entry);
+            }
+            if (placing?.entry === entry) cancelPlacing();
+            if (entry.model) disposeScene(entry.model);
+            entry.model = null;
+            entry.info = null;
+            entry.error = null;
+            return loadAsset(path, renderer)
+                .then(({ model, info }) => {
+                    entry.model = model;
+                    entry.info = info;
+                })
+                .catch((e) => {
+                    entry.error = e.message || 'could not be read';
+                    console.warn(`${file.name}: ${entry.error}`);
+                });
+        });
+        render();
+        return Promise.all(reads).then(() => {
+            notify(`Imported ${models.map((f) => f.name).join(', ')}`);
+            return imports;
+        });
+    }
+
+    function setStatus(id, status) {
+        statuses.set(id, status);
+        render();
+    }
+
+    function statusText(spec) {
+        const status = statuses.get(spec.id);
+        if (!status) return 'not loaded';
+        switch (status.state) {
+            case 'loading': return 'loading…';
+            case 'failed': return `failed: ${status.error}`;
+            default: {
+                const from = status.source === 'procedural' ? 'built procedurally'
+                    : status.source === 'fallback' ? 'placeholder box' : status.source;
+                return `${from}${isImportedAsset(status.source) ? ' (imported)' : ''}`;
+            }
+        }
+    }
+
+    function slotItem(spec) {
+        const status = statuses.get(spec.id);
+        const li = document.createElement('li');
+        // A slot whose candidates all failed is flagged even when a stand-in loaded
+        const missed = status?.failures?.length && status.failures.length === spec.candidates.length;
+        li.className = status?.state === 'failed' || missed ? 'fail' : status?.state === 'loaded' ? 'pass' : '';
+        li.textContent = `${spec.label}: ${statusText(spec)}`;
+        if (status?.failures?.length) {
+            const failures = document.createElement('ul');
+            status.failures.forEach(({ path, message: why }) => {
+                const item = document.createElement('li');
+                item.textContent = `${path} — ${why}`;
+                failures.appendChild(item);
+            });
+            li.appendChild(failures);
+        }
+        return li;
+    }
+
+    // Spec the placement being set up would produce
+    function placementSpec() {
+        const layout = getLayout();
+        const { entry, slotId, wall, mount, y, up, front, height } = placing;
+        const slot = layout.fixtures.find((f) => f.id === slotId);
+        if (slot) return { ...slot, ...orientationFields(placing) };
+        const size = orientedSize(entry.info.size, placing);
+        const k = height / (size.height || 1);
+        const id = uniqueId(entry.name, new Set(layout.fixtures.map((f) => f.id)));
+        return importedFixtureSpec(entry.path, {
+            id,
+            label: entry.name.replace(/\.[^.]+$/, ''),
+            wall,
+            size: { width: size.width * k, height, depth: size.depth * k },
+            up,
+            front,
+            mount,
+            y
+        });
+    }
+
+    // Units or up axis changes reset the height to the model's own in those terms
+    function updatePlacing(change) {
+        Object.assign(placing, change);
+        if (!frontChoices(placing.up).includes(placing.front)) placing.front = frontChoices(placing.up)[0];
+        if (('units' in change || 'up' in change) && !('height' in change)) {
+            placing.height = +orientedSize(placing.entry.info.size, placing).height.toFixed(2);
+        }
+        onPreview(placementSpec(), placing.entry.model);
+        render();
+    }
+
+    // Propose units and orientation for a model going into a slot (or a new
+    // fixture on `wall`) and preview it
+    function startPlacing(entry, slotId, wall) {
+        const slot = getLayout().fixtures.find((f) => f.id === slotId);
+        const proposal = proposeOrientation(entry.model, slot ? { target: slot.target, type: slot.type, mount: slot.mount } : {});
+        placing = { entry, slotId: slot ? slot.id : null, wall, mount: 'floor', y: IMPORT_MOUNTS.wall.y, proposal };
+        const { units, up, front } = proposal;
+        updatePlacing({ units, up, front });
+    }
+
+    function cancelPlacing() {
+        placing = null;
+        onPreview(null);
+        render();
+    }
+
+    function confirmPlacing() {
+        const spec = placementSpec();
+        const { entry, slotId } = placing;
+        placing = null;
+        onPreview(null);
+        if (slotId) {
+            const slot = getLayout().fixtures.find((f) => f.id === slotId);
+            onAssign(slot, entry.path, { up: spec.up, rotationY: spec.rotationY, axes: spec.axes });
+            notify(`${entry.name} assigned to ${slot.label}`);
+        } else {
+            onAdd(spec);
+            notify(`Added ${entry.name} as "${spec.id}"`);
+        }
+    }
+
+    function select(options, value, onChange) {
+        const menu = document.createElement('select');
+        options.forEach(([id, text]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = text;
+            option.selected = id === value;
+            menu.appendChild(option);
+        });
+        menu.addEventListener('change', () => onChange(menu.value));
+        return menu;
+    }
+
+    function labelled(text, control) {
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+        const label = document.createElement('span');
+        label.textContent = text;
+        row.append(label, control);
+        return row;
+    }
+
+    // Units, up axis, front and height for the placement, with what was
+    // detected; a new fixture also gets its mount
+    function placingForm() {
+        const { proposal, units, up, front, height, slotId, mount, y } = placing;
+        const detected = (id, text, guess) => [id, id === guess ? `${text} (detected)` : text];
+        const form = document.createElement('div');
+        const unitMenu = select(Object.entries(UNITS).map(([id, u]) => detected(id, u.label, proposal.units)), units,
+            (value) => updatePlacing({ units: value }));
+        const upMenu = select(UP_AXES.map((id) => detected(id, id, proposal.up)), up, (value) => updatePlacing({ up: value }));
+        const frontMenu = select(frontChoices(up).map((id) => detected(id, id, proposal.front)), front, (value) => updatePlacing({ front: value }));
+        form.append(labelled('Units', unitMenu), labelled('Up axis', upMenu), labelled('Front faces', frontMenu));
+
+        const size = orientedSize(placing.entry.info.size, placing);
+        const note = document.createElement('div');
+        if (slotId) {
+            const slot = getLayout().fixtures.find((f) => f.id === slotId);
+            note.textContent = `Model is ${size.width.toFixed(1)}" W × ${size.height.toFixed(1)}" H × ${size.depth.toFixed(1)}" D `
+                + `in ${UNITS[units].label}; scaled to fit ${slot.label}`;
+            form.appendChild(note);
+        } else {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 1;
+            input.step = 0.25;
+            input.value = height;
+            input.title = 'Height (inches)';
+            input.addEventListener('change', () => {
+                const value = Number(input.value);
+                if (value > 0) updatePlacing({ height: value });
+            });
+            form.appendChild(labelled('Height (in)', input));
+            const mountMenu = select(Object.entries(IMPORT_MOUNTS).map(([id, m]) => [id, m.label]), mount,
+                (value) => updatePlacing({ mount: value }));
+            form.appendChild(labelled('Mount', mountMenu));
+            if (mount === 'wall') {
+                const bottom = document.createElement('input');
+                bottom.type = 'number';
+                bottom.min = 0;
+                bottom.step = 0.25;
+                bottom.value = y;
+                bottom.title = 'Height of the bottom above the floor (inches)';
+                bottom.addEventListener('change', () => {
+                    const value = Number(bottom.value);
+                    if (bottom.value !== '' && value >= 0) updatePlacing({ y: value });
+                });
+                form.appendChild(labelled('Bottom at (in)', bottom));
+            }
+            const k = height / (size.height || 1);
+            note.textContent = `${(size.width * k).toFixed(1)}" W × ${height}" H × ${(size.depth * k).toFixed(1)}" D`;
+            form.appendChild(note);
+        }
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-row';
+        buttons.append(button('Place', confirmPlacing), button('Cancel', cancelPlacing));
+        form.appendChild(buttons);
+        return form;
+    }
+
+    function importItem(entry, layout) {
+        const li = document.createElement('li');
+        const title = document.createElement('div');
+        title.textContent = entry.name;
+        li.appendChild(title);
+        if (entry.error || !entry.info) {
+            const note = document.createElement('div');
+            note.className = entry.error ? 'fail' : '';
+            note.textContent = entry.error || 'reading…';
+            li.appendChild(note);
+            return li;
+        }
+        const { info } = entry;
+        const details = document.createElement('div');
+        details.textContent = `Source size (X×Y×Z): ${formatSize(info.size)} model units; `
+            + `${info.meshes} mesh${info.meshes === 1 ? '' : 'es'}, ${info.triangles} triangles`;
+        const materials = document.createElement('ul');
+        info.materials.forEach((m) => {
+            const item = document.createElement('li');
+            item.textContent = `${m.name} (${m.type.replace(/^Mesh|Material$/g, '')}${m.color ? `, ${m.color}` : ''}`
+                + `${m.maps.length ? `, ${m.maps.join(', ')}` : ''})`;
+            materials.appendChild(item);
+        });
+
+        li.append(details, materials);
+        if (placing?.entry === entry) {
+            li.appendChild(placingForm());
+            return li;
+        }
+
+        // Into an existing slot, or as a new fixture on a wall
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+        const slot = select([...layout.fixtures.map((spec) => [spec.id, spec.label]), ['', 'New fixture']], '', () => {
+            wall.disabled = !!slot.value;
+        });
+        const wall = select(wallNames(layout.room).map((name) => [name, `${name} wall`]), wallNames(layout.room)[0], () => {});
+        row.append(slot, wall, button('Place…', () => startPlacing(entry, slot.value || null, wall.value)));
+        li.appendChild(row);
+        return li;
+    }
+
+    function render() {
+        if (!panel || panel.hidden) return;
+        const layout = getLayout();
+        panel.replaceChildren();
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Fixture models';
+        const slots = document.createElement('ul');
+        (layout?.fixtures || []).forEach((spec) => slots.appendChild(slotItem(spec)));
+
+        const importHeading = document.createElement('h4');
+        importHeading.textContent = 'Imported files';
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+        const hint = document.createElement('span');
+        hint.textContent = 'Drop .glb/.gltf files on the page, or';
+        const picker = document.createElement('input');
+        picker.type = 'file';
+        picker.multiple = true;
+        picker.accept = '.glb,.gltf,.bin,image/*';
+        picker.hidden = true;
+        picker.addEventListener('change', () => importFiles(picker.files));
+        row.append(hint, button('Import…', () => picker.click()), picker);
+        const list = document.createElement('ul');
+        if (layout) imports.forEach((entry) => list.appendChild(importItem(entry, layout)));
+
+        panel.append(heading, slots, importHeading, row, list);
+        if (message) {
+            const note = document.createElement('p');
+            note.textContent = message;
+            panel.appendChild(note);
+        }
+    }
+
+    return {
+        importFiles,
+        setStatus,
+        render,
+        setVisible(on) {
+            panel.hidden = !on;
+            render();
+        },
+        get visible() { return !panel.hidden; }
+    };
+}
@@ -1,65 +1,46 @@
 // 3D Bathroom Scene - REALISTIC VERSION v3
-// Room dimensions: 102" × 32" × 108" (length × width × height)
+// Room and fixtures are described by a layout document (layout.json by default)
 // Using ES modules for three + loaders
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
-import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
-import { MeshoptDecoder } from 'meshopt_decoder';
+import { CSS2DRenderer } from 'three/addons/renderers/CSS2DRenderer.js';
+import { loadLayout, layoutUrlFromLocation } from './layout.js';
+import { placeFixture, positionOnWall, fitModel } from './fixtures.js';
+import { PROCEDURAL_BUILDERS } from './procedural.js';
+import { wallNames, createWall, createBaseboard, createWindow, createFloor, createCeiling, createSoffit, createNiche } from './room.js';
+import { createDoor } from './door.js';
+import { createSelection } from './selection.js';
+import { createMeasurements } from './measure.js';
+import { loadClearanceProfiles, createClearanceChecker } from './clearances.js';
+import { createCameraRig, presetView, PRESETS } from './camera.js';
+import { createWalkthrough } from './walkthrough.js';
+import { loadFinishCatalog, createFinishes } from './finishes.js';
+import { createTiling, createTileArea } from './tiles.js';
+import { loadPriceTable, pricesUrlFromLocation, buildBom, createBomPanel } from './bom.js';
+import { snapshotDesign, designFromHash, createVariantPanel } from './variants.js';
+import { createCompareView, disposeScene } from './compare.js';
+import { createStore, createHistoryPanel } from './store.js';
+import { loadLightingCatalog, createLighting } from './lighting.js';
+import { createIlluminanceAnalysis } from './illuminance.js';
+import { createAssetPanel } from './assets.js';
+import { loadProductCatalog, applyProduct, createProductPanel } from './products.js';
+import { loadEnvironment, checkResources, renderResourceReport } from './resources.js';
+import { createExportPanel } from './export.js';
+import { createRenderPanel } from './render.js';
+import { createRoughIn } from './roughin.js';
 console.log("Loading REALISTIC bathroom scene v3 with detailed models!");
 
 // Scene setup
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x2a2a2a);
 
-// Shared PBR wood material (updated asynchronously when textures load)
-let oakMaterial = new THREE.MeshStandardMaterial({ color: 0xD2B48C, roughness: 0.6, metalness: 0.0 });
-
-function loadPBRTextures() {
-    const loader = new THREE.TextureLoader();
-    const anis = renderer?.capabilities?.getMaxAnisotropy ? renderer.capabilities.getMaxAnisotropy() : 1;
-    const maps = {
-        map: 'assets/oak_basecolor.jpg',
-        normalMap: 'assets/oak_normal.jpg',
-        roughnessMap: 'assets/oak_roughness.jpg',
-        aoMap: 'assets/oak_ao.jpg'
-    };
-    Object.entries(maps).forEach(([key, path]) => {
-        loader.load(
-            path,
-            (tex) => {
-                if (key === 'map') tex.colorSpace = THREE.SRGBColorSpace;
-                tex.anisotropy = anis;
-                oakMaterial[key] = tex;
-                oakMaterial.needsUpdate = true;
-            },
-            undefined,
-            () => {
-                // If a texture is missing, keep fallback color
-                console.warn('Missing texture:', path);
-            }
-        );
-    });
-}
+// HDR (or procedural room) environment once loaded; every rebuilt or compared
+// scene reuses it
+let hdrEnvironment = null;
 
-function loadEnvironmentHDR() {
-    const rgbe = new RGBELoader();
-    rgbe.setPath('assets/');
-    rgbe.load('studio.hdr', (hdr) => {
-        hdr.mapping = THREE.EquirectangularReflectionMapping;
-        scene.environment = hdr;
-    }, undefined, () => {
-        console.warn('HDRI not found at assets/studio.hdr; attempting remote fallback.');
-        // Remote fallback HDR from polyhaven CDN (studio small)
-        const fallback = new RGBELoader();
-        fallback.load('https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/1k/studio_small_03_1k.hdr', (hdr2) => {
-            hdr2.mapping = THREE.EquirectangularReflectionMapping;
-            scene.environment = hdr2;
-            console.log('Loaded remote fallback HDR environment');
-        }, undefined, () => {
-            console.warn('Failed to load fallback HDR. Proceeding without environment map.');
-        });
-    });
+function useEnvironment(hdr) {
+    hdrEnvironment = hdr;
+    scene.environment = hdr;
+    if (compare.scene) compare.scene.environment = hdr;
 }
 
 // Camera setup
@@ -78,572 +59,539 @@ renderer.physicallyCorrectLights = true;
 renderer.setClearColor(0x2a2a2a, 1);
 document.getElementById('scene-container').appendChild(renderer.domElement);
 
-// Simple orbit controls
-let mouseX = 0;
-let mouseY = 0;
-let isMouseDown = false;
-let targetRotationX = 0;
-let targetRotationY = 0;
-let currentRotationX = 0;
-let currentRotationY = 0;
-
-renderer.domElement.addEventListener('mousedown', onMouseDown);
-renderer.domElement.addEventListener('mousemove', onMouseMove);
-renderer.domElement.addEventListener('mouseup', onMouseUp);
-renderer.domElement.addEventListener('wheel', onMouseWheel);
-
-function onMouseDown(event) {
-    isMouseDown = true;
-    mouseX = event.clientX;
-    mouseY = event.clientY;
-}
-
-function onMouseMove(event) {
-    if (isMouseDown) {
-        const deltaX = event.clientX - mouseX;
-        const deltaY = event.clientY - mouseY;
-        targetRotationY += deltaX * 0.01;
-        targetRotationX += deltaY * 0.01;
-        mouseX = event.clientX;
-        mouseY = event.clientY;
+// HTML labels (dimension text) drawn over the canvas
+const labelRenderer = new CSS2DRenderer();
+labelRenderer.setSize(window.innerWidth, window.innerHeight);
+labelRenderer.domElement.className = 'label-layer';
+document.getElementById('scene-container').appendChild(labelRenderer.domElement);
+
+// Pointer handling. These listeners are registered before the camera rig's
+// OrbitControls so a press on a fixture can switch the controls off before
+// they start orbiting.
+renderer.domElement.addEventListener('pointerdown', onPointerDown);
+renderer.domElement.addEventListener('pointermove', onPointerMove);
+renderer.domElement.addEventListener('pointerup', onPointerUp);
+
+// Where the current press started, to tell clicks from orbit drags
+let pressX = 0;
+let pressY = 0;
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+function onPointerDown(event) {
+    pressX = event.clientX;
+    pressY = event.clientY;
+    // Pressing on a fixture drags it instead of orbiting
+    if (walkthrough?.active || compare.active) return;
+    if (selection && !measurements?.active && selection.pointerDown(event)) {
+        cameraRig.controls.enabled = false;
     }
 }
 
-function onMouseUp() {
-    isMouseDown = false;
-}
-
-function onMouseWheel(event) {
-    const distance = camera.position.length();
-    const newDistance = Math.max(10, Math.min(400, distance + event.deltaY * 0.1));
-    camera.position.normalize().multiplyScalar(newDistance);
-}
-
-// Room dimensions
-const LENGTH = 102; // 102 inches
-const WIDTH = 32;   // 32 inches  
-const HEIGHT = 108; // 108 inches
-
-// Colors
-const WALL_COLOR = 0x2D5016; // Sherwin-Williams 'Secret Garden' green
-const FLOOR_COLOR = 0x8B4513; // Medium brown wood
-const TRIM_COLOR = 0xFFFFFF;  // White trim
-const CEILING_COLOR = 0xF8F8F8; // Light gray ceiling
-// Vanity import scaling mode: 'uniformByWidth' | 'uniformByHeight' | 'exact'
-const VANITY_SCALE_MODE = 'uniformByWidth';
-// Toilet import scaling mode: 'uniformByDepth' | 'uniformByHeight' | 'exact'
-const TOILET_SCALE_MODE = 'uniformByHeight';
-// Toilet yaw orientation (radians). Clockwise 90° from facing into room.
-const TOILET_ROTATION_Y = Math.PI / 2; // rotated two more 90° steps clockwise from previous
-// Mirror scaling mode and targets
-const MIRROR_SCALE_MODE = 'uniformByHeight';
-const MIRROR_TARGET = { width: 24.5, height: 36, depth: 1.5 };
-// Mirror yaw orientation (radians)
-const MIRROR_ROTATION_Y = -Math.PI / 2; // counter-clockwise 90°
-// Cabinet scaling mode and targets (match vanity logic: preserve proportions, match width)
-const CABINET_SCALE_MODE = 'exact';
-const CABINET_TARGET = { width: 25, height: 11.8, depth: 10 };
-// Cabinet yaw orientation (radians)
-const CABINET_ROTATION_Y = Math.PI / 2; // counter-clockwise 90°
-
-// Lighting
-function setupLighting() {
+function onPointerMove(event) {
+    if (selection) selection.pointerMove(event);
+}
+
+function onPointerUp(event) {
+    if (selection && selection.pointerUp()) {
+        cameraRig.controls.enabled = !cameraRig.flying;
+        if (selection.selected) store.commit(`Move ${selection.selected.spec.label}`);
+    }
+    if (Math.hypot(event.clientX - pressX, event.clientY - pressY) < 4) onClick(event);
+}
+
+// Orbit/pan/dolly camera with presets
+const cameraRig = createCameraRig({ camera, domElement: renderer.domElement });
+
+// Click on a door leaf or handle to open/close it; anything else goes to
+// fixture selection
+function onClick(event) {
+    // The compare view is for looking only
+    if (compare.active) return;
+    // Walking on desktop: the first click captures the mouse, later clicks aim
+    // at the middle of the screen
+    if (walkthrough?.active && !walkthrough.touch && !walkthrough.locked) {
+        walkthrough.lock();
+        return;
+    }
+    // In measurement mode every click is a tape-measure point
+    if (measurements && measurements.active && !walkthrough?.active) {
+        measurements.click(event);
+        return;
+    }
+    const rect = renderer.domElement.getBoundingClientRect();
+    if (walkthrough?.locked) {
+        pointer.set(0, 0);
+    } else {
+        pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+    raycaster.setFromCamera(pointer, camera);
+    const hits = raycaster.intersectObjects(doors.flatMap((d) => d.pickables), false);
+    const door = hits.length && doors.find((d) => d.pickables.includes(hits[0].object));
+    if (door) {
+        door.toggle();
+        return;
+    }
+    if (selection && !walkthrough?.active) selection.click(event);
+}
+
+// The layout document being edited (store.state) and its undo history
+const store = createStore();
+
+// Door controllers created by createRoom()
+let doors = [];
+
+// Placed fixtures by id ({ spec, group }) and the selection/drag controller
+const fixtures = new Map();
+let selection = null;
+let measurements = null;
+let clearances = null;
+let walkthrough = null;
+let finishes = null;
+let tiling = null;
+let lighting = null;
+let illuminance = null;
+let roughIn = null;
+let products = null;
+let prices = null;
+
+// Plain environment used until (or unless) the HDR loads
+let neutralEnvironment = null;
+
+// Environment and lights for a scene showing `layout`; returns the lighting
+// controller. Only the main scene passes a panel and sets the exposure.
+function setupLighting(target, layout, options = {}) {
     // Subtle environment for reflections; upgraded with HDR if available
-    const pmrem = new THREE.PMREMGenerator(renderer);
-    const envScene = new THREE.Scene();
-    envScene.background = new THREE.Color(0x2a2a2a);
-    const envTex = pmrem.fromScene(envScene).texture;
-    scene.environment = envTex;
-
-    // Soft, balanced ambient via hemisphere light
-    const hemi = new THREE.HemisphereLight(0xffffff, 0x404040, 0.25);
-    scene.add(hemi);
-
-    const ambientLight = new THREE.AmbientLight(0xFFFFFF, 0.25);
-    scene.add(ambientLight);
-
-    // Overhead key light
-    const overheadLight = new THREE.PointLight(0xFFFFFF, 100, 300);
-    overheadLight.position.set(0, HEIGHT - 5, 0);
-    overheadLight.castShadow = true;
-    overheadLight.shadow.mapSize.set(1024, 1024);
-    overheadLight.shadow.radius = 4;
-    scene.add(overheadLight);
-
-    // Vanity spot (warm)
-    const vanityLight = new THREE.SpotLight(0xFFE4B5, 150, 200, Math.PI / 5, 0.35, 1.0);
-    vanityLight.position.set(0, HEIGHT - 15, -LENGTH/2 + 5);
-    vanityLight.target.position.set(0, 34, -LENGTH/2 + 1);
-    vanityLight.castShadow = true;
-    vanityLight.shadow.mapSize.set(1024, 1024);
-    vanityLight.shadow.radius = 4;
-    scene.add(vanityLight);
-    scene.add(vanityLight.target);
-
-    // Fill light from the toilet side
-    const fill = new THREE.DirectionalLight(0xffffff, 0.3);
-    fill.position.set(0, HEIGHT/2, LENGTH/2);
-    scene.add(fill);
-}
-
-// Create room
-function createRoom() {
-    // Floor
-    const floorGeometry = new THREE.PlaneGeometry(WIDTH, LENGTH);
-    const floorMaterial = new THREE.MeshLambertMaterial({ color: FLOOR_COLOR });
-    const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-    floor.rotation.x = -Math.PI / 2;
-    floor.position.y = 0;
-    floor.receiveShadow = true;
-    scene.add(floor);
-
-    // Ceiling
-    const ceilingGeometry = new THREE.PlaneGeometry(WIDTH, LENGTH);
-    const ceilingMaterial = new THREE.MeshLambertMaterial({ color: CEILING_COLOR });
-    const ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
-    ceiling.rotation.x = Math.PI / 2;
-    ceiling.position.y = HEIGHT;
-    scene.add(ceiling);
-
-    // Back wall (vanity wall)
-    const backWallGeometry = new THREE.PlaneGeometry(WIDTH, HEIGHT);
-    const wallMaterial = new THREE.MeshLambertMaterial({ color: WALL_COLOR });
-    const backWall = new THREE.Mesh(backWallGeometry, wallMaterial);
-    backWall.position.set(0, HEIGHT/2, -LENGTH/2);
-    backWall.receiveShadow = true;
-    scene.add(backWall);
-
-    // Front wall (toilet wall)
-    const frontWallGeometry = new THREE.PlaneGeometry(WIDTH, HEIGHT);
-    const frontWall = new THREE.Mesh(frontWallGeometry, wallMaterial);
-    frontWall.position.set(0, HEIGHT/2, LENGTH/2);
-    frontWall.rotation.y = Math.PI;
-    frontWall.receiveShadow = true;
-    scene.add(frontWall);
-
-    // Left wall (with door opening)
-    const leftWallGeometry = new THREE.PlaneGeometry(LENGTH, HEIGHT);
-    const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
-    leftWall.position.set(-WIDTH/2, HEIGHT/2, 0);
-    leftWall.rotation.y = Math.PI / 2;
-    leftWall.receiveShadow = true;
-    scene.add(leftWall);
-
-    // Right wall
-    const rightWallGeometry = new THREE.PlaneGeometry(LENGTH, HEIGHT);
-    const rightWall = new THREE.Mesh(rightWallGeometry, wallMaterial);
-    rightWall.position.set(WIDTH/2, HEIGHT/2, 0);
-    rightWall.rotation.y = -Math.PI / 2;
-    rightWall.receiveShadow = true;
-    scene.add(rightWall);
-
-    // Baseboards
-    const baseboardHeight = 4;
-    const baseboardMaterial = new THREE.MeshLambertMaterial({ color: TRIM_COLOR });
-    
-    // Back baseboard
-    const backBaseboard = new THREE.Mesh(new THREE.BoxGeometry(WIDTH, baseboardHeight, 1), baseboardMaterial);
-    backBaseboard.position.set(0, baseboardHeight/2, -LENGTH/2 + 0.5);
-    scene.add(backBaseboard);
-    
-    // Front baseboard
-    const frontBaseboard = new THREE.Mesh(new THREE.BoxGeometry(WIDTH, baseboardHeight, 1), baseboardMaterial);
-    frontBaseboard.position.set(0, baseboardHeight/2, LENGTH/2 - 0.5);
-    scene.add(frontBaseboard);
-    
-    // Left baseboard
-    const leftBaseboard = new THREE.Mesh(new THREE.BoxGeometry(LENGTH, baseboardHeight, 1), baseboardMaterial);
-    leftBaseboard.position.set(-WIDTH/2 + 0.5, baseboardHeight/2, 0);
-    leftBaseboard.rotation.y = Math.PI / 2;
-    scene.add(leftBaseboard);
-    
-    // Right baseboard
-    const rightBaseboard = new THREE.Mesh(new THREE.BoxGeometry(LENGTH, baseboardHeight, 1), baseboardMaterial);
-    rightBaseboard.position.set(WIDTH/2 - 0.5, baseboardHeight/2, 0);
-    rightBaseboard.rotation.y = -Math.PI / 2;
-    scene.add(rightBaseboard);
-}
-
-// Create vanity
-function createVanity() {
-    // Replace procedural vanity with GLB asset
-    const loader = new GLTFLoader();
-    // Hook up optional decoders if present
-    const ktx2 = new KTX2Loader().setTranscoderPath('https://unpkg.com/three@0.160.0/examples/jsm/libs/basis/');
-    try { ktx2.detectSupport(renderer); } catch (_) {}
-    loader.setKTX2Loader(ktx2);
-    loader.setMeshoptDecoder(MeshoptDecoder);
-    const candidatePaths = [
-        'assets/VanityRender.glb',
-        'assets/vanityrender.glb',
-        'assets/Vanityrender.glb',
-        'assets/vanityRender.glb'
-    ];
-
-    function onLoaded(gltf) {
-            const vanity = gltf.scene || gltf.scenes[0];
-            // Debug: log original hierarchy and sizes before any scaling/rotation
-            try {
-                const srcBBox = new THREE.Box3().setFromObject(vanity);
-                const srcSize = new THREE.Vector3();
-                srcBBox.getSize(srcSize);
-                console.log(`Vanity source size before scaling (X×Y×Z): ${srcSize.x.toFixed(3)} × ${srcSize.y.toFixed(3)} × ${srcSize.z.toFixed(3)} (model units)`);
-                console.log('Vanity children:');
-                vanity.children.forEach((child) => {
-                    const bb = new THREE.Box3().setFromObject(child);
-                    const s = new THREE.Vector3();
-                    bb.getSize(s);
-                    console.log(` - ${child.name || '(unnamed)'}: ${s.x.toFixed(3)} × ${s.y.toFixed(3)} × ${s.z.toFixed(3)}`);
-                });
-            } catch (e) {}
-            vanity.traverse((obj) => {
-                if (obj.isMesh) {
-                    obj.castShadow = true;
-                    obj.receiveShadow = true;
-                    const m = obj.material;
-                    if (m) {
-                        if (m.map) m.map.colorSpace = THREE.SRGBColorSpace;
-                        if (m.emissiveMap) m.emissiveMap.colorSpace = THREE.SRGBColorSpace;
-                        if (m.roughnessMap) m.roughnessMap.anisotropy = renderer.capabilities.getMaxAnisotropy();
-                        if (m.metalnessMap) m.metalnessMap.anisotropy = renderer.capabilities.getMaxAnisotropy();
-                        if (m.normalMap) m.normalMap.anisotropy = renderer.capabilities.getMaxAnisotropy();
-                        m.needsUpdate = true;
-                        console.log('Material', m.name || '(unnamed)', {
-                            hasMap: !!m.map,
-                            hasNormal: !!m.normalMap,
-                            hasRoughness: !!m.roughnessMap,
-                            hasMetalness: !!m.metalnessMap,
-                            hasAO: !!m.aoMap,
-                        });
-                    }
-                }
-            });
-
-            // Scale and position to match the target footprint: 24" W x 22.5" D x ~34" H
-            const bbox = new THREE.Box3().setFromObject(vanity);
-            const size = new THREE.Vector3();
-            bbox.getSize(size);
-
-            const targetWidth = 24;   // inches (world X after rotation)
-            const targetDepth = 22.5; // inches (world Z after rotation)
-            const targetHeight = 34;  // inches (world Y)
-
-            // Choose scaling mode
-            if (VANITY_SCALE_MODE === 'exact') {
-                // Per-axis (may distort). Map targets to model axes BEFORE rotation
-                const scaleX = targetDepth / (size.x || 1);   // model X -> world Z
-                const scaleY = targetHeight / (size.y || 1);  // model Y -> world Y
-                const scaleZ = targetWidth / (size.z || 1);   // model Z -> world X
-                vanity.scale.set(scaleX, scaleY, scaleZ);
-            } else if (VANITY_SCALE_MODE === 'uniformByHeight') {
-                const s = targetHeight / (size.y || 1);
-                vanity.scale.setScalar(s);
-            } else { // 'uniformByWidth'
-                const s = targetWidth / (size.z || 1); // model Z will become width after rotation
-                vanity.scale.setScalar(s);
-            }
-
-            // Recompute after scaling to center vertically on floor
-            const bbox2 = new THREE.Box3().setFromObject(vanity);
-            const center = new THREE.Vector3();
-            bbox2.getCenter(center);
-            const minY = bbox2.min.y;
-
-            // Move model so it sits on the floor (y=0) and centered on X/Z
-            vanity.position.y -= minY; // bring base to y=0
-            vanity.position.x -= center.x;
-            vanity.position.z -= center.z;
-
-            // Rotate counter-clockwise 90 degrees
-            vanity.rotation.y = -Math.PI / 2; // -90 degrees
-
-            // Group for placement against back wall
-            const vanityGroup = new THREE.Group();
-            vanityGroup.add(vanity);
-            // Place against the back wall using the model's actual depth after scaling
-            const finalBBox = new THREE.Box3().setFromObject(vanity);
-            const finalSize = new THREE.Vector3();
-            finalBBox.getSize(finalSize);
-            const halfDepth = finalSize.z / 2;
-            // small back gap to avoid z-fighting with wall
-            const backGap = 0.25; // inches
-            vanityGroup.position.set(0, 0, -LENGTH / 2 + halfDepth + backGap);
-    scene.add(vanityGroup);
-            console.log('GLB vanity loaded and placed:', vanityGroup.position);
-            console.log(`Vanity scale mode: ${VANITY_SCALE_MODE}`);
-            console.log(`Vanity final size (W x H x D): ${finalSize.x.toFixed(2)}" × ${finalSize.y.toFixed(2)}" × ${finalSize.z.toFixed(2)}"`);
-            try {
-                const info = document.getElementById('info');
-                if (info) {
-                    const dimsLine = `Vanity: ${finalSize.x.toFixed(2)}\" W × ${finalSize.y.toFixed(2)}\" H × ${finalSize.z.toFixed(2)}\" D`;
-                    const p = document.createElement('p');
-                    p.textContent = dimsLine;
-                    info.appendChild(p);
-                }
-            } catch (_) {}
+    if (!neutralEnvironment) {
+        const pmrem = new THREE.PMREMGenerator(renderer);
+        const envScene = new THREE.Scene();
+        envScene.background = new THREE.Color(0x2a2a2a);
+        neutralEnvironment = pmrem.fromScene(envScene).texture;
+        pmrem.dispose();
     }
+    target.environment = hdrEnvironment || neutralEnvironment;
+
+    // Room lights, vanity bulbs and daylight from the layout's lighting section
+    return createLighting({
+        scene: target,
+        room: layout.room,
+        lighting: layout.lighting,
+        catalog: lightingCatalog,
+        ...options
+    });
+}
 
-    // Try candidate paths until one succeeds
-    (function tryNext(i){
-        if (i >= candidatePaths.length) {
-            console.error('Failed to load vanity GLB from candidates:', candidatePaths);
-            return;
-        }
-        const path = candidatePaths[i];
-        loader.load(path, onLoaded, undefined, () => {
-            console.warn('Failed to load', path, '— trying next');
-            tryNext(i+1);
-        });
-    })(0);
-}
-
-// Create toilet (load from GLB)
-function createToilet() {
-    const loader = new GLTFLoader();
-    const ktx2 = new KTX2Loader().setTranscoderPath('https://unpkg.com/three@0.160.0/examples/jsm/libs/basis/');
-    try { ktx2.detectSupport(renderer); } catch (_) {}
-    loader.setKTX2Loader(ktx2);
-    loader.setMeshoptDecoder(MeshoptDecoder);
-
-    const candidates = [
-        'assets/toilet.glb',
-        'assets/Toilet.glb',
-        'assets/toilet_low.glb'
-    ];
-
-    // From provided spec image: width 18", depth 29.5", height 33.25" (seat height 16.5" noted separately)
-    const target = { width: 18, depth: 29.5, height: 33.25 }; // inches
-
-    function placeToilet(gltf) {
-        const model = gltf.scene || gltf.scenes[0];
-        model.traverse((o) => {
-            if (o.isMesh) {
-                o.castShadow = true;
-                o.receiveShadow = true;
-                const m = o.material;
-                if (m && m.map) m.map.colorSpace = THREE.SRGBColorSpace;
-            }
-        });
-
-        // Compute source size
-        const srcBox = new THREE.Box3().setFromObject(model);
-        const srcSize = new THREE.Vector3();
-        srcBox.getSize(srcSize);
-
-        // Scale according to mode
-        if (TOILET_SCALE_MODE === 'exact') {
-            const sx = target.width / (srcSize.x || 1);
-            const sy = target.height / (srcSize.y || 1);
-            const sz = target.depth / (srcSize.z || 1);
-            model.scale.set(sx, sy, sz);
-        } else if (TOILET_SCALE_MODE === 'uniformByHeight') {
-            const s = target.height / (srcSize.y || 1);
-            model.scale.setScalar(s);
-        } else { // uniformByDepth
-            const s = target.depth / (srcSize.z || 1);
-            model.scale.setScalar(s);
-        }
+// Create the room shell in `target`; returns the door controllers
+function createRoom(target, room, materials) {
+    // Floor and ceiling following the room's outline
+    target.add(createFloor(room, materials.floor));
+    target.add(createCeiling(room, materials.ceiling));
+
+    // Soffits and dropped ceilings
+    (room.soffits || []).forEach((soffit) => target.add(createSoffit(room, soffit, materials)));
+
+    // Walls, with door, window and niche openings cut out
+    wallNames(room).forEach((wall) => target.add(createWall(room, wall, materials.wall)));
+
+    // Baseboards, broken at door casings
+    const trimMaterial = materials.trim;
+    wallNames(room).forEach((wall) => target.add(createBaseboard(room, wall, trimMaterial)));
 
-        // Floor and center
-        const box2 = new THREE.Box3().setFromObject(model);
-        const center = new THREE.Vector3();
-        box2.getCenter(center);
-        const minY = box2.min.y;
-        model.position.y -= minY;
-        model.position.x -= center.x;
-        model.position.z -= center.z;
-
-        // Orientation and placement against front wall
-        model.rotation.y = TOILET_ROTATION_Y;
-        const boxFinal = new THREE.Box3().setFromObject(model);
-        const finalSize = new THREE.Vector3();
-        boxFinal.getSize(finalSize);
-        const halfDepth = finalSize.z / 2;
-        const group = new THREE.Group();
-        group.add(model);
-        const frontGap = 0.5; // inches from front wall
-        group.position.set(0, 0, LENGTH/2 - halfDepth - frontGap);
-        scene.add(group);
-        console.log('Toilet GLB loaded. Final size (W x H x D):', `${finalSize.x.toFixed(2)}" × ${finalSize.y.toFixed(2)}" × ${finalSize.z.toFixed(2)}"`);
+    // Niches: boxes recessed into the wall
+    (room.openings || [])
+        .filter((o) => o.type === 'niche')
+        .forEach((o) => target.add(createNiche(room, o, materials.wall)));
+
+    // Windows: casing, stool and glass
+    (room.openings || [])
+        .filter((o) => o.type === 'window')
+        .forEach((o) => target.add(createWindow(room, o, trimMaterial)));
+
+    // Doors: casing, hinged leaf and floor swing arc
+    return (room.openings || [])
+        .filter((o) => o.type === 'door')
+        .map((o) => createDoor(room, o, target, trimMaterial));
+}
+
+// Make a layout document the one being edited, with a fresh history
+function applyLayout(layout) {
+    store.reset(layout);
+    const { length, width, height, outline } = layout.room;
+    const dims = document.getElementById('room-dims');
+    const shape = outline ? ` overall, ${outline.length} walls` : '';
+    if (dims) dims.textContent = `${layout.name}: ${length}" × ${width}" × ${height}"${shape}`;
+}
+
+// Append a line to the info panel; returns it
+function appendInfoLine(text, className) {
+    const info = document.getElementById('info');
+    if (!info) return null;
+    const p = document.createElement('p');
+    if (className) p.className = className;
+    p.textContent = text;
+    info.appendChild(p);
+    return p;
+}
+
+// Describe the selected fixture's placement in the info panel
+function showSelection(entry) {
+    const line = document.getElementById('selection');
+    if (!line) return;
+    if (!entry) {
+        line.textContent = 'Click a fixture to select it; drag to move.';
+        return;
     }
+    const { spec } = entry;
+    line.textContent = spec.mount === 'wall'
+        ? `${spec.label}: ${spec.offset.along}" along ${spec.wall} wall, ${spec.offset.y}" high`
+        : `${spec.label}: ${spec.offset.along}" along ${spec.wall} wall, ${spec.gap}" from wall`;
+}
+
+// Show a startup failure in the info panel as well as the console
+function reportError(message) {
+    console.error(message);
+    appendInfoLine(message, 'error');
+}
+
+// Bumped on every rebuild so fixtures still loading for an older design are
+// dropped instead of landing in the new one
+let generation = 0;
+
+// Loads still in flight, by fixture id
+const pending = new Map();
+
+function settle(id) {
+    const left = (pending.get(id) || 1) - 1;
+    if (left) pending.set(id, left);
+    else pending.delete(id);
+}
 
-    (function tryNext(i){
-        if (i >= candidates.length) {
-            console.warn('Toilet GLB not found in candidates; keeping procedural toilet.');
-            // Fallback: very simple placeholder
-            const placeholder = new THREE.Mesh(new THREE.BoxGeometry(15, 16, 28), new THREE.MeshStandardMaterial({ color: 0xffffff }));
-            placeholder.castShadow = true;
-            const group = new THREE.Group();
-            group.add(placeholder);
-            group.position.set(0, 0, LENGTH/2 - 14.5);
-            group.rotation.y = Math.PI;
-            scene.add(group);
-            return;
+// Place one layout fixture through the shared placement pipeline
+function createFixture(spec) {
+    const built = generation;
+    const shape = shapeKey(spec);
+    pending.set(spec.id, (pending.get(spec.id) || 0) + 1);
+    assetPanel.setStatus(spec.id, { state: 'loading' });
+    return placeFixture(spec, {
+        parent: scene,
+        renderer,
+        room: store.state.room,
+        build: PROCEDURAL_BUILDERS[spec.type]
+    }).then((group) => {
+        // Dropped if the design was rebuilt, or the fixture undone or changed
+        // again, meanwhile
+        if (built === generation) settle(spec.id);
+        const current = store.state.fixtures.find((f) => f.id === spec.id);
+        if (built !== generation || !current || shapeKey(current) !== shape) {
+            scene.remove(group);
+            disposeScene(group);
+            return null;
         }
-        const path = candidates[i];
-        loader.load(path, placeToilet, undefined, () => tryNext(i+1));
-    })(0);
-}
-
-// Create mirror
-function createMirror() {
-    const loader = new GLTFLoader();
-    const candidates = ['assets/mirror.glb', 'assets/Mirror.glb'];
-
-    function place(gltf) {
-        const model = gltf.scene || gltf.scenes[0];
-        model.traverse((o) => { if (o.isMesh) { o.castShadow = true; o.receiveShadow = true; } });
-        const src = new THREE.Box3().setFromObject(model); const s = new THREE.Vector3(); src.getSize(s);
-        if (MIRROR_SCALE_MODE === 'uniformByWidth') {
-            const k = MIRROR_TARGET.width / (s.x || 1); model.scale.setScalar(k);
-        } else if (MIRROR_SCALE_MODE === 'uniformByHeight') {
-            const k = MIRROR_TARGET.height / (s.y || 1); model.scale.setScalar(k);
-        } else if (MIRROR_SCALE_MODE === 'exact') {
-            model.scale.set(
-                MIRROR_TARGET.width / (s.x || 1),
-                MIRROR_TARGET.height / (s.y || 1),
-                MIRROR_TARGET.depth / (s.z || 1)
-            );
+        group.userData.fixture.shape = shape;
+        if (fixtures.has(spec.id)) removeFixture(spec.id);
+        fixtures.set(spec.id, { spec: current, group });
+        assetPanel.setStatus(spec.id, { state: 'loaded', source: group.userData.fixture.source, failures: group.userData.fixture.failures });
+        if (finishes) finishes.attach(spec, group);
+        if (lighting) lighting.attach(spec, group);
+        if (measurements) measurements.refresh();
+        if (clearances) clearances.refresh();
+        if (illuminance) illuminance.refresh();
+        roughIn?.refresh();
+        if (spec.showSize) {
+            const { size } = group.userData.fixture;
+            document.querySelector(`#info p.fixture-size[data-fixture="${spec.id}"]`)?.remove();
+            const line = appendInfoLine(`${spec.label}: ${size.x.toFixed(2)}" W × ${size.y.toFixed(2)}" H × ${size.z.toFixed(2)}" D`, 'fixture-size');
+            if (line) line.dataset.fixture = spec.id;
         }
-        // Center model at origin
-        const b2 = new THREE.Box3().setFromObject(model); const c = new THREE.Vector3(); b2.getCenter(c);
-        model.position.x -= c.x; model.position.y -= c.y; model.position.z -= c.z;
-        // Group for placement/rotation
-        const group = new THREE.Group(); group.add(model);
-        group.rotation.y = MIRROR_ROTATION_Y;
-        // Place against the back wall, centered vertically at 55"
-        const bFinal = new THREE.Box3().setFromObject(group); const sizeF = new THREE.Vector3(); bFinal.getSize(sizeF);
-        const gap = 0.25;
-        const halfDepth = sizeF.z / 2;
-        group.position.set(0, 55, -LENGTH/2 + halfDepth + gap);
-        scene.add(group);
-        console.log('Mirror GLB loaded. Final size (W x H x D):', `${sizeF.x.toFixed(2)}" × ${sizeF.y.toFixed(2)}" × ${sizeF.z.toFixed(2)}"`);
-    }
-    (function next(i){ if (i>=candidates.length) return console.warn('Mirror GLB not found'); loader.load(candidates[i], place, undefined, ()=>next(i+1)); })(0);
+        return group;
+    }).catch((e) => {
+        if (built === generation) {
+            settle(spec.id);
+            assetPanel.setStatus(spec.id, { state: 'failed', error: e.message, failures: e.failures });
+        }
+        console.warn(e.message);
+        return null;
+    });
 }
 
-// Create vanity light
-function createVanityLight() {
-    const lightGroup = new THREE.Group();
-    
-    // Black mounting bar
-    const barGeometry = new THREE.BoxGeometry(32, 1.5, 2);
-    const barMaterial = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0.3, metalness: 0.8 });
-    const bar = new THREE.Mesh(barGeometry, barMaterial);
-    lightGroup.add(bar);
-    
-    // Two bell-shaped glass shades with bulbs
-    for (let i = 0; i < 2; i++) {
-        // Shade holder
-        const holderGeometry = new THREE.CylinderGeometry(0.5, 0.5, 2, 16);
-        const holderMaterial = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0.3, metalness: 0.8 });
-        const holder = new THREE.Mesh(holderGeometry, holderMaterial);
-        holder.position.set((i - 0.5) * 14, -1, 0);
-        lightGroup.add(holder);
-        
-        // Bell shade via LatheGeometry profile
-        const pts = [];
-        pts.push(new THREE.Vector2(0.2, -0.5));
-        pts.push(new THREE.Vector2(0.35, -1.2));
-        pts.push(new THREE.Vector2(1.0, -2.2));
-        pts.push(new THREE.Vector2(1.8, -3.0));
-        pts.push(new THREE.Vector2(2.3, -3.6));
-        pts.push(new THREE.Vector2(2.5, -4.8));
-        const latheGeo = new THREE.LatheGeometry(pts, 24);
-        const shadeMaterial = new THREE.MeshStandardMaterial({ color: 0xFFFFFF, roughness: 0.05, metalness: 0.0, transparent: true, opacity: 0.25 });
-        const shade = new THREE.Mesh(latheGeo, shadeMaterial);
-        shade.scale.set(1, 1, 1);
-        shade.position.set((i - 0.5) * 14, -2.8, 0);
-        lightGroup.add(shade);
-        
-        // Light bulb inside shade
-        const bulbGeometry = new THREE.SphereGeometry(0.8, 16, 16);
-        const bulbMaterial = new THREE.MeshStandardMaterial({ color: 0xFFE4B5, emissive: 0xFFA500, emissiveIntensity: 1.0, roughness: 0.7, metalness: 0.0 });
-        const bulb = new THREE.Mesh(bulbGeometry, bulbMaterial);
-        bulb.position.set((i - 0.5) * 14, -4.2, 0);
-        lightGroup.add(bulb);
-    }
-    
-    lightGroup.position.set(0, 80, -LENGTH/2 + 1);
-    scene.add(lightGroup);
-    console.log("Vanity light added to scene at position:", lightGroup.position);
-}
-
-// Create cabinet above toilet
-function createCabinet() {
-    const loader = new GLTFLoader();
-    const candidates = ['assets/cabinet2.glb', 'assets/Cabinet2.glb', 'assets/cabinet.glb', 'assets/Cabinet.glb'];
-
-    function place(gltf) {
-        const model = gltf.scene || gltf.scenes[0];
-        model.traverse((o) => { if (o.isMesh) { o.castShadow = true; o.receiveShadow = true; } });
-        const src = new THREE.Box3().setFromObject(model); const s = new THREE.Vector3(); src.getSize(s);
-        // Many cabinet GLBs have width along Z and depth along X. Map accordingly.
-        if (CABINET_SCALE_MODE === 'uniformByWidth') {
-            const k = CABINET_TARGET.width / (s.z || 1); // lock width using model Z
-            model.scale.setScalar(k);
-        } else if (CABINET_SCALE_MODE === 'exact') {
-            const scaleX = CABINET_TARGET.depth / (s.x || 1);   // model X -> world depth
-            const scaleY = CABINET_TARGET.height / (s.y || 1);  // model Y -> world height
-            const scaleZ = CABINET_TARGET.width / (s.z || 1);   // model Z -> world width
-            model.scale.set(scaleX, scaleY, scaleZ);
-        }
-        const b2 = new THREE.Box3().setFromObject(model); const c = new THREE.Vector3(); b2.getCenter(c); const minY = b2.min.y;
-        model.position.y -= minY; model.position.x -= c.x; model.position.z -= c.z;
-        const group = new THREE.Group(); group.add(model);
-        group.position.set(0, 60, LENGTH/2 - 5);
-        group.rotation.y = CABINET_ROTATION_Y; scene.add(group); console.log('Cabinet GLB loaded');
-    }
-    (function next(i){ if (i>=candidates.length) return console.warn('Cabinet GLB not found'); loader.load(candidates[i], place, undefined, ()=>next(i+1)); })(0);
+// Take a placed fixture out of the scene
+function removeFixture(id) {
+    const entry = fixtures.get(id);
+    if (!entry) return;
+    if (selection?.selected === entry) selection.select(null);
+    scene.remove(entry.group);
+    disposeScene(entry.group);
+    fixtures.delete(id);
 }
 
-// Create towel ring
-function createTowelRing() {
-    const ringGeometry = new THREE.TorusGeometry(3, 0.3, 8, 32);
-    const ringMaterial = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0.4, metalness: 0.8 });
-    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-    ring.position.set(-WIDTH/2 + 2, 40, -LENGTH/4);
-    ring.rotation.y = Math.PI / 2;
-    ring.castShadow = true;
-    scene.add(ring);
+// Everything about a fixture spec that needs the model placed again when it
+// changes; wall, offset and gap only move it
+function shapeKey(spec) {
+    const { wall, offset, gap, ...shape } = spec;
+    return JSON.stringify(shape);
 }
 
-// Initialize scene
-function init() {
-    console.log("Starting scene initialization...");
-    
-    // Clear the scene completely
+// Bring the placed fixtures in line with the layout after undo/redo: remove the
+// ones no longer listed, place again the ones whose model, size or orientation
+// changed, place new ones and move the rest
+function syncFixtures() {
+    const specs = new Map(store.state.fixtures.map((spec) => [spec.id, spec]));
+    [...fixtures.entries()].forEach(([id, entry]) => {
+        const spec = specs.get(id);
+        if (!spec) removeFixture(id);
+        else if (entry.group.userData.fixture.shape !== shapeKey(spec)) {
+            entry.spec = spec;
+            createFixture(spec);
+        } else {
+            entry.spec = spec;
+            positionOnWall(entry.group, spec, store.state.room);
+        }
+    });
+    specs.forEach((spec, id) => {
+        if (!fixtures.has(id) && !pending.has(id)) createFixture(spec);
+    });
+    if (selection?.selected) selection.select(selection.selected);
+}
+
+// Shared resources loaded once in init()
+let catalog = { paints: [], floors: [], woods: [] };
+let lightingCatalog = { bulbs: [], presets: [] };
+let productCatalog = { products: [] };
+let clearanceProfiles = null;
+
+// Build (or rebuild) the editable scene from a layout document
+function buildDesign(layout) {
+    generation++;
+    applyLayout(layout);
+    const room = layout.room;
+    console.log("Layout loaded:", layout.name);
+
+    if (walkthrough?.active) toggleWalkthrough();
+    walkthrough?.dispose();
+    measurements?.dispose();
+    const measuring = measurements?.active || false;
+    const checking = clearances?.active || false;
+    const analysing = illuminance?.active || false;
+    const roughing = roughIn?.active || false;
+    clearances = null;
+    illuminance?.dispose();
+    illuminance = null;
+    roughIn?.dispose();
+    roughIn = null;
+    document.querySelectorAll('#info p.fixture-size').forEach((p) => p.remove());
+
+    // Clear the scene completely (an import preview shares its model's
+    // geometry, so it goes first)
+    showImportPreview(null);
+    disposeScene(scene);
     while(scene.children.length > 0) {
         scene.remove(scene.children[0]);
     }
     console.log("Scene cleared");
-    
-    setupLighting();
-    loadEnvironmentHDR();
+
+    lighting = setupLighting(scene, layout, {
+        renderer,
+        panel: document.getElementById('lighting-panel'),
+        onChange: (label) => store.commit(label)
+    });
     console.log("Lighting setup complete");
-    createRoom();
+    finishes = createFinishes({
+        catalog,
+        room,
+        selected: layout.finishes,
+        renderer,
+        panel: document.getElementById('finish-panel'),
+        info: document.getElementById('finishes'),
+        onChange: (surface, finish) => {
+            if (clearances) clearances.refresh();
+            bomPanel.refresh();
+            if (finish) store.commit(`${fixtures.get(surface)?.spec.label || surface} finish: ${finish.name}`);
+        }
+    });
+    doors = createRoom(scene, room, finishes.materials);
+    tiling = createTiling({
+        scene,
+        room,
+        specs: layout.tiles,
+        panel: document.getElementById('tile-panel'),
+        onChange: () => {
+            bomPanel.refresh();
+            store.commit('Edit tile layout');
+        }
+    });
     console.log("Room creation complete");
-    createVanity();
-    console.log("Vanity creation complete");
-    createToilet();
-    console.log("Toilet creation complete");
-    createMirror();
-    console.log("Mirror creation complete");
-    createVanityLight();
-    console.log("Vanity light creation complete");
-    createCabinet();
-    console.log("Cabinet creation complete");
-    createTowelRing();
-    console.log("Towel ring creation complete");
+    fixtures.clear();
+    pending.clear();
+    selection = createSelection({
+        camera,
+        domElement: renderer.domElement,
+        room,
+        fixtures,
+        parent: scene,
+        onChange: (entry) => {
+            showSelection(entry);
+            if (measurements) measurements.refresh();
+            if (clearances) clearances.refresh();
+            roughIn?.refresh();
+            bomPanel.refresh();
+        }
+    });
+    measurements = createMeasurements({
+        scene,
+        camera,
+        domElement: renderer.domElement,
+        room,
+        fixtures
+    });
+    if (measuring) measurements.toggle();
+    walkthrough = createWalkthrough({
+        camera,
+        domElement: renderer.domElement,
+        room,
+        fixtures,
+        doors,
+        eyeHeight: Number(document.getElementById('eye-height')?.value) || undefined,
+        onLockChange: (locked) => document.body.classList.toggle('pointer-locked', locked)
+    });
+    showSelection(null);
+    layout.fixtures.forEach((spec) => {
+        createFixture(spec);
+        console.log(`${spec.label} creation started`);
+    });
+    clearances = clearanceProfiles && createClearanceChecker({
+        scene,
+        room,
+        fixtures,
+        doors,
+        profiles: clearanceProfiles,
+        panel: document.getElementById('clearance-panel')
+    });
+    if (checking && clearances) clearances.toggle();
+    products = createProductPanel({
+        panel: document.getElementById('product-panel'),
+        catalog: productCatalog,
+        getLayout: () => store.state,
+        onChange: (spec, product) => {
+            applyProduct(spec, product, productCatalog);
+            store.commit(`${spec.label}: ${product.name}`);
+            createFixture(spec);
+        },
+        onAdd: (spec) => {
+            store.state.fixtures.push(spec);
+            store.commit(`Add fixture ${spec.label}`);
+            createFixture(spec);
+        }
+    });
+    illuminance = createIlluminanceAnalysis({
+        scene,
+        room,
+        fixtures,
+        lighting,
+        panel: document.getElementById('illuminance-panel')
+    });
+    if (analysing) illuminance.toggle();
+    roughIn = createRoughIn({
+        scene,
+        room,
+        fixtures,
+        catalog: productCatalog,
+        materials: finishes.materials,
+        getLayout: () => store.state,
+        panel: document.getElementById('roughin-panel')
+    });
+    if (roughing) roughIn.toggle();
+    document.getElementById('measure-toggle')?.classList.toggle('active', measuring);
+    document.getElementById('clearance-toggle')?.classList.toggle('active', !!clearances?.active);
+    document.getElementById('illuminance-toggle')?.classList.toggle('active', analysing);
+    document.getElementById('roughin-toggle')?.classList.toggle('active', roughing);
+    bomPanel.refresh();
+    // The room's walls may have changed, and with them the elevations
+    exportPanel.render();
+}
+
+// Static copy of another design for the compare view: same lighting, room,
+// finishes, tiles and fixtures, but nothing editable
+function buildVariantScene(layout) {
+    const target = new THREE.Scene();
+    target.background = scene.background;
+    const lights = setupLighting(target, layout);
+    const look = createFinishes({ catalog, room: layout.room, selected: { ...layout.finishes }, renderer, panel: null, info: null });
+    createRoom(target, layout.room, look.materials);
+    layout.tiles.forEach((spec) => target.add(createTileArea(layout.room, spec).group));
+    layout.fixtures.forEach((spec) => {
+        placeFixture(spec, { parent: target, renderer, room: layout.room, build: PROCEDURAL_BUILDERS[spec.type] })
+            .then((group) => {
+                look.attach(spec, group);
+                lights.attach(spec, group);
+            })
+            .catch((e) => console.warn(e.message));
+    });
+    return target;
+}
+
+// Initialize scene
+async function init() {
+    console.log("Starting scene initialization...");
     
-    camera.position.set(0, 0, 260);
-    camera.lookAt(0, 0, 0);
+    let layout;
+    try {
+        // A shared design in the URL wins over the layout file
+        layout = await designFromHash().catch((e) => {
+            reportError(`Shared design unreadable: ${e.message}`);
+            return null;
+        }) || await loadLayout(layoutUrlFromLocation());
+    } catch (e) {
+        reportError(e.message);
+        return;
+    }
+
+    const environment = loadEnvironment(renderer).then(({ texture, source }) => {
+        useEnvironment(texture);
+        return source;
+    });
+    try {
+        catalog = await loadFinishCatalog();
+    } catch (e) {
+        reportError(`Finish catalog unavailable: ${e.message}`);
+    }
+    try {
+        lightingCatalog = await loadLightingCatalog();
+    } catch (e) {
+        reportError(`Bulb catalog and lighting presets unavailable: ${e.message}`);
+    }
+    try {
+        productCatalog = await loadProductCatalog();
+    } catch (e) {
+        reportError(`Product catalog unavailable: ${e.message}`);
+    }
+    try {
+        clearanceProfiles = await loadClearanceProfiles();
+    } catch (e) {
+        reportError(`Clearance check unavailable: ${e.message}`);
+    }
+    try {
+        prices = await loadPriceTable(pricesUrlFromLocation());
+    } catch (e) {
+        reportError(`Cost estimate unavailable: ${e.message}`);
+    }
+
+    buildDesign(layout);
+
+    // Which optional resources were found, and whether anything still comes
+    // from the network
+    environment
+        .then((source) => checkResources({ environment: source, catalog }))
+        .then((items) => {
+            console.table(items);
+            renderResourceReport(document.getElementById('resource-report'), items);
+        })
+        .catch((e) => reportError(`Resource check failed: ${e.message}`));
     
-    // Reset orbit controls
-    targetRotationX = 0;
-    targetRotationY = 0;
-    currentRotationX = 0;
-    currentRotationY = 0;
+    const start = presetView('overview', { camera, room: store.state.room, fixtures, openings: store.state.room.openings });
+    cameraRig.jumpTo(start.position, start.target);
     
     console.log("Scene initialization complete!");
     console.log("Camera position:", camera.position);
@@ -658,22 +606,376 @@ function init() {
     });
 }
 
+// Opening a share link in an already loaded page
+window.addEventListener('hashchange', () => {
+    designFromHash()
+        .then((layout) => { if (layout) loadDesign(layout); })
+        .catch((e) => reportError(`Shared design unreadable: ${e.message}`));
+});
+
 // Animation loop
+const clock = new THREE.Clock();
+
 function animate() {
     requestAnimationFrame(animate);
+    const dt = clock.getDelta();
+    // A presentation render has the renderer to itself until it finishes
+    if (renderPanel.busy) return;
+    doors.forEach((door) => door.update(dt));
+    if (walkthrough?.active) walkthrough.update(dt);
+    else cameraRig.update(dt);
     
-    // Update camera rotation with damping
-    currentRotationX += (targetRotationX - currentRotationX) * 0.05;
-    currentRotationY += (targetRotationY - currentRotationY) * 0.05;
-    
-    // Apply rotation to camera
-    const distance = camera.position.length();
-    camera.position.x = distance * Math.sin(currentRotationY) * Math.cos(currentRotationX);
-    camera.position.y = distance * Math.sin(currentRotationX);
-    camera.position.z = distance * Math.cos(currentRotationY) * Math.cos(currentRotationX);
-    camera.lookAt(0, 0, 0);
-    
+    if (compare.active) {
+        compare.render(scene);
+        return;
+    }
     renderer.render(scene, camera);
+    labelRenderer.render(scene, camera);
+}
+
+// Toolbar buttons and keyboard shortcuts
+function toggleMeasurements() {
+    if (!measurements) return;
+    measurements.toggle();
+    document.getElementById('measure-toggle')?.classList.toggle('active', measurements.active);
+}
+
+document.getElementById('measure-toggle')?.addEventListener('click', toggleMeasurements);
+document.getElementById('tape-clear')?.addEventListener('click', () => measurements?.clearTape());
+
+function toggleClearances() {
+    if (!clearances) return;
+    clearances.toggle();
+    document.getElementById('clearance-toggle')?.classList.toggle('active', clearances.active);
+}
+
+document.getElementById('clearance-toggle')?.addEventListener('click', toggleClearances);
+
+function toggleFinishes() {
+    if (!finishes) return;
+    finishes.setVisible(!finishes.visible);
+    document.getElementById('finish-toggle')?.classList.toggle('active', finishes.visible);
+}
+
+document.getElementById('finish-toggle')?.addEventListener('click', toggleFinishes);
+
+function toggleTiles() {
+    if (!tiling) return;
+    tiling.setVisible(!tiling.visible);
+    document.getElementById('tile-toggle')?.classList.toggle('active', tiling.visible);
+}
+
+document.getElementById('tile-toggle')?.addEventListener('click', toggleTiles);
+
+function toggleLighting() {
+    if (!lighting) return;
+    lighting.setVisible(!lighting.visible);
+    document.getElementById('lighting-toggle')?.classList.toggle('active', lighting.visible);
+}
+
+document.getElementById('lighting-toggle')?.addEventListener('click', toggleLighting);
+
+function toggleIlluminance() {
+    if (!illuminance) return;
+    illuminance.toggle();
+    document.getElementById('illuminance-toggle')?.classList.toggle('active', illuminance.active);
+}
+
+document.getElementById('illuminance-toggle')?.addEventListener('click', toggleIlluminance);
+
+function toggleRoughIn() {
+    if (!roughIn) return;
+    roughIn.toggle();
+    document.getElementById('roughin-toggle')?.classList.toggle('active', roughIn.active);
+}
+
+document.getElementById('roughin-toggle')?.addEventListener('click', toggleRoughIn);
+
+// Bill of materials, rebuilt from the current layout whenever its panel is open
+const bomPanel = createBomPanel({
+    panel: document.getElementById('bom-panel'),
+    getBom: () => prices && store.state && buildBom({ layout: store.state, prices, tileReports: tiling?.reports, finishes })
+});
+
+function toggleBom() {
+    bomPanel.setVisible(!bomPanel.visible);
+    document.getElementById('bom-toggle')?.classList.toggle('active', bomPanel.visible);
+}
+
+document.getElementById('bom-toggle')?.addEventListener('click', toggleBom);
+
+// GLB/USDZ models of the assembled room and SVG plan and elevations
+const exportPanel = createExportPanel({
+    panel: document.getElementById('export-panel'),
+    getScene: () => scene,
+    getLayout: () => store.state,
+    getFixtures: () => fixtures,
+    getExcluded: () => (importPreview ? [importPreview.group, importPreview.outline] : [])
+});
+
+function toggleExport() {
+    exportPanel.setVisible(!exportPanel.visible);
+    document.getElementById('export-toggle')?.classList.toggle('active', exportPanel.visible);
+}
+
+document.getElementById('export-toggle')?.addEventListener('click', toggleExport);
+
+// Supersampled PNG stills and turntable/preset tour videos for presentations
+const renderPanel = createRenderPanel({
+    panel: document.getElementById('render-panel'),
+    renderer,
+    getScene: () => scene,
+    getCamera: () => camera,
+    getLayout: () => store.state,
+    getFixtures: () => fixtures,
+    getExcluded: () => (importPreview ? [importPreview.group, importPreview.outline] : [])
+});
+
+function toggleRender() {
+    renderPanel.setVisible(!renderPanel.visible);
+    document.getElementById('render-toggle')?.classList.toggle('active', renderPanel.visible);
+}
+
+document.getElementById('render-toggle')?.addEventListener('click', toggleRender);
+
+// Imported model shown where it would go while its placement is set up; the
+// fixture it would replace is hidden meanwhile
+let importPreview = null;
+
+function showImportPreview(spec, model) {
+    if (importPreview) {
+        scene.remove(importPreview.group, importPreview.outline);
+        importPreview.outline.dispose();
+        if (importPreview.hidden) importPreview.hidden.visible = true;
+        importPreview = null;
+    }
+    if (!spec || !store.state) return;
+    // The clone shares geometry and materials with the imported model, so
+    // nothing is disposed when it goes
+    const group = fitModel(model.clone(), spec, store.state.room);
+    scene.add(group);
+    group.updateMatrixWorld(true);
+    const outline = new THREE.Box3Helper(new THREE.Box3().setFromObject(group), 0x33ccff);
+    scene.add(outline);
+    const hidden = fixtures.get(spec.id)?.group || null;
+    if (hidden) hidden.visible = false;
+    importPreview = { group, outline, hidden };
+}
+
+// Asset manager: load status for every fixture slot, and GLB/GLTF files
+// dropped on the page to assign to a slot or add as a new fixture
+const assetPanel = createAssetPanel({
+    panel: document.getElementById('asset-panel'),
+    renderer,
+    getLayout: () => store.state,
+    onPreview: showImportPreview,
+    onAssign: (spec, path, orientation) => {
+        spec.candidates = [path, ...spec.candidates.filter((c) => c !== path)];
+        Object.assign(spec, orientation);
+        store.commit(`Assign ${path} to ${spec.label}`);
+        createFixture(spec);
+    },
+    onAdd: (spec) => {
+        store.state.fixtures.push(spec);
+        store.commit(`Add fixture ${spec.label}`);
+        createFixture(spec);
+    }
+});
+
+function toggleAssets() {
+    assetPanel.setVisible(!assetPanel.visible);
+    document.getElementById('asset-toggle')?.classList.toggle('active', assetPanel.visible);
+}
+
+document.getElementById('asset-toggle')?.addEventListener('click', toggleAssets);
+
+function toggleProducts() {
+    if (!products) return;
+    products.setVisible(!products.visible);
+    document.getElementById('product-toggle')?.classList.toggle('active', products.visible);
+}
+
+document.getElementById('product-toggle')?.addEventListener('click', toggleProducts);
+
+window.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer?.types.includes('Files')) return;
+    event.preventDefault();
+    document.body.classList.add('dropping');
+});
+window.addEventListener('dragleave', (event) => {
+    if (!event.relatedTarget) document.body.classList.remove('dropping');
+});
+window.addEventListener('drop', (event) => {
+    document.body.classList.remove('dropping');
+    if (!event.dataTransfer?.files.length) return;
+    event.preventDefault();
+    if (!assetPanel.visible) toggleAssets();
+    assetPanel.importFiles(event.dataTransfer.files);
+});
+
+// Undo/redo: bring the scene back in line with the document after the store
+// rewrote it. Light levels and the rough-in layer (which places ceiling boxes
+// over the room lights) are recomputed after any edit while shown.
+store.subscribe(({ sections, kind }) => {
+    const undoButton = document.getElementById('undo');
+    const redoButton = document.getElementById('redo');
+    if (undoButton) undoButton.disabled = !store.canUndo;
+    if (redoButton) redoButton.disabled = !store.canRedo;
+    products?.render();
+    if (kind === 'commit') {
+        illuminance?.refresh();
+        roughIn?.refresh();
+    }
+    if (kind !== 'undo' && kind !== 'redo') return;
+    if (sections.includes('fixtures')) syncFixtures();
+    if (sections.includes('finishes')) finishes?.refresh();
+    if (sections.includes('tiles')) tiling?.rebuild();
+    if (sections.includes('lighting')) lighting?.refresh();
+    if (measurements) measurements.refresh();
+    if (clearances) clearances.refresh();
+    illuminance?.refresh();
+    roughIn?.refresh();
+    bomPanel.refresh();
+});
+
+function undo() {
+    if (!selection?.dragging) store.undo();
+}
+
+function redo() {
+    if (!selection?.dragging) store.redo();
+}
+
+const historyPanel = createHistoryPanel({ panel: document.getElementById('history-panel'), store });
+
+function toggleHistory() {
+    historyPanel.setVisible(!historyPanel.visible);
+    document.getElementById('history-toggle')?.classList.toggle('active', historyPanel.visible);
+}
+
+document.getElementById('undo')?.addEventListener('click', undo);
+document.getElementById('redo')?.addEventListener('click', redo);
+document.getElementById('history-toggle')?.addEventListener('click', toggleHistory);
+
+// Design variants: save/load/share the current design, or compare one side by
+// side with it
+function loadDesign(layout) {
+    stopCompare();
+    buildDesign(layout);
+}
+
+const compare = createCompareView({
+    renderer,
+    camera,
+    bar: document.getElementById('compare-bar'),
+    onExit: stopCompare
+});
+
+function stopCompare() {
+    if (!compare.active) return;
+    compare.stop();
+    labelRenderer.domElement.hidden = false;
+}
+
+const variantPanel = createVariantPanel({
+    panel: document.getElementById('variant-panel'),
+    getDesign: () => snapshotDesign(store.state, fixtures),
+    onLoad: loadDesign,
+    onCompare: (layout, name) => {
+        if (walkthrough?.active) toggleWalkthrough();
+        compare.start(buildVariantScene(layout), store.state?.name || 'Current design', name);
+        labelRenderer.domElement.hidden = true;
+    }
+});
+
+function toggleVariants() {
+    variantPanel.setVisible(!variantPanel.visible);
+    document.getElementById('variant-toggle')?.classList.toggle('active', variantPanel.visible);
+}
+
+document.getElementById('variant-toggle')?.addEventListener('click', toggleVariants);
+
+// First-person walkthrough, starting in the doorway. Leaving it hands the
+// current view back to the orbit camera.
+function toggleWalkthrough() {
+    if (!walkthrough) return;
+    const button = document.getElementById('walk-toggle');
+    const eye = document.getElementById('eye-height');
+    if (walkthrough.active) {
+        walkthrough.exit();
+        const ahead = camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(30).add(camera.position);
+        cameraRig.jumpTo(camera.position.clone(), ahead);
+    } else {
+        selection?.select(null);
+        cameraRig.controls.enabled = false;
+        const start = presetView('doorway', { camera, room: store.state.room, fixtures, openings: store.state.room.openings });
+        walkthrough.enter(start.position, start.target);
+    }
+    button?.classList.toggle('active', walkthrough.active);
+    if (eye) eye.hidden = !walkthrough.active;
+}
+
+document.getElementById('walk-toggle')?.addEventListener('click', toggleWalkthrough);
+document.getElementById('eye-height')?.addEventListener('change', (event) => {
+    walkthrough?.setEyeHeight(Number(event.target.value));
+});
+
+window.addEventListener('keydown', (event) => {
+    if (event.target.closest?.('input, textarea, select')) return;
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); Ctrl+Y also redoes
+    if (event.ctrlKey || event.metaKey) {
+        const key = event.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) redo();
+            else undo();
+        }
+        return;
+    }
+    if (event.key === 'm' || event.key === 'M') toggleMeasurements();
+    if (event.key === 'c' || event.key === 'C') toggleClearances();
+    if (event.key === 'f' || event.key === 'F') toggleWalkthrough();
+    if (event.key === 'p' || event.key === 'P') toggleFinishes();
+    if (event.key === 't' || event.key === 'T') toggleTiles();
+    if (event.key === 'l' || event.key === 'L') toggleLighting();
+    if (event.key === 'i' || event.key === 'I') toggleIlluminance();
+    if (event.key === 'u' || event.key === 'U') toggleRoughIn();
+    if (event.key === 'b' || event.key === 'B') toggleBom();
+    if (event.key === 'e' || event.key === 'E') toggleExport();
+    if (event.key === 'r' || event.key === 'R') toggleRender();
+    if (event.key === 'g' || event.key === 'G') toggleAssets();
+    if (event.key === 'k' || event.key === 'K') toggleProducts();
+    if (event.key === 'v' || event.key === 'V') toggleVariants();
+    if (event.key === 'h' || event.key === 'H') toggleHistory();
+    const presetIndex = Number(event.key) - 1;
+    const presetNames = Object.keys(PRESETS);
+    if (presetIndex >= 0 && presetIndex < presetNames.length) goToPreset(presetNames[presetIndex]);
+    if (event.key === 'Escape') {
+        stopCompare();
+        measurements?.cancelTape();
+        selection?.select(null);
+    }
+});
+
+// Camera presets: toolbar menu and number keys 1-5
+function goToPreset(name) {
+    if (!store.state || !PRESETS[name]) return;
+    if (walkthrough?.active) toggleWalkthrough();
+    const view = presetView(name, { camera, room: store.state.room, fixtures, openings: store.state.room.openings });
+    cameraRig.flyTo(view.position, view.target);
+    const menu = document.getElementById('camera-preset');
+    if (menu) menu.value = name;
+}
+
+const presetMenu = document.getElementById('camera-preset');
+if (presetMenu) {
+    Object.entries(PRESETS).forEach(([name, title]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = title;
+        presetMenu.appendChild(option);
+    });
+    presetMenu.addEventListener('change', () => goToPreset(presetMenu.value));
 }
 
 // Handle window resize
@@ -683,6 +985,7 @@ function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    labelRenderer.setSize(window.innerWidth, window.innerHeight);
 }
 
 // Start the scene
@@ -0,0 +1,269 @@
+// Bill of materials
+// Prices the modeled room: wall and ceiling paint (wall area less openings and
+// tiled areas; ceiling and soffits), floor covering, tile, baseboard and casing
+// footage, doors and one line per fixture. Unit prices come from a price table
+// (prices.json by default, ?prices=other.json to swap); the result can be
+// downloaded as CSV or JSON.
+import { wallNames, wallLength, openingsOn, baseboardRuns, roomArea, roomWalls, soffitOutline, wallCoordinates } from './room.js';
+import { surfaceRegion } from './tiles.js';
+
+export const DEFAULT_PRICES_URL = 'prices.json';
+
+const SQ_IN_PER_SQ_FT = 144;
+
+export function pricesUrlFromLocation(search = window.location.search) {
+    return new URLSearchParams(search).get('prices') || DEFAULT_PRICES_URL;
+}
+
+export async function loadPriceTable(url = DEFAULT_PRICES_URL) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`Failed to load price table ${url} (HTTP ${res.status})`);
+    const doc = await res.json();
+    if (!doc.items) throw new Error(`${url}: no "items" defined`);
+    return {
+        currency: 'USD',
+        ...doc,
+        paint: { coverage: 350, coats: 2, ...doc.paint },
+        waste: { flooring: 0.10, trim: 0.10, ...doc.waste }
+    };
+}
+
+// Round up to a purchasable step (whole feet, quarter gallons...)
+function round(value, step) {
+    return Number((Math.ceil(value / step - 1e-9) * step).toFixed(2));
+}
+
+function tileArea(spec) {
+    if (spec.pattern === 'hexagon') return Math.sqrt(3) / 2 * spec.tileWidth * spec.tileWidth;
+    return spec.tileWidth * spec.tileLength;
+}
+
+function rectsArea(rects) {
+    return rects.reduce((sum, r) => sum + (r.u1 - r.u0) * (r.v1 - r.v0), 0);
+}
+
+// Painted area of the soffits' sides, leaving out sides built against a wall.
+// Their undersides stand in for the ceiling above them.
+function soffitSideArea(room) {
+    const walls = roomWalls(room);
+    return (room.soffits || []).reduce((sum, soffit) => {
+        const points = soffitOutline(room, soffit);
+        const drop = room.height - soffit.bottom;
+        return sum + points.reduce((s, a, i) => {
+            const b = points[(i + 1) % points.length];
+            const middle = { x: (a.x + b.x) / 2, y: 0, z: (a.z + b.z) / 2 };
+            const againstWall = walls.some((w) => {
+                const { along, inset } = wallCoordinates(room, w.name, middle);
+                return Math.abs(inset) < 0.5 && Math.abs(along) <= w.length / 2 + 0.5;
+            });
+            return againstWall ? s : s + Math.hypot(b.x - a.x, b.z - a.z) * drop;
+        }, 0);
+    }, 0);
+}
+
+// Build the BOM.
+//   layout       normalized layout (room, fixtures, tiles)
+//   prices       price table from loadPriceTable()
+//   tileReports  [{ spec, report }] from the tile controller, if any
+//   finishes     finish controller, for finish names and the floor kind
+// Returns { name, currency, lines, total, missing } where each line is
+// { category, item, description, quantity, unit, unitPrice, total } and
+// `missing` lists items with no price in the table.
+export function buildBom({ layout, prices, tileReports = [], finishes = null }) {
+    const { room } = layout;
+    const lines = [];
+    const missing = [];
+
+    function add(category, key, description, quantity, fallbackUnit) {
+        const item = prices.items[key];
+        if (!item) missing.push(key);
+        const unitPrice = item ? item.price : null;
+        lines.push({
+            category,
+            item: item?.label || key,
+            description,
+            quantity,
+            unit: item?.unit || fallbackUnit,
+            unitPrice,
+            total: unitPrice == null ? null : Math.round(quantity * unitPrice * 100) / 100
+        });
+    }
+
+    const finishName = (surface) => finishes?.finishName(surface) || null;
+    const tiles = tileReports.length ? tileReports : layout.tiles.map((spec) => ({ spec, report: null }));
+
+    // Paint: every wall face less its openings and any tile on it. A niche's
+    // back stands in for the wall it is cut from and adds its four sides.
+    const paint = prices.paint;
+    let wallArea = 0;
+    wallNames(room).forEach((wall) => {
+        wallArea += wallLength(room, wall) * room.height;
+        openingsOn(room, wall).forEach((o) => {
+            wallArea += o.type === 'niche' ? 2 * (o.width + o.height) * o.depth : -o.width * o.height;
+        });
+    });
+    tiles.filter(({ spec }) => spec.surface !== 'floor').forEach(({ spec }) => {
+        wallArea -= rectsArea(surfaceRegion(room, spec.surface, spec));
+    });
+    const wallSqFt = Math.max(0, wallArea) / SQ_IN_PER_SQ_FT;
+    add('Paint', 'wallPaint',
+        `${finishName('wall') || room.colors.wall}: ${wallSqFt.toFixed(1)} sq ft × ${paint.coats} coats at ${paint.coverage} sq ft/gal`,
+        round(wallSqFt * paint.coats / paint.coverage, 0.25), 'gal');
+    const floorSqFt = roomArea(room) / SQ_IN_PER_SQ_FT;
+    const ceilingSqFt = floorSqFt + soffitSideArea(room) / SQ_IN_PER_SQ_FT;
+    add('Paint', 'ceilingPaint',
+        `${ceilingSqFt.toFixed(1)} sq ft${room.soffits?.length ? ' with soffits' : ''} × ${paint.coats} coats at ${paint.coverage} sq ft/gal`,
+        round(ceilingSqFt * paint.coats / paint.coverage, 0.25), 'gal');
+
+    // Floor covering, unless the floor is tiled
+    if (!tiles.some(({ spec }) => spec.surface === 'floor')) {
+        const floor = finishes?.current('floor');
+        const key = floor && prices.items[`flooring.${floor.kind}`] ? `flooring.${floor.kind}` : 'flooring';
+        const waste = prices.waste.flooring;
+        add('Flooring', key,
+            `${floor ? floor.name : 'Floor'}: ${floorSqFt.toFixed(1)} sq ft + ${Math.round(waste * 100)}% waste`,
+            round(floorSqFt * (1 + waste), 1), 'sq ft');
+    }
+
+    // Tile: ordered tiles (with the area's waste factor), plus grout/setting
+    // materials for the tiled area
+    tiles.forEach(({ spec, report }) => {
+        const where = spec.surface === 'floor' ? 'floor' : `${spec.surface} wall to ${spec.height}"`;
+        const size = spec.pattern === 'hexagon' ? `${spec.tileWidth}" hex` : `${spec.tileWidth}"×${spec.tileLength}"`;
+        const area = report ? report.area : rectsArea(surfaceRegion(room, spec.surface, spec));
+        const order = report ? report.order : Math.ceil(area / tileArea(spec) * 1.15);
+        const counts = report && !report.skipped ? `${report.full} full + ${report.cut} cut, ` : '';
+        add('Tile', 'tile',
+            `${spec.label} (${where}): ${size} ${spec.pattern}, ${counts}order ${order} tiles`,
+            round(order * tileArea(spec) / SQ_IN_PER_SQ_FT, 0.1), 'sq ft');
+        add('Tile', 'grout', `${spec.label}: ${(area / SQ_IN_PER_SQ_FT).toFixed(1)} sq ft tiled`,
+            round(area / SQ_IN_PER_SQ_FT, 0.1), 'sq ft');
+    });
+
+    // Trim: baseboard runs (broken at doors) and casing around each door and window
+    const trimWaste = prices.waste.trim;
+    const baseboard = wallNames(room).reduce((sum, wall) => sum + baseboardRuns(room, wall)
+        .reduce((s, [a, b]) => s + (b - a), 0), 0) / 12;
+    add('Trim', 'baseboard', `${finishName('trim') || 'Trim'}: ${baseboard.toFixed(1)} lin ft + ${Math.round(trimWaste * 100)}% waste`,
+        round(baseboard * (1 + trimWaste), 1), 'lin ft');
+    const doors = (room.openings || []).filter((o) => o.type === 'door');
+    const windows = (room.openings || []).filter((o) => o.type === 'window');
+    if (doors.length || windows.length) {
+        // Doors are cased on the inside face down to the floor; windows all round
+        const casing = (doors.reduce((sum, o) => sum + 2 * (o.height + o.casing) + o.width + 2 * o.casing, 0)
+            + windows.reduce((sum, o) => sum + 2 * (o.height + o.width) + 4 * o.casing, 0)) / 12;
+        const what = [doors.length && `${doors.length} door(s)`, windows.length && `${windows.length} window(s)`].filter(Boolean).join(', ');
+        add('Trim', 'casing', `${what}, one side: ${casing.toFixed(1)} lin ft + ${Math.round(trimWaste * 100)}% waste`,
+            round(casing * (1 + trimWaste), 1), 'lin ft');
+        doors.forEach((o) => add('Doors', 'door', `${o.id}: ${o.width}" × ${o.height}", ${o.hinge} hinge, swings ${o.swing}`, 1, 'ea'));
+    }
+
+    // Fixtures, priced by catalog product first, then by id, then by type
+    layout.fixtures.forEach((spec) => {
+        const key = [spec.product, spec.id].find((k) => k && prices.items[k]) || spec.type;
+        const wood = finishName(spec.id);
+        const { width, height, depth } = spec.target;
+        add('Fixtures', key, `${spec.label}${wood ? ` (${wood})` : ''}: ${width}" W × ${height}" H × ${depth}" D`, 1, 'ea');
+    });
+
+    const total = Math.round(lines.reduce((sum, l) => sum + (l.total || 0), 0) * 100) / 100;
+    return { name: layout.name, currency: prices.currency, lines, total, missing: [...new Set(missing)] };
+}
+
+export function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function bomToCsv(bom) {
+    const rows = [['Category', 'Item', 'Description', 'Quantity', 'Unit', `Unit price (${bom.currency})`, `Total (${bom.currency})`]];
+    bom.lines.forEach((l) => rows.push([l.category, l.item, l.description, l.quantity, l.unit,
+        l.unitPrice == null ? '' : l.unitPrice.toFixed(2), l.total == null ? '' : l.total.toFixed(2)]));
+    rows.push(['', 'Total', '', '', '', '', bom.total.toFixed(2)]);
+    return rows.map((r) => r.map(csvField).join(',')).join('\n') + '\n';
+}
+
+export function bomToJson(bom) {
+    return JSON.stringify({ ...bom, generated: new Date().toISOString() }, null, 2) + '\n';
+}
+
+// Save text as a file through a temporary link
+export function downloadText(filename, text, type) {
+    downloadBlob(filename, new Blob([text], { type }));
+}
+
+export function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function money(value, currency) {
+    return value == null ? '—' : value.toLocaleString(undefined, { style: 'currency', currency });
+}
+
+// Panel listing the BOM with CSV/JSON download buttons.
+//   panel    element to render into
+//   getBom   () => current BOM (rebuilt every time the panel refreshes)
+export function createBomPanel({ panel, getBom }) {
+    let bom = null;
+
+    function slug() {
+        return (bom.name || 'bathroom').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    function refresh() {
+        if (panel.hidden) return;
+        bom = getBom();
+        if (!bom) return;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = `Bill of materials — ${money(bom.total, bom.currency)}`;
+        const table = document.createElement('table');
+        table.className = 'bom';
+        const head = table.insertRow();
+        ['Item', 'Qty', 'Total'].forEach((t) => {
+            const th = document.createElement('th');
+            th.textContent = t;
+            head.appendChild(th);
+        });
+        bom.lines.forEach((l) => {
+            const row = table.insertRow();
+            row.title = l.description;
+            row.insertCell().textContent = l.item;
+            row.insertCell().textContent = `${l.quantity} ${l.unit}`;
+            row.insertCell().textContent = money(l.total, bom.currency);
+        });
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-row';
+        const csv = document.createElement('button');
+        csv.textContent = 'Download CSV';
+        csv.addEventListener('click', () => downloadText(`${slug()}-bom.csv`, bomToCsv(bom), 'text/csv'));
+        const json = document.createElement('button');
+        json.textContent = 'Download JSON';
+        json.addEventListener('click', () => downloadText(`${slug()}-bom.json`, bomToJson(bom), 'application/json'));
+        buttons.append(csv, json);
+        panel.append(heading, table, buttons);
+        if (bom.missing.length) {
+            const note = document.createElement('p');
+            note.className = 'fail';
+            note.textContent = `No price for: ${bom.missing.join(', ')}`;
+            panel.appendChild(note);
+        }
+    }
+
+    return {
+        refresh,
+        setVisible(on) {
+            panel.hidden = !on;
+            refresh();
+        },
+        get visible() { return !panel.hidden; },
+        get bom() { return bom; }
+    };
+}
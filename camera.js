@@ -0,0 +1,141 @@
+// Camera rig
+// OrbitControls (orbit, pan and dolly around a movable target, with touch
+// pinch/drag) plus named presets and smooth animated flights between views.
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { wallPosition } from './room.js';
+
+export const EYE_HEIGHT = 64; // inches
+const DOORWAY_STANDOFF = 12; // inches outside the wall (and an outswinging leaf) for the doorway view
+
+export const PRESETS = {
+    overview: 'Overview',
+    doorway: 'Doorway (eye level)',
+    plan: 'Top-down plan',
+    vanity: 'Vanity close-up',
+    toiletWall: 'Toilet wall elevation'
+};
+
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Distance at which a span of `size` inches fills the camera's view
+function fitDistance(camera, size, horizontal = false) {
+    const vfov = THREE.MathUtils.degToRad(camera.fov);
+    const fov = horizontal ? 2 * Math.atan(Math.tan(vfov / 2) * camera.aspect) : vfov;
+    return (size / 2) / Math.tan(fov / 2);
+}
+
+function fixtureOfType(fixtures, type) {
+    return [...fixtures.values()].find((e) => e.spec.type === type);
+}
+
+// Camera position and target for a preset. Views that frame a fixture fall back
+// to that fixture's usual wall when it has not loaded.
+export function presetView(name, { camera, room, fixtures, openings = [] }) {
+    const { length, width, height } = room;
+    switch (name) {
+        case 'doorway': {
+            const door = openings.find((o) => o.type === 'door');
+            if (!door) return presetView('overview', { camera, room, fixtures, openings });
+            // Standing outside the opening, clear of the wall and the door
+            // leaf so a walkthrough can start there, looking across the room
+            const standoff = DOORWAY_STANDOFF + (door.swing === 'out' ? door.width : 0);
+            return {
+                position: wallPosition(room, door.wall, door.along, EYE_HEIGHT, -standoff),
+                target: wallPosition(room, door.wall, door.along, EYE_HEIGHT - 12, Math.min(width, length) * 0.75)
+            };
+        }
+        case 'plan': {
+            const span = Math.max(fitDistance(camera, length * 1.1), fitDistance(camera, width * 1.1, true));
+            // Above the ceiling (which is invisible from behind); the tiny Z
+            // offset keeps the orbit math away from the pole
+            return {
+                position: new THREE.Vector3(0, Math.max(span, height + 12), 0.01),
+                target: new THREE.Vector3(0, 0, 0)
+            };
+        }
+        case 'vanity': {
+            const vanity = fixtureOfType(fixtures, 'vanity');
+            const wall = vanity ? vanity.spec.wall : 'back';
+            const along = vanity ? vanity.spec.offset.along : 0;
+            return {
+                position: wallPosition(room, wall, along, EYE_HEIGHT - 4, 50),
+                target: wallPosition(room, wall, along, 44, 0)
+            };
+        }
+        case 'toiletWall': {
+            const toilet = fixtureOfType(fixtures, 'toilet');
+            const wall = toilet ? toilet.spec.wall : 'front';
+            const span = Math.max(fitDistance(camera, height * 1.05), fitDistance(camera, width * 1.05, true));
+            return {
+                position: wallPosition(room, wall, 0, height / 2, span),
+                target: wallPosition(room, wall, 0, height / 2, 0)
+            };
+        }
+        default:
+            return {
+                position: new THREE.Vector3(0, height / 2, 260),
+                target: new THREE.Vector3(0, height / 2, 0)
+            };
+    }
+}
+
+// Create the rig. Call update(dt) every frame.
+export function createCameraRig({ camera, domElement }) {
+    const controls = new OrbitControls(camera, domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.08;
+    controls.screenSpacePanning = true;
+    controls.minDistance = 10;
+    controls.maxDistance = 400;
+
+    let flight = null;
+
+    // Animate the camera and orbit target to a new view
+    function flyTo(position, target, duration = 1.2) {
+        flight = {
+            fromPosition: camera.position.clone(),
+            fromTarget: controls.target.clone(),
+            toPosition: position.clone(),
+            toTarget: target.clone(),
+            duration,
+            t: 0
+        };
+        controls.enabled = false;
+    }
+
+    // Jump straight to a view
+    function jumpTo(position, target) {
+        flight = null;
+        camera.position.copy(position);
+        controls.target.copy(target);
+        controls.enabled = true;
+        controls.update();
+    }
+
+    function update(dt) {
+        if (flight) {
+            flight.t = Math.min(1, flight.t + dt / flight.duration);
+            const k = easeInOutCubic(flight.t);
+            camera.position.lerpVectors(flight.fromPosition, flight.toPosition, k);
+            controls.target.lerpVectors(flight.fromTarget, flight.toTarget, k);
+            camera.lookAt(controls.target);
+            if (flight.t >= 1) {
+                flight = null;
+                controls.enabled = true;
+            }
+            return;
+        }
+        controls.update();
+    }
+
+    return {
+        controls,
+        flyTo,
+        jumpTo,
+        update,
+        get flying() { return !!flight; }
+    };
+}
@@ -0,0 +1,322 @@
+// Clearance checker
+// Runs a code profile's rules against the placed fixture bounding boxes, the
+// room's walls and the door swings. Results are listed in a panel; failing
+// fixtures are tinted red and the missing clear space is drawn on the floor.
+// Profiles live in clearance-profiles.json so rules can change without code.
+import * as THREE from 'three';
+import { wallAxes, wallDistance } from './room.js';
+import { swingSector } from './door.js';
+
+export const DEFAULT_PROFILES_URL = 'clearance-profiles.json';
+
+const FAIL_COLOR = 0xff3333;
+const ARC_COLOR = 0xffcc33;
+const OBSTRUCTION_HEIGHT = 60; // anything lower than this blocks clear floor space
+const SAMPLE_STEP = 0.5; // inches, for door swing overlap sampling
+
+export async function loadClearanceProfiles(url = DEFAULT_PROFILES_URL) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`Failed to load clearance profiles ${url} (HTTP ${res.status})`);
+    const doc = await res.json();
+    if (!doc.profiles || !Object.keys(doc.profiles).length) throw new Error(`${url}: no profiles defined`);
+    return doc;
+}
+
+function boxOf(entry) {
+    return new THREE.Box3().setFromObject(entry.group);
+}
+
+function overlaps(aMin, aMax, bMin, bMax) {
+    return aMin < bMax && bMin < aMax;
+}
+
+// Fixtures a rule applies to: matched by type, or by id
+function targets(rule, fixtures) {
+    return [...fixtures.values()].filter((e) => e.spec.type === rule.fixture || e.spec.id === rule.fixture);
+}
+
+// Nearest wall from `origin` along an axis, either way (+1 or -1), met by the
+// fixture's box across its `across` axis; Infinity when none is
+function wallGap(room, box, origin, axis, toward, across) {
+    const direction = new THREE.Vector3();
+    direction[axis] = toward;
+    const hit = wallDistance(room, origin, direction, (box.max[across] - box.min[across]) / 2);
+    return hit ? hit.distance : Infinity;
+}
+
+// Distance from a fixture's centerline (along its wall) to the nearest side
+// wall or fixture beside it
+function centerlineToSide(rule, entry, fixtures, room) {
+    const box = boxOf(entry);
+    const { out, along } = wallAxes(room, entry.spec.wall);
+    const center = (box.min[along] + box.max[along]) / 2;
+    const origin = box.getCenter(new THREE.Vector3());
+    let low = { distance: wallGap(room, box, origin, along, -1, out), by: null };
+    let high = { distance: wallGap(room, box, origin, along, 1, out), by: null };
+
+    fixtures.forEach((other) => {
+        if (other === entry) return;
+        const b = boxOf(other);
+        if (!overlaps(b.min[out], b.max[out], box.min[out], box.max[out])) return;
+        if (!overlaps(b.min.y, b.max.y, 0, box.max.y)) return;
+        if (b.max[along] <= center && center - b.max[along] < low.distance) low = { distance: center - b.max[along], by: other.spec.id };
+        else if (b.min[along] >= center && b.min[along] - center < high.distance) high = { distance: b.min[along] - center, by: other.spec.id };
+        else if (b.min[along] < center && b.max[along] > center) low = { distance: 0, by: other.spec.id };
+    });
+
+    const nearest = low.distance <= high.distance ? low : high;
+    const value = nearest.distance;
+    const pass = value >= rule.min && (rule.max == null || value <= rule.max);
+
+    // Required strip on the floor either side of the centerline
+    const zone = new THREE.Box3().copy(box);
+    zone.min.y = 0;
+    zone.max.y = 0.2;
+    zone.min[along] = center - rule.min;
+    zone.max[along] = center + rule.min;
+    return {
+        value,
+        pass,
+        offenders: pass ? [] : [entry.spec.id, nearest.by].filter(Boolean),
+        zones: pass ? [] : [zone]
+    };
+}
+
+// Clear floor depth in front of a fixture, up to the opposite wall or the
+// first fixture in the way
+function clearInFront(rule, entry, fixtures, room) {
+    const box = boxOf(entry);
+    const { out, along, sign } = wallAxes(room, entry.spec.wall);
+    const front = sign > 0 ? box.max[out] : box.min[out];
+    const halfWidth = (rule.width || box.max[along] - box.min[along]) / 2;
+    const center = (box.min[along] + box.max[along]) / 2;
+    // Out to the nearest wall across the required width
+    const origin = box.getCenter(new THREE.Vector3());
+    origin[out] = front;
+    const direction = new THREE.Vector3();
+    direction[out] = sign;
+    const hit = wallDistance(room, origin, direction, halfWidth);
+    let value = hit ? hit.distance : Infinity;
+    let by = null;
+
+    fixtures.forEach((other) => {
+        if (other === entry) return;
+        const b = boxOf(other);
+        if (!overlaps(b.min[along], b.max[along], center - halfWidth, center + halfWidth)) return;
+        if (!overlaps(b.min.y, b.max.y, 0, OBSTRUCTION_HEIGHT)) return;
+        const face = sign > 0 ? b.min[out] : b.max[out];
+        const distance = (face - front) * sign;
+        if (distance >= 0 && distance < value) {
+            value = distance;
+            by = other.spec.id;
+        }
+    });
+
+    const pass = value >= rule.min;
+    const zone = new THREE.Box3();
+    zone.min.y = 0;
+    zone.max.y = 0.2;
+    zone.min[along] = center - halfWidth;
+    zone.max[along] = center + halfWidth;
+    zone.min[out] = sign > 0 ? front : front - rule.min;
+    zone.max[out] = sign > 0 ? front + rule.min : front;
+    return {
+        value,
+        pass,
+        offenders: pass ? [] : [entry.spec.id, by].filter(Boolean),
+        zones: pass ? [] : [zone]
+    };
+}
+
+// Does any part of the box's floor footprint fall inside the door swing?
+function boxInSwing(box, sector) {
+    if (box.min.y >= sector.height) return false;
+    for (let x = box.min.x; x <= box.max.x + 1e-6; x += SAMPLE_STEP) {
+        for (let z = box.min.z; z <= box.max.z + 1e-6; z += SAMPLE_STEP) {
+            if (sector.contains(Math.min(x, box.max.x), Math.min(z, box.max.z))) return true;
+        }
+    }
+    return false;
+}
+
+// Fixtures hit by each door's swing
+function doorSwing(rule, doors, fixtures, room) {
+    return doors
+        .filter((door) => !rule.door || door.opening.id === rule.door)
+        .map((door) => {
+            const sector = swingSector(room, door.opening);
+            const hit = [...fixtures.values()].filter((e) => boxInSwing(boxOf(e), sector));
+            return {
+                subject: door.opening.id,
+                value: hit.length,
+                pass: hit.length === 0,
+                offenders: hit.map((e) => e.spec.id),
+                zones: [],
+                doors: hit.length ? [door] : [],
+                detail: hit.length ? `hits ${hit.map((e) => e.spec.label).join(', ')}` : 'clear'
+            };
+        });
+}
+
+// Evaluate a list of rules. Returns one result per rule and matching fixture
+// (or door): { rule, subject, pass, value, detail, offenders, zones, doors }.
+export function evaluateClearances(rules, { room, fixtures, doors }) {
+    const results = [];
+    rules.forEach((rule) => {
+        if (rule.type === 'doorSwing') {
+            doorSwing(rule, doors, fixtures, room).forEach((r) => results.push({ rule, doors: [], ...r }));
+            return;
+        }
+        const check = rule.type === 'centerlineToSide' ? centerlineToSide
+            : rule.type === 'clearInFront' ? clearInFront
+            : null;
+        if (!check) {
+            console.warn(`Unknown clearance rule type "${rule.type}" (${rule.id})`);
+            return;
+        }
+        targets(rule, fixtures).forEach((entry) => {
+            const r = check(rule, entry, fixtures, room);
+            results.push({
+                rule,
+                subject: entry.spec.id,
+                doors: [],
+                detail: `${r.value.toFixed(1)}" (min ${rule.min}"${rule.max != null ? `, max ${rule.max}"` : ''})`,
+                ...r
+            });
+        });
+    });
+    return results;
+}
+
+// Red tint for a fixture, restorable. Materials are cloned so shared materials
+// on other fixtures are left alone.
+function tint(group, on) {
+    group.traverse((o) => {
+        if (!o.isMesh) return;
+        if (on) {
+            if (o.userData.untinted) return;
+            o.userData.untinted = o.material;
+            const base = Array.isArray(o.userData.untinted) ? o.userData.untinted : [o.userData.untinted];
+            const tinted = base.map((m) => {
+                const c = m.clone();
+                if (c.emissive) c.emissive.setHex(0x880000);
+                else if (c.color) c.color.lerp(new THREE.Color(FAIL_COLOR), 0.6);
+                return c;
+            });
+            o.material = Array.isArray(o.userData.untinted) ? tinted : tinted[0];
+        } else if (o.userData.untinted) {
+            (Array.isArray(o.material) ? o.material : [o.material]).forEach((m) => m.dispose());
+            o.material = o.userData.untinted;
+            delete o.userData.untinted;
+        }
+    });
+}
+
+function tintArc(door, on) {
+    door.arc.traverse((o) => {
+        if (o.material) o.material.color.setHex(on ? FAIL_COLOR : ARC_COLOR);
+    });
+}
+
+// Create the checker.
+//   scene                     where failure zones are drawn
+//   room, fixtures, doors     what the rules run against
+//   profiles                  parsed clearance-profiles.json
+//   panel                     element that lists results
+export function createClearanceChecker({ scene, room, fixtures, doors, profiles, panel }) {
+    const overlay = new THREE.Group();
+    overlay.name = 'clearances';
+    scene.add(overlay);
+    const zoneMaterial = new THREE.MeshBasicMaterial({ color: FAIL_COLOR, transparent: true, opacity: 0.3, depthWrite: false });
+
+    let active = false;
+    let profileId = profiles.default in profiles.profiles ? profiles.default : Object.keys(profiles.profiles)[0];
+    let results = [];
+    let tinted = [];
+
+    function clearMarks() {
+        tinted.forEach((id) => { const e = fixtures.get(id); if (e) tint(e.group, false); });
+        tinted = [];
+        doors.forEach((door) => tintArc(door, false));
+        overlay.children.forEach((o) => o.geometry.dispose());
+        overlay.clear();
+    }
+
+    function render() {
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Clearance check';
+        const select = document.createElement('select');
+        Object.entries(profiles.profiles).forEach(([id, p]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = p.name;
+            option.selected = id === profileId;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => setProfile(select.value));
+        const list = document.createElement('ul');
+        results.forEach((r) => {
+            const li = document.createElement('li');
+            li.className = r.pass ? 'pass' : 'fail';
+            li.textContent = `${r.pass ? '✓' : '✗'} ${r.rule.label || r.rule.id} (${r.subject}): ${r.detail}`;
+            list.appendChild(li);
+        });
+        if (!results.length) {
+            const li = document.createElement('li');
+            li.textContent = 'No fixtures to check yet.';
+            list.appendChild(li);
+        }
+        panel.append(heading, select, list);
+    }
+
+    // Re-run the active profile and redraw the marks
+    function refresh() {
+        if (!active) return;
+        clearMarks();
+        results = evaluateClearances(profiles.profiles[profileId].rules, { room, fixtures, doors });
+        results.filter((r) => !r.pass).forEach((r) => {
+            r.offenders.forEach((id) => {
+                const e = fixtures.get(id);
+                if (e && !tinted.includes(id)) {
+                    tint(e.group, true);
+                    tinted.push(id);
+                }
+            });
+            r.zones.forEach((zone) => {
+                const size = zone.getSize(new THREE.Vector3());
+                const mesh = new THREE.Mesh(new THREE.BoxGeometry(size.x, Math.max(size.y, 0.2), size.z), zoneMaterial);
+                zone.getCenter(mesh.position);
+                mesh.position.y = 0.1;
+                overlay.add(mesh);
+            });
+            r.doors.forEach((door) => tintArc(door, true));
+        });
+        render();
+        const failed = results.filter((r) => !r.pass).length;
+        console.log(`Clearance check (${profiles.profiles[profileId].name}): ${results.length - failed} pass, ${failed} fail`);
+    }
+
+    function setProfile(id) {
+        if (!profiles.profiles[id]) return;
+        profileId = id;
+        refresh();
+    }
+
+    function setActive(on) {
+        active = on;
+        panel.hidden = !on;
+        overlay.visible = on;
+        if (on) refresh();
+        else clearMarks();
+    }
+
+    return {
+        refresh,
+        setProfile,
+        setActive,
+        toggle() { setActive(!active); },
+        get active() { return active; },
+        get results() { return results; }
+    };
+}
@@ -0,0 +1,79 @@
+// Split-screen compare
+// Renders the live design on the left half of the canvas and another variant's
+// scene on the right, through the same camera so orbiting, panning and presets
+// move both views together.
+import * as THREE from 'three';
+
+// Free the GPU resources of everything in a scene that is being thrown away
+export function disposeScene(scene) {
+    scene.traverse((o) => {
+        if (o.geometry) o.geometry.dispose();
+        (Array.isArray(o.material) ? o.material : [o.material]).forEach((m) => m?.dispose());
+    });
+}
+
+// Create the compare view.
+//   renderer, camera  shared by both halves
+//   bar               element holding the two variant names and an exit button
+//   onExit()          called when the exit button is pressed
+export function createCompareView({ renderer, camera, bar, onExit = () => {} }) {
+    let other = null;
+    const size = new THREE.Vector2();
+
+    function showBar(leftName, rightName) {
+        if (!bar) return;
+        bar.replaceChildren();
+        const left = document.createElement('span');
+        left.textContent = leftName;
+        const exit = document.createElement('button');
+        exit.textContent = 'Exit compare';
+        exit.addEventListener('click', onExit);
+        const right = document.createElement('span');
+        right.textContent = rightName;
+        bar.append(left, exit, right);
+        bar.hidden = false;
+    }
+
+    // Show `scene` on the right, next to the live design
+    function start(scene, leftName, rightName) {
+        if (other) disposeScene(other);
+        other = scene;
+        showBar(leftName, rightName);
+        console.log(`Comparing "${leftName}" with "${rightName}"`);
+    }
+
+    function stop() {
+        if (!other) return;
+        disposeScene(other);
+        other = null;
+        if (bar) bar.hidden = true;
+        renderer.getSize(size);
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+        camera.aspect = size.x / size.y;
+        camera.updateProjectionMatrix();
+    }
+
+    // Draw both halves; `live` is the editable design's scene
+    function render(live) {
+        renderer.getSize(size);
+        const half = Math.floor(size.x / 2);
+        camera.aspect = half / size.y;
+        camera.updateProjectionMatrix();
+        renderer.setScissorTest(true);
+        [[live, 0], [other, half]].forEach(([scene, x]) => {
+            renderer.setViewport(x, 0, half, size.y);
+            renderer.setScissor(x, 0, half, size.y);
+            renderer.render(scene, camera);
+        });
+        renderer.setScissorTest(false);
+    }
+
+    return {
+        start,
+        stop,
+        render,
+        get active() { return !!other; },
+        get scene() { return other; }
+    };
+}
@@ -0,0 +1,195 @@
+// Doors
+// A door opening from the layout gets a casing, a jamb, a hinged leaf with a
+// lever handle and a swing arc drawn on the floor. Everything is built in
+// wall-local coordinates (x along the wall, z into the room) under a wall anchor.
+import * as THREE from 'three';
+import { wallAnchor, wallPosition, wallNormal } from './room.js';
+
+const LEAF_THICKNESS = 1.375;
+const CASING_THICKNESS = 0.75;
+const JAMB_DEPTH = 4.5;
+const HANDLE_HEIGHT = 36;
+const SWING_SPEED = Math.PI; // radians per second
+
+// Sign of the yaw that opens the leaf: hinge side as seen from inside the room,
+// swinging in (into the room) or out
+function openDirection(opening) {
+    const side = opening.hinge === 'left' ? -1 : 1;
+    return opening.swing === 'out' ? -side : side;
+}
+
+function createCasing(opening, material) {
+    const casing = new THREE.Group();
+    const { width, height, casing: trim } = opening;
+    const sideGeometry = new THREE.BoxGeometry(trim, height + trim, CASING_THICKNESS);
+    [-1, 1].forEach((side) => {
+        const piece = new THREE.Mesh(sideGeometry, material);
+        piece.position.set(opening.along + side * (width + trim) / 2, (height + trim) / 2, CASING_THICKNESS / 2);
+        casing.add(piece);
+    });
+    const head = new THREE.Mesh(new THREE.BoxGeometry(width + trim * 2, trim, CASING_THICKNESS), material);
+    head.position.set(opening.along, height + trim / 2, CASING_THICKNESS / 2);
+    casing.add(head);
+
+    // Jamb lining the rough opening, running back through the wall
+    const jambSide = new THREE.BoxGeometry(0.75, height, JAMB_DEPTH);
+    [-1, 1].forEach((side) => {
+        const jamb = new THREE.Mesh(jambSide, material);
+        jamb.position.set(opening.along + side * (width / 2 + 0.375), height / 2, -JAMB_DEPTH / 2);
+        casing.add(jamb);
+    });
+    const jambHead = new THREE.Mesh(new THREE.BoxGeometry(width + 1.5, 0.75, JAMB_DEPTH), material);
+    jambHead.position.set(opening.along, height + 0.375, -JAMB_DEPTH / 2);
+    casing.add(jambHead);
+
+    casing.traverse((o) => { if (o.isMesh) { o.castShadow = true; o.receiveShadow = true; } });
+    return casing;
+}
+
+// Lever handle on both faces of the leaf, `x` measured from the hinge
+function createHandle(x) {
+    const handle = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0.35, metalness: 0.8 });
+    [-1, 1].forEach((face) => {
+        const rose = new THREE.Mesh(new THREE.CylinderGeometry(1.25, 1.25, 0.3, 24), material);
+        rose.rotation.x = Math.PI / 2;
+        rose.position.set(x, HANDLE_HEIGHT, face * (LEAF_THICKNESS / 2 + 0.15));
+        handle.add(rose);
+        const lever = new THREE.Mesh(new THREE.BoxGeometry(4.5, 0.6, 0.6), material);
+        lever.position.set(x - Math.sign(x) * 1.8, HANDLE_HEIGHT, face * (LEAF_THICKNESS / 2 + 1.2));
+        handle.add(lever);
+        const neck = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 1.2, 12), material);
+        neck.rotation.x = Math.PI / 2;
+        neck.position.set(x, HANDLE_HEIGHT, face * (LEAF_THICKNESS / 2 + 0.7));
+        handle.add(neck);
+    });
+    handle.traverse((o) => { if (o.isMesh) o.castShadow = true; });
+    return handle;
+}
+
+// Quarter-disc (or whatever the open angle is) swept by the leaf's free edge
+function createSwingArc(opening, radius, hingeX) {
+    const dir = openDirection(opening);
+    const reach = opening.hinge === 'left' ? radius : -radius;
+    const sweep = THREE.MathUtils.degToRad(opening.openAngle);
+    const shape = new THREE.Shape();
+    shape.moveTo(0, 0);
+    const steps = 32;
+    const arcPoints = [];
+    for (let i = 0; i <= steps; i++) {
+        const a = dir * sweep * (i / steps);
+        // Rotate the free edge about the hinge; shape y is -z because the
+        // shape is laid flat with a -90° turn about X
+        const x = reach * Math.cos(a);
+        const z = -reach * Math.sin(a);
+        shape.lineTo(x, -z);
+        arcPoints.push(new THREE.Vector3(x, 0, z));
+    }
+    shape.closePath();
+
+    const arc = new THREE.Group();
+    arc.name = `${opening.id}SwingArc`;
+    const fill = new THREE.Mesh(
+        new THREE.ShapeGeometry(shape),
+        new THREE.MeshBasicMaterial({ color: 0xffcc33, transparent: true, opacity: 0.18, side: THREE.DoubleSide, depthWrite: false })
+    );
+    fill.rotation.x = -Math.PI / 2;
+    arc.add(fill);
+    const edge = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(arcPoints),
+        new THREE.LineDashedMaterial({ color: 0xffcc33, dashSize: 1.5, gapSize: 1 })
+    );
+    edge.computeLineDistances();
+    arc.add(edge);
+    arc.position.set(hingeX, 0.05, 0);
+    return arc;
+}
+
+// Floor area swept by a door leaf, in world space: the hinge, the leaf's
+// radius, the directions of its free edge when closed and of the side it swings
+// toward, and contains(x, z) to test a floor point against the sector between
+// the closed and fully open leaf.
+export function swingSector(room, opening) {
+    const radius = opening.width - 0.25;
+    const side = opening.hinge === 'left' ? -1 : 1;
+    const hinge = wallPosition(room, opening.wall, opening.along + side * opening.width / 2, 0, 0);
+    const alongWall = wallPosition(room, opening.wall, 1, 0, 0).sub(wallPosition(room, opening.wall, 0, 0, 0));
+    // Free edge direction with the door closed, and the direction it swings toward
+    const closed = alongWall.multiplyScalar(-side);
+    const toward = wallNormal(room, opening.wall).multiplyScalar(opening.swing === 'out' ? -1 : 1);
+    const sweep = THREE.MathUtils.degToRad(opening.openAngle);
+    return {
+        hinge,
+        radius,
+        closed,
+        toward,
+        sweep,
+        height: opening.height,
+        contains(x, z) {
+            const dx = x - hinge.x;
+            const dz = z - hinge.z;
+            if (dx * dx + dz * dz > radius * radius) return false;
+            const a = Math.atan2(dx * toward.x + dz * toward.z, dx * closed.x + dz * closed.z);
+            return a >= 0 && a <= sweep;
+        }
+    };
+}
+
+// Build a door for one layout opening and add it to `parent`. Returns a
+// controller: toggle() starts the swing, update(dt) advances it each frame and
+// pickables lists the meshes that should respond to clicks.
+export function createDoor(room, opening, parent, trimMaterial) {
+    const anchor = wallAnchor(room, opening.wall);
+    anchor.name = opening.id;
+    anchor.add(createCasing(opening, trimMaterial));
+
+    // Leaf hangs from a pivot on the hinge-side jamb, flush with the wall face
+    const leafWidth = opening.width - 0.25;
+    const leafHeight = opening.height - 0.5;
+    const hingeX = opening.along + (opening.hinge === 'left' ? -1 : 1) * opening.width / 2;
+    const reach = opening.hinge === 'left' ? leafWidth : -leafWidth;
+    const pivot = new THREE.Group();
+    pivot.position.set(hingeX, 0, opening.swing === 'out' ? -JAMB_DEPTH + LEAF_THICKNESS : 0);
+
+    const leafMaterial = new THREE.MeshStandardMaterial({ color: opening.color, roughness: 0.45, metalness: 0.0 });
+    const leaf = new THREE.Mesh(new THREE.BoxGeometry(leafWidth, leafHeight, LEAF_THICKNESS), leafMaterial);
+    leaf.name = `${opening.id}Leaf`;
+    leaf.position.set(reach / 2, 0.25 + leafHeight / 2, -LEAF_THICKNESS / 2);
+    leaf.castShadow = true;
+    leaf.receiveShadow = true;
+    pivot.add(leaf);
+    const handle = createHandle(reach - Math.sign(reach) * 2.5);
+    handle.position.z = -LEAF_THICKNESS / 2;
+    pivot.add(handle);
+    anchor.add(pivot);
+
+    const arc = createSwingArc(opening, leafWidth, hingeX);
+    arc.position.z = pivot.position.z;
+    anchor.add(arc);
+    parent.add(anchor);
+
+    const pickables = [leaf];
+    handle.traverse((o) => { if (o.isMesh) pickables.push(o); });
+
+    const openAngle = openDirection(opening) * THREE.MathUtils.degToRad(opening.openAngle);
+    const door = {
+        opening,
+        group: anchor,
+        pivot,
+        arc,
+        pickables,
+        isOpen: false,
+        toggle() {
+            door.isOpen = !door.isOpen;
+            console.log(`${opening.id} ${door.isOpen ? 'opening' : 'closing'}`);
+        },
+        update(dt) {
+            const target = door.isOpen ? openAngle : 0;
+            const delta = target - pivot.rotation.y;
+            if (Math.abs(delta) < 1e-4) return;
+            const step = Math.sign(delta) * Math.min(Math.abs(delta), SWING_SPEED * dt);
+            pivot.rotation.y += step;
+        }
+    };
+    return door;
+}
@@ -0,0 +1,317 @@
+// Plan and elevation drawings
+// Orthographic SVG drawings for the trades: a floor plan and an interior
+// elevation of each wall, drawn in inches at 1/2" = 1'-0". Overall dimensions
+// come from the room's plan and height (with each wall dimensioned on its own
+// when the plan is not a rectangle); fixtures are drawn and dimensioned from
+// the bounding box of each placed model, so they match what is in the 3D view.
+import * as THREE from 'three';
+import { roomWalls, wallLength, wallPosition, wallCoordinates, wallNormal, wallAxes, openingsOn, baseboardRuns, roomBounds } from './room.js';
+import { swingSector } from './door.js';
+
+export const DRAWING_SCALE = 24; // drawing inches per printed inch
+export const SCALE_LABEL = '1/2" = 1\'-0"';
+
+const WALL_THICKNESS = 4.5; // drawn only; the model's walls have no thickness
+const MARGIN = 30; // inches of paper around the room for dimensions and titles
+
+const STYLE = `
+    .wall { fill: #c8c8c8; stroke: #000; stroke-width: 0.5; }
+    .outline { fill: none; stroke: #000; stroke-width: 0.5; }
+    .thin { fill: none; stroke: #000; stroke-width: 0.25; }
+    .fixture { fill: #fff; stroke: #000; stroke-width: 0.4; }
+    .context { fill: none; stroke: #777; stroke-width: 0.25; stroke-dasharray: 2 1.5; }
+    .dim { fill: none; stroke: #000; stroke-width: 0.2; }
+    text { font-family: Arial, Helvetica, sans-serif; font-size: 2.5px; fill: #000; }
+    .label { text-anchor: middle; }
+    .middle { dominant-baseline: central; }
+    .title { font-size: 4px; font-weight: bold; }
+`;
+
+// Feet and inches to the nearest 1/8": 102.5 -> 8'-6 1/2"
+export function formatFeetInches(value) {
+    const eighths = Math.round(Math.abs(value) * 8);
+    const feet = Math.floor(eighths / 96);
+    const whole = Math.floor((eighths % 96) / 8);
+    let numerator = eighths % 8;
+    let denominator = 8;
+    while (numerator && numerator % 2 === 0) {
+        numerator /= 2;
+        denominator /= 2;
+    }
+    const fraction = numerator ? `${numerator}/${denominator}` : '';
+    const inches = fraction && (whole || feet) ? `${whole} ${fraction}` : (fraction || `${whole}`);
+    return feet ? `${feet}'-${inches}"` : `${inches}"`;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function n(value) {
+    return Number(value.toFixed(2));
+}
+
+function line(x1, y1, x2, y2, cls = 'thin') {
+    return `<line x1="${n(x1)}" y1="${n(y1)}" x2="${n(x2)}" y2="${n(y2)}" class="${cls}"/>`;
+}
+
+function rect(x, y, width, height, cls) {
+    return `<rect x="${n(x)}" y="${n(y)}" width="${n(width)}" height="${n(height)}" class="${cls}"/>`;
+}
+
+function polygon(points, cls) {
+    return `<polygon points="${points.map(([x, y]) => `${n(x)},${n(y)}`).join(' ')}" class="${cls}"/>`;
+}
+
+function text(x, y, content, { cls = 'label', angle = 0 } = {}) {
+    const turn = angle ? ` transform="rotate(${n(angle)} ${n(x)} ${n(y)})"` : '';
+    return `<text x="${n(x)}" y="${n(y)}" class="${cls}"${turn}>${escapeXml(content)}</text>`;
+}
+
+// Label lines centered on (x, y)
+function labelBlock(x, y, lines) {
+    const top = y - (lines.length - 1) * 1.5 + 0.9;
+    return lines.map((l, i) => text(x, top + i * 3, l)).join('');
+}
+
+// Dimension from a to b, drawn `offset` to the left of the a->b direction
+// (negative for the right; 0 on the points themselves), with extension lines,
+// slash ticks and the length written on the far side from the object
+function dimension([x1, y1], [x2, y2], offset, label = formatFeetInches(Math.hypot(x2 - x1, y2 - y1))) {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (length < 0.5) return '';
+    const [ux, uy] = [(x2 - x1) / length, (y2 - y1) / length];
+    const [nx, ny] = [uy, -ux];
+    const side = Math.sign(offset) || 1;
+    const [ax, ay] = [x1 + nx * offset, y1 + ny * offset];
+    const [bx, by] = [x2 + nx * offset, y2 + ny * offset];
+    const parts = [line(ax, ay, bx, by, 'dim')];
+    if (offset) {
+        [[x1, y1, ax, ay], [x2, y2, bx, by]].forEach(([px, py, qx, qy]) => {
+            parts.push(line(px + nx * side, py + ny * side, qx + nx * side * 1.5, qy + ny * side * 1.5, 'dim'));
+        });
+    }
+    // 45° slashes at both ends
+    const [tx, ty] = [(ux + nx) * 0.9, (uy + ny) * 0.9];
+    [[ax, ay], [bx, by]].forEach(([x, y]) => parts.push(line(x - tx, y - ty, x + tx, y + ty, 'dim')));
+    // Readable from the bottom or the right of the sheet
+    const angle = ((THREE.MathUtils.radToDeg(Math.atan2(uy, ux)) + 90) % 180 + 180) % 180 - 90;
+    const [mx, my] = [(ax + bx) / 2 + nx * side * 2, (ay + by) / 2 + ny * side * 2];
+    parts.push(text(mx, my, label, { cls: 'label middle', angle }));
+    return parts.join('');
+}
+
+function svgDocument([minX, minY, width, height], body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${n(width / DRAWING_SCALE)}in" height="${n(height / DRAWING_SCALE)}in" viewBox="${n(minX)} ${n(minY)} ${n(width)} ${n(height)}">
+<style>${STYLE}</style>
+<rect x="${n(minX)}" y="${n(minY)}" width="${n(width)}" height="${n(height)}" fill="#fff"/>
+${body.filter(Boolean).join('\n')}
+</svg>
+`;
+}
+
+function titleBlock(x, y, title, name) {
+    return [
+        text(x, y, title, { cls: 'title' }),
+        text(x, y + 4, `${name ? `${name} · ` : ''}Scale ${SCALE_LABEL} · dimensions in feet and inches`, { cls: '' })
+    ].join('');
+}
+
+// World-space bounding box of each placed fixture: [{ spec, box }]
+function fixtureBoxes(fixtures) {
+    return [...fixtures.values()].map(({ spec, group }) => ({ spec, box: new THREE.Box3().setFromObject(group) }));
+}
+
+// Width along the wall and depth out of it of a box against `wall`
+function planSize(room, wall, size) {
+    const axes = wallAxes(room, wall);
+    return [size[axes.along], size[axes.out]];
+}
+
+// Where a wall's outer face meets that of `other` on the miter, along the wall
+// from the corner they share: beyond the wall's end at an inside corner, short
+// of it at an outside one
+function miter(wall, other, t) {
+    return -other.normal.dot(wall.direction) * t / Math.max(1 + wall.normal.dot(other.normal), 0.1);
+}
+
+// Floor plan: walls broken at their openings, niches, window glazing, door
+// leaves with their swing, every fixture's footprint, and the room's width and
+// length (and each wall's, when the plan is not a rectangle).
+//   room      layout room
+//   fixtures  Map of id -> { spec, group } for the placed fixtures
+//   name      design name for the title
+export function planSvg({ room, fixtures, name = '' }) {
+    const t = WALL_THICKNESS;
+    const body = [];
+    const plan = (v) => [v.x, v.z];
+    const walls = roomWalls(room);
+
+    // Walls as bands outside the room, mitered where they meet
+    walls.forEach((w, i) => {
+        const half = w.length / 2;
+        const ends = [
+            -half + miter(w, walls[(i + walls.length - 1) % walls.length], t),
+            half + miter(w, walls[(i + 1) % walls.length], t)
+        ];
+        const gaps = openingsOn(room, w.name)
+            .filter((o) => o.type !== 'niche')
+            .map((o) => [o.along - o.width / 2, o.along + o.width / 2])
+            .sort((a, b) => a[0] - b[0]);
+        let start = -half;
+        [...gaps, [half, half]].forEach(([g0, g1]) => {
+            if (g0 > start) {
+                body.push(polygon([
+                    plan(wallPosition(room, w.name, start, 0, 0)),
+                    plan(wallPosition(room, w.name, g0, 0, 0)),
+                    plan(wallPosition(room, w.name, g0 < half ? g0 : ends[1], 0, -t)),
+                    plan(wallPosition(room, w.name, start > -half ? start : ends[0], 0, -t))
+                ], 'wall'));
+            }
+            start = Math.max(start, g1);
+        });
+    });
+
+    (room.openings || []).forEach((o) => {
+        const at = (along, inset) => plan(wallPosition(room, o.wall, along, 0, inset));
+        const [a0, a1] = [o.along - o.width / 2, o.along + o.width / 2];
+        if (o.type === 'niche') {
+            // Recess above the cut, in the thickness of the wall
+            body.push(polygon([at(a0, 0), at(a0, -o.depth), at(a1, -o.depth), at(a1, 0)], 'context'));
+            body.push(labelBlock(...at(o.along, 6), [`${formatFeetInches(o.width)} niche`]));
+            return;
+        }
+        if (o.type === 'window') {
+            // Wall faces and the glass across the opening
+            [0, -t / 2, -t].forEach((inset) => body.push(line(...at(a0, inset), ...at(a1, inset), inset === -t / 2 ? 'outline' : 'thin')));
+            body.push(labelBlock(...at(o.along, 9), [`${formatFeetInches(o.width)} window`, `sill ${formatFeetInches(o.sill)}`]));
+            return;
+        }
+        const sector = swingSector(room, o);
+        const open = sector.closed.clone().multiplyScalar(Math.cos(sector.sweep))
+            .addScaledVector(sector.toward, Math.sin(sector.sweep))
+            .multiplyScalar(sector.radius).add(sector.hinge);
+        const shut = sector.closed.clone().multiplyScalar(sector.radius).add(sector.hinge);
+        const turn = sector.closed.x * sector.toward.z - sector.closed.z * sector.toward.x > 0 ? 1 : 0;
+        body.push(line(sector.hinge.x, sector.hinge.z, open.x, open.z, 'outline'));
+        body.push(`<path d="M ${n(shut.x)} ${n(shut.z)} A ${n(sector.radius)} ${n(sector.radius)} 0 ${sector.sweep > Math.PI ? 1 : 0} ${turn} ${n(open.x)} ${n(open.z)}" class="context"/>`);
+        body.push(labelBlock(...at(o.along, -t - 5), [`${formatFeetInches(o.width)} × ${formatFeetInches(o.height)} door`]));
+    });
+
+    fixtureBoxes(fixtures).forEach(({ spec, box }) => {
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        // Ceiling fixtures are above the cut
+        body.push(rect(box.min.x, box.min.z, size.x, size.z, spec.mount === 'ceiling' ? 'context' : 'fixture'));
+        const [along, depth] = planSize(room, spec.wall, size);
+        // Labels of shallow wall fixtures go out in the room beside them
+        const local = wallCoordinates(room, spec.wall, center);
+        const at = depth < 8 ? wallPosition(room, spec.wall, local.along, 0, local.inset + depth / 2 + 5) : center;
+        body.push(labelBlock(at.x, at.z, [spec.label, `${formatFeetInches(along)} × ${formatFeetInches(depth)}`]));
+    });
+
+    // Overall width and length, outside the wall-by-wall string on an outline plan
+    const { min, max } = roomBounds(room);
+    const overall = room.outline ? 18 : 8;
+    if (room.outline) {
+        walls.forEach((w) => {
+            const outer = (v) => plan(v.clone().addScaledVector(w.normal, -t));
+            body.push(dimension(outer(w.start), outer(w.end), 8));
+        });
+    }
+    body.push(dimension([min.x, min.z - t], [max.x, min.z - t], overall, formatFeetInches(max.x - min.x)));
+    body.push(dimension([max.x + t, min.z], [max.x + t, max.z], overall, formatFeetInches(max.z - min.z)));
+
+    const view = [min.x - MARGIN, min.z - MARGIN, max.x - min.x + MARGIN * 2, max.z - min.z + MARGIN * 2 + 8];
+    body.push(titleBlock(view[0] + 4, max.z + MARGIN - 6, 'Floor plan', name));
+    return svgDocument(view, body);
+}
+
+// Interior elevation of one wall, seen from inside the room: the wall with
+// floor and ceiling cut, baseboards, cased openings and niches, the fixtures
+// hung on or standing against it (drawn and dimensioned), and those on walls
+// that do not face it in profile as dashed outlines.
+//   room      layout room
+//   fixtures  Map of id -> { spec, group } for the placed fixtures
+//   wall      name of one of the room's walls
+//   name      design name for the title
+export function elevationSvg({ room, fixtures, wall, name = '' }) {
+    const length = wallLength(room, wall);
+    const { height } = room;
+    const t = WALL_THICKNESS;
+    const body = [];
+    // Drawing x runs left to right across the wall from its left corner, y down from the ceiling
+    const x = (along) => along + length / 2;
+    const y = (h) => height - h;
+
+    // Floor, ceiling and side walls in section, then the wall face
+    body.push(rect(-t, y(0), length + t * 2, t, 'wall'));
+    body.push(rect(-t, -t, length + t * 2, t, 'wall'));
+    body.push(rect(-t, 0, t, height, 'wall'));
+    body.push(rect(length, 0, t, height, 'wall'));
+    body.push(rect(0, 0, length, height, 'outline'));
+
+    baseboardRuns(room, wall).forEach(([a0, a1]) => {
+        body.push(rect(x(a0), y(room.baseboardHeight), a1 - a0, room.baseboardHeight, 'thin'));
+    });
+
+    openingsOn(room, wall).forEach((o) => {
+        const bottom = o.sill || 0;
+        const trim = o.casing || 0;
+        const cased = o.type === 'window' ? trim * 2 : trim;
+        body.push(rect(x(o.along - o.width / 2 - trim), y(bottom + o.height + trim), o.width + trim * 2, o.height + cased, 'fixture'));
+        body.push(rect(x(o.along - o.width / 2), y(bottom + o.height), o.width, o.height, 'outline'));
+        const what = { window: 'Window', niche: 'Niche' }[o.type] || 'Door';
+        body.push(labelBlock(x(o.along), y(bottom + o.height / 2), [what, `${formatFeetInches(o.width)} × ${formatFeetInches(o.height)}`]));
+        if (bottom) body.push(dimension([x(o.along + o.width / 2 + trim + 3), y(bottom)], [x(o.along + o.width / 2 + trim + 3), y(0)], 0, `${formatFeetInches(bottom)} sill`));
+    });
+
+    // Each fixture's box in wall coordinates
+    const projected = fixtureBoxes(fixtures).map(({ spec, box }) => {
+        const corners = [];
+        [box.min.x, box.max.x].forEach((px) => [box.min.y, box.max.y].forEach((py) => [box.min.z, box.max.z].forEach((pz) => {
+            corners.push(wallCoordinates(room, wall, new THREE.Vector3(px, py, pz)));
+        })));
+        return {
+            spec,
+            a0: Math.min(...corners.map((c) => c.along)),
+            a1: Math.max(...corners.map((c) => c.along)),
+            y0: Math.min(...corners.map((c) => c.y)),
+            y1: Math.max(...corners.map((c) => c.y))
+        };
+    });
+
+    // Fixtures on the walls facing this one are behind the viewer
+    const facing = wallNormal(room, wall);
+    projected.filter(({ spec }) => spec.wall !== wall && wallNormal(room, spec.wall).dot(facing) > -0.5).forEach((f) => {
+        body.push(rect(x(f.a0), y(f.y1), f.a1 - f.a0, f.y1 - f.y0, 'context'));
+    });
+
+    const own = projected.filter(({ spec }) => spec.wall === wall).sort((a, b) => a.a0 - b.a0);
+    own.forEach((f) => {
+        const w = f.a1 - f.a0;
+        const h = f.y1 - f.y0;
+        body.push(rect(x(f.a0), y(f.y1), w, h, 'fixture'));
+        const lines = [f.spec.label, `${formatFeetInches(w)} W × ${formatFeetInches(h)} H`];
+        // Small fixtures get their label above them
+        if (h < 10 || w < 14) body.push(labelBlock(x((f.a0 + f.a1) / 2), y(f.y1) - 5, lines));
+        else body.push(labelBlock(x((f.a0 + f.a1) / 2), y((f.y0 + f.y1) / 2), lines));
+        // Height of the bottom above the floor for anything hung on the wall
+        if (f.y0 > 0.5) body.push(dimension([x(f.a1) + 2, y(f.y0)], [x(f.a1) + 2, y(0)], 0, `${formatFeetInches(f.y0)} AFF`));
+    });
+
+    // String of dimensions along the floor from the left corner through each
+    // fixture's edges, then the wall's overall length
+    const stops = [...new Set([0, ...own.flatMap((f) => [x(f.a0), x(f.a1)]), length]
+        .map((v) => Math.round(THREE.MathUtils.clamp(v, 0, length) * 8) / 8))]
+        .sort((a, b) => a - b);
+    stops.slice(1).forEach((stop, i) => body.push(dimension([stops[i], height + t], [stop, height + t], -6)));
+    body.push(dimension([0, height + t], [length, height + t], -14, formatFeetInches(length)));
+    body.push(dimension([-t, 0], [-t, height], -8, formatFeetInches(height)));
+
+    const view = [-MARGIN, -MARGIN, length + MARGIN * 2, height + MARGIN * 2 + 8];
+    const title = `${wall[0].toUpperCase()}${wall.slice(1)} wall elevation`;
+    body.push(titleBlock(-MARGIN + 4, height + MARGIN + 2, title, name));
+    return svgDocument(view, body);
+}
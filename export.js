@@ -0,0 +1,173 @@
+// Design export
+// The assembled room leaves the browser as a GLB (for any 3D tool) or a USDZ
+// (for AR Quick Look on a client's phone), both in meters, and as SVG plan and
+// elevation drawings from drawings.js. Editing overlays (dimension lines,
+// clearance marks, heatmaps, door swing arcs, the selection box) stay out of
+// the models; lights go into the GLB in real candela (lux for the sun).
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { USDZExporter } from 'three/addons/exporters/USDZExporter.js';
+import { METERS_PER_INCH, LUX_TO_SCENE } from './lighting.js';
+import { wallNames } from './room.js';
+import { planSvg, elevationSvg, SCALE_LABEL } from './drawings.js';
+import { downloadBlob, downloadText } from './bom.js';
+
+// Scene children that only exist while editing
+const OVERLAYS = ['measurements', 'clearances', 'illuminance', 'roughIn'];
+
+// Dimension lines, clearance marks, heatmaps, rough-in markers, swing arcs, the
+// selection box and labels: drawn while editing, left out of models and presentation renders
+export function isEditingOverlay(o) {
+    return OVERLAYS.includes(o.name) || o.name.endsWith('SwingArc') || o.isLine || o.isPoints || o.isCSS2DObject;
+}
+
+function isOverlay(o) {
+    // Non-physical fill light has no glTF or USD equivalent
+    return isEditingOverlay(o) || o.isAmbientLight || o.isHemisphereLight;
+}
+
+// Point a copied spot or sun light down its own -Z at where the original's
+// target is, with the target as a child: the form glTF stores lights in
+function aimLight(copy, original) {
+    original.target.updateMatrixWorld();
+    const from = original.getWorldPosition(new THREE.Vector3());
+    const to = original.target.getWorldPosition(new THREE.Vector3());
+    const world = new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().lookAt(from, to, new THREE.Vector3(0, 1, 0)));
+    const parent = original.parent.getWorldQuaternion(new THREE.Quaternion());
+    copy.quaternion.copy(parent.invert().multiply(world));
+    copy.target = new THREE.Object3D();
+    copy.target.position.set(0, 0, -1);
+    copy.add(copy.target);
+}
+
+// Copy of the scene's room and fixtures for export, scaled from inches to
+// meters. Geometry and materials are shared with the scene, so nothing needs
+// disposing afterwards.
+//   exclude  further scene children to leave out (an import preview)
+export function exportableRoom(scene, { exclude = [] } = {}) {
+    scene.updateMatrixWorld(true);
+    const root = new THREE.Group();
+    root.name = scene.name || 'Bathroom';
+    root.scale.setScalar(METERS_PER_INCH);
+    scene.children.forEach((child) => {
+        if (!child.visible || exclude.includes(child) || isOverlay(child)) return;
+        const copy = child.clone();
+        const originals = [];
+        const copies = [];
+        child.traverse((o) => originals.push(o));
+        copy.traverse((o) => copies.push(o));
+        const overlays = [];
+        copies.forEach((o, i) => {
+            const original = originals[i];
+            if (isOverlay(o)) {
+                overlays.push(o);
+                return;
+            }
+            // The model's own material rather than a clearance-check tint
+            if (original.userData.untinted) o.material = original.userData.untinted;
+            delete o.userData.untinted;
+            if (o.isPointLight || o.isSpotLight) {
+                o.intensity = original.intensity / LUX_TO_SCENE * METERS_PER_INCH * METERS_PER_INCH;
+                o.distance *= METERS_PER_INCH;
+            }
+            if (o.isDirectionalLight) o.intensity = original.intensity / LUX_TO_SCENE;
+            if (o.isSpotLight || o.isDirectionalLight) aimLight(o, original);
+        });
+        overlays.forEach((o) => o.removeFromParent());
+        root.add(copy);
+    });
+    root.updateMatrixWorld(true);
+    return root;
+}
+
+export async function exportGLB(scene, options) {
+    return new GLTFExporter().parseAsync(exportableRoom(scene, options), { binary: true });
+}
+
+export async function exportUSDZ(scene, options) {
+    return new USDZExporter().parse(exportableRoom(scene, options), { quickLookCompatible: true });
+}
+
+// Panel with the 3D model and drawing downloads.
+//   panel        element to render into
+//   getScene()   scene to export
+//   getLayout()  layout being edited, for the room and the design name
+//   getFixtures()  Map of id -> { spec, group } for the placed fixtures
+//   getExcluded()  scene children to leave out of the models
+export function createExportPanel({ panel, getScene, getLayout, getFixtures, getExcluded = () => [] }) {
+    let status = null;
+
+    function slug() {
+        return (getLayout()?.name || 'bathroom').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    function report(message, failed = false) {
+        if (!status) return;
+        status.textContent = message;
+        status.className = failed ? 'fail' : '';
+    }
+
+    async function model(kind) {
+        report(`Exporting ${kind.toUpperCase()}…`);
+        try {
+            const options = { exclude: getExcluded() };
+            const data = kind === 'glb' ? await exportGLB(getScene(), options) : await exportUSDZ(getScene(), options);
+            const type = kind === 'glb' ? 'model/gltf-binary' : 'model/vnd.usdz+zip';
+            downloadBlob(`${slug()}.${kind}`, new Blob([data], { type }));
+            report(`Saved ${slug()}.${kind}`);
+        } catch (e) {
+            console.error(e);
+            report(`${kind.toUpperCase()} export failed: ${e.message}`, true);
+        }
+    }
+
+    function drawing(wall) {
+        const layout = getLayout();
+        if (!layout) return;
+        const args = { room: layout.room, fixtures: getFixtures(), name: layout.name };
+        const svg = wall ? elevationSvg({ ...args, wall }) : planSvg(args);
+        const file = `${slug()}-${wall ? `${wall}-elevation` : 'plan'}.svg`;
+        downloadText(file, svg, 'image/svg+xml');
+        report(`Saved ${file}`);
+    }
+
+    function buttonRow(title, buttons) {
+        const heading = document.createElement('p');
+        heading.textContent = title;
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+        buttons.forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', action);
+            row.appendChild(button);
+        });
+        return [heading, row];
+    }
+
+    function render() {
+        if (!panel || panel.hidden) return;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Export';
+        status = document.createElement('p');
+        panel.append(
+            heading,
+            ...buttonRow('3D model in meters', [['GLB', () => model('glb')], ['USDZ (AR)', () => model('usdz')]]),
+            ...buttonRow(`Drawings (SVG, ${SCALE_LABEL})`, [
+                ['Plan', () => drawing(null)],
+                ...wallNames(getLayout()?.room || {}).map((wall) => [`${wall[0].toUpperCase()}${wall.slice(1)} elevation`, () => drawing(wall)])
+            ]),
+            status
+        );
+    }
+
+    return {
+        render,
+        setVisible(on) {
+            panel.hidden = !on;
+            render();
+        },
+        get visible() { return !panel.hidden; }
+    };
+}
@@ -0,0 +1,340 @@
+// Finishes
+// Paint colors, floor coverings and wood finishes from a catalog
+// (finishes.json), applied live to the room surfaces and to fixtures that take
+// a wood finish. Every surface uses MeshStandardMaterial so it lights the same
+// way as the fixtures. The chosen finish ids are kept in the layout's
+// `finishes` object, keyed by surface ("wall", "trim", "floor") or fixture id.
+import * as THREE from 'three';
+
+export const DEFAULT_FINISHES_URL = 'finishes.json';
+
+const PAINT_SURFACES = ['wall', 'trim'];
+const ROUGHNESS = { wall: 0.9, trim: 0.35, ceiling: 0.95 }; // eggshell, semi-gloss, flat
+const MAP_KEYS = ['map', 'normalMap', 'roughnessMap', 'aoMap'];
+const PATTERN_PX = 512;
+const DEFAULT_FINISH_PARTS = ['wood'];
+
+export async function loadFinishCatalog(url = DEFAULT_FINISHES_URL) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`Failed to load finish catalog ${url} (HTTP ${res.status})`);
+    const doc = await res.json();
+    return { paints: doc.paints || [], floors: doc.floors || [], woods: doc.woods || [] };
+}
+
+export function describePaint(paint) {
+    const maker = [paint.brand, paint.code].filter(Boolean).join(' ');
+    return maker ? `${paint.name} (${maker})` : paint.name;
+}
+
+// Repeatable grayscale texture for a plank or tile layout; the finish color
+// tints it through material.color. One repeat covers `unit` inches.
+function patternTexture(pattern) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = PATTERN_PX;
+    const ctx = canvas.getContext('2d');
+    const planks = pattern.type === 'planks';
+    // Planks: four boards side by side, each with one butt joint; tiles: one tile
+    const unit = planks ? [pattern.width * 4, pattern.length] : [pattern.width, pattern.length];
+    const px = PATTERN_PX / unit[0];
+    const py = PATTERN_PX / unit[1];
+    const joint = Math.max(1, (pattern.joint || 0.0625) * px);
+
+    ctx.fillStyle = '#8a8a8a';
+    ctx.fillRect(0, 0, PATTERN_PX, PATTERN_PX);
+    if (planks) {
+        let seed = 7;
+        const random = () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647; };
+        for (let i = 0; i < 4; i++) {
+            const x = i * pattern.width * px;
+            const w = pattern.width * px - joint;
+            const cut = (0.15 + 0.7 * random()) * PATTERN_PX;
+            [[0, cut - joint], [cut, PATTERN_PX - cut]].forEach(([y, h]) => {
+                const shade = Math.round(215 + 40 * random());
+                ctx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+                ctx.fillRect(x, y, w, h);
+            });
+        }
+    } else {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(joint / 2, joint / 2, PATTERN_PX - joint, pattern.length * py - joint);
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.userData.unit = unit;
+    return texture;
+}
+
+// Create the finish controller.
+//   catalog     parsed finishes.json
+//   room        layout room, for floor texture repeats and fallback colors
+//   selected    layout.finishes, updated as finishes are chosen
+//   renderer    for texture anisotropy
+//   panel       element that holds the finish pickers
+//   info        element that lists the chosen finishes
+//   onChange()  called after a finish is swapped
+export function createFinishes({ catalog, room, selected, renderer, panel, info, onChange = () => {} }) {
+    const anisotropy = renderer?.capabilities?.getMaxAnisotropy ? renderer.capabilities.getMaxAnisotropy() : 1;
+    const textureLoader = new THREE.TextureLoader();
+    const textures = new Map(); // path + repeat -> Texture
+    const missing = new Set(); // paths that failed to load, not retried
+
+    const materials = {
+        wall: new THREE.MeshStandardMaterial({ color: room.colors.wall, roughness: ROUGHNESS.wall, metalness: 0.0 }),
+        trim: new THREE.MeshStandardMaterial({ color: room.colors.trim, roughness: ROUGHNESS.trim, metalness: 0.0 }),
+        floor: new THREE.MeshStandardMaterial({ color: room.colors.floor, roughness: 0.6, metalness: 0.0 }),
+        ceiling: new THREE.MeshStandardMaterial({ color: room.colors.ceiling, roughness: ROUGHNESS.ceiling, metalness: 0.0 })
+    };
+    // Fixtures with a wood finish: id -> { spec, parts, originals, material }
+    const woodFixtures = new Map();
+
+    function optionsFor(surface) {
+        if (PAINT_SURFACES.includes(surface)) return catalog.paints;
+        if (surface === 'floor') return catalog.floors;
+        return catalog.woods;
+    }
+
+    function find(surface, id) {
+        return optionsFor(surface).find((f) => f.id === id) || null;
+    }
+
+    // Image texture for a map path, shared by every material with the same repeat
+    function imageTexture(path, key, repeat, onLoad) {
+        const cacheKey = `${path}|${repeat.x}|${repeat.y}`;
+        if (textures.has(cacheKey)) {
+            onLoad(textures.get(cacheKey));
+            return;
+        }
+        if (missing.has(path)) return;
+        textureLoader.load(path, (tex) => {
+            if (key === 'map') tex.colorSpace = THREE.SRGBColorSpace;
+            tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+            tex.repeat.copy(repeat);
+            tex.anisotropy = anisotropy;
+            textures.set(cacheKey, tex);
+            onLoad(tex);
+        }, undefined, () => {
+            if (missing.has(path)) return;
+            missing.add(path);
+            console.warn('Missing texture:', path);
+        });
+    }
+
+    // Color, roughness and maps of a floor or wood finish onto a material.
+    // `area` is the surface size in inches, for texture repeats.
+    function applyTextured(material, finish, area) {
+        material.color.set(finish.color);
+        material.roughness = finish.roughness ?? 0.6;
+        material.metalness = finish.metalness ?? 0.0;
+        MAP_KEYS.forEach((key) => { material[key] = null; });
+        if (finish.pattern) {
+            const tex = patternTexture(finish.pattern);
+            tex.repeat.set(area.x / tex.userData.unit[0], area.y / tex.userData.unit[1]);
+            tex.anisotropy = anisotropy;
+            material.map = tex;
+        }
+        material.needsUpdate = true;
+        if (!finish.maps) return;
+        const [w, h] = finish.mapSize || [24, 24];
+        const repeat = new THREE.Vector2(area.x / w, area.y / h);
+        Object.entries(finish.maps).forEach(([key, path]) => {
+            if (!MAP_KEYS.includes(key)) return;
+            imageTexture(path, key, repeat, (tex) => {
+                // Only if the finish is still the one on this material
+                if (material.userData.finish !== finish.id) return;
+                material[key] = tex;
+                // The photo carries the color itself
+                if (key === 'map') material.color.set(0xffffff);
+                material.needsUpdate = true;
+            });
+        });
+    }
+
+    // Meshes of a placed fixture that take its wood finish: those whose mesh or
+    // material name contains one of spec.finishParts. Placeholder boxes take
+    // it everywhere, as do procedural models that don't name their wood parts.
+    function finishParts(spec, group) {
+        const names = (spec.finishParts || DEFAULT_FINISH_PARTS).map((n) => n.toLowerCase());
+        const meshes = [];
+        group.traverse((o) => { if (o.isMesh) meshes.push(o); });
+        const source = group.userData.fixture?.source;
+        if (source === 'fallback') return meshes;
+        const parts = meshes.filter((o) => {
+            const materialName = Array.isArray(o.material) ? o.material.map((m) => m.name).join(' ') : o.material?.name;
+            const text = `${o.name} ${materialName || ''}`.toLowerCase();
+            return names.some((n) => text.includes(n));
+        });
+        if (source === 'procedural') return parts.length ? parts : meshes;
+        if (!parts.length) {
+            const found = [...new Set(meshes.flatMap((o) => (Array.isArray(o.material) ? o.material : [o.material]).map((m) => m?.name)).filter(Boolean))];
+            console.warn(`${spec.label}: no parts match finishParts ${JSON.stringify(names)}; material names are ${JSON.stringify(found)}`);
+        }
+        return parts;
+    }
+
+    function assignWood(entry, material = entry.material) {
+        entry.parts.forEach((o, i) => {
+            const m = Array.isArray(material) ? material[i] : material;
+            // A clearance tint keeps the original material aside; swap that instead
+            if (o.userData.untinted) o.userData.untinted = m;
+            else o.material = m;
+        });
+    }
+
+    // Back to the layout color, or to the model's own materials, without
+    // re-rendering the panel or reporting the change
+    function clearFinish(surface) {
+        delete selected[surface];
+        if (PAINT_SURFACES.includes(surface)) {
+            materials[surface].color.set(room.colors[surface]);
+        } else if (surface === 'floor') {
+            materials.floor.userData.finish = null;
+            applyTextured(materials.floor, { color: room.colors.floor }, new THREE.Vector2(room.width, room.length));
+        } else if (woodFixtures.has(surface)) {
+            const entry = woodFixtures.get(surface);
+            assignWood(entry, entry.originals);
+        }
+    }
+
+    function clear(surface) {
+        clearFinish(surface);
+        renderPanel();
+        updateInfo();
+        onChange(surface, null);
+    }
+
+    // Re-apply every surface from `selected` after it was changed from outside
+    // (undo/redo). Only the materials change; whoever changed `selected`
+    // refreshes what depends on it.
+    function refresh() {
+        surfaces().forEach(({ id }) => {
+            if (selected[id]) applyFinish(id, selected[id]);
+            else clearFinish(id);
+        });
+        renderPanel();
+        updateInfo();
+    }
+
+    // Put a catalog finish on a surface's materials; the finish, or null for
+    // an unknown id
+    function applyFinish(surface, id) {
+        const finish = find(surface, id);
+        if (!finish) {
+            console.warn(`Unknown ${surface} finish "${id}"`);
+            return null;
+        }
+        selected[surface] = id;
+        if (PAINT_SURFACES.includes(surface)) {
+            materials[surface].color.set(finish.hex);
+        } else if (surface === 'floor') {
+            materials.floor.userData.finish = id;
+            applyTextured(materials.floor, finish, new THREE.Vector2(room.width, room.length));
+        } else {
+            const entry = woodFixtures.get(surface);
+            if (entry) {
+                entry.material.userData.finish = id;
+                const { width, height } = entry.spec.target;
+                applyTextured(entry.material, finish, new THREE.Vector2(width, height));
+                assignWood(entry);
+            }
+        }
+        return finish;
+    }
+
+    // Apply a catalog finish to a surface ("wall", "trim", "floor") or to a
+    // wood-finished fixture id. Returns false for unknown ids.
+    function set(surface, id) {
+        const finish = applyFinish(surface, id);
+        if (!finish) return false;
+        renderPanel();
+        updateInfo();
+        onChange(surface, finish);
+        return true;
+    }
+
+    // Register a placed fixture; fixtures whose spec has finish "wood" get
+    // their own material, set from the layout's choice if there is one
+    function attach(spec, group) {
+        if (spec.finish !== 'wood') return;
+        const material = new THREE.MeshStandardMaterial({ color: 0xD2B48C, roughness: 0.6, metalness: 0.0 });
+        material.name = `${spec.id}Wood`;
+        const parts = finishParts(spec, group);
+        woodFixtures.set(spec.id, { spec, parts, originals: parts.map((o) => o.userData.untinted || o.material), material });
+        if (selected[spec.id]) set(spec.id, selected[spec.id]);
+        else renderPanel();
+    }
+
+    function surfaces() {
+        return [
+            { id: 'wall', label: 'Walls' },
+            { id: 'trim', label: 'Trim' },
+            { id: 'floor', label: 'Floor' },
+            ...[...woodFixtures.values()].map(({ spec }) => ({ id: spec.id, label: spec.label }))
+        ];
+    }
+
+    function finishName(surface) {
+        const finish = find(surface, selected[surface]);
+        if (!finish) return null;
+        return PAINT_SURFACES.includes(surface) ? describePaint(finish) : finish.name;
+    }
+
+    function updateInfo() {
+        if (!info) return;
+        info.textContent = surfaces()
+            .map((s) => `${s.label}: ${finishName(s.id) || 'model default'}`)
+            .join(' · ');
+    }
+
+    function renderPanel() {
+        if (!panel) return;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Finishes';
+        panel.appendChild(heading);
+        surfaces().forEach((s) => {
+            const row = document.createElement('label');
+            row.className = 'panel-row';
+            row.textContent = s.label;
+            const select = document.createElement('select');
+            if (!selected[s.id]) {
+                const none = document.createElement('option');
+                none.textContent = PAINT_SURFACES.includes(s.id) || s.id === 'floor' ? 'Layout color' : 'Model default';
+                none.value = '';
+                select.appendChild(none);
+            }
+            optionsFor(s.id).forEach((f) => {
+                const option = document.createElement('option');
+                option.value = f.id;
+                option.textContent = PAINT_SURFACES.includes(s.id) ? describePaint(f) : f.name;
+                option.selected = f.id === selected[s.id];
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => { if (select.value) set(s.id, select.value); });
+            row.appendChild(select);
+            panel.appendChild(row);
+        });
+    }
+
+    // Choices already in the layout
+    ['wall', 'trim', 'floor'].forEach((surface) => {
+        if (selected[surface]) set(surface, selected[surface]);
+    });
+    renderPanel();
+    updateInfo();
+
+    return {
+        materials,
+        set,
+        clear,
+        refresh,
+        attach,
+        finishName,
+        // Catalog entry chosen for a surface, or null
+        current(surface) { return find(surface, selected[surface]); },
+        get selected() { return selected; },
+        setVisible(on) { if (panel) panel.hidden = !on; },
+        get visible() { return panel ? !panel.hidden : false; }
+    };
+}
@@ -0,0 +1,219 @@
+// Fixture placement
+// Every fixture goes through the same pipeline: load the first candidate GLB that
+// exists (or build it procedurally), scale it to the spec target, yaw it so its
+// front faces +Z, center it on the wall anchor and push it back against the wall.
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'meshopt_decoder';
+import { wallPosition, wallRotation, ceilingHeightAt } from './room.js';
+import { basisTranscoderPath } from './resources.js';
+
+// Files imported in the browser, by the assets/ path they stand in for. The
+// layout keeps naming the path, so a design still loads once the file is
+// copied into assets/; until then the loader reads the in-memory copy.
+const importedAssets = new Map();
+
+export function registerAsset(path, url) {
+    const previous = importedAssets.get(path);
+    if (previous && previous !== url) URL.revokeObjectURL(previous);
+    importedAssets.set(path, url);
+}
+
+export function isImportedAsset(path) {
+    return importedAssets.has(path);
+}
+
+// One loader (and one KTX2 transcoder, from wherever the import map serves
+// three's addons) shared by every fixture
+let gltfLoader = null;
+
+export function getLoader(renderer) {
+    if (gltfLoader) return gltfLoader;
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier((url) => importedAssets.get(url) || url);
+    gltfLoader = new GLTFLoader(manager);
+    const ktx2 = new KTX2Loader().setTranscoderPath(basisTranscoderPath());
+    try { ktx2.detectSupport(renderer); } catch (_) {}
+    gltfLoader.setKTX2Loader(ktx2);
+    gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+    return gltfLoader;
+}
+
+// Try candidate paths in order; resolves { gltf, path, failures } for the first
+// that loads, where failures lists [{ path, message }] for the ones before it.
+// When none loads the error carries the same `failures` list.
+function loadFirst(loader, candidates) {
+    const failures = [];
+    return new Promise((resolve, reject) => {
+        (function tryNext(i) {
+            if (i >= candidates.length) {
+                const error = new Error(`none of ${candidates.length} candidate(s) loaded`);
+                error.failures = failures;
+                reject(error);
+                return;
+            }
+            const path = candidates[i];
+            loader.load(path, (gltf) => resolve({ gltf, path, failures }), undefined, (e) => {
+                console.warn('Failed to load', path, '— trying next');
+                failures.push({ path, message: e?.message || 'could not be loaded' });
+                tryNext(i + 1);
+            });
+        })(0);
+    });
+}
+
+// Shadows plus texture color space and anisotropy, for every material in the model
+function prepareMaterials(model, renderer) {
+    const anis = renderer?.capabilities?.getMaxAnisotropy ? renderer.capabilities.getMaxAnisotropy() : 1;
+    model.traverse((obj) => {
+        if (!obj.isMesh) return;
+        obj.castShadow = true;
+        obj.receiveShadow = true;
+        const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+        materials.forEach((m) => {
+            if (!m) return;
+            if (m.map) m.map.colorSpace = THREE.SRGBColorSpace;
+            if (m.emissiveMap) m.emissiveMap.colorSpace = THREE.SRGBColorSpace;
+            ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap'].forEach((key) => {
+                if (m[key]) m[key].anisotropy = anis;
+            });
+            m.needsUpdate = true;
+        });
+    });
+}
+
+// Scale that maps a model's source size onto spec.target, honoring spec.axes
+// (which model axis carries width/height/depth) and spec.scaleMode.
+export function targetScale(spec, size) {
+    const { target, axes } = spec;
+    const ratio = (dim) => target[dim] / (size[axes[dim]] || 1);
+    const scale = new THREE.Vector3();
+    switch (spec.scaleMode) {
+        case 'exact':
+            ['width', 'height', 'depth'].forEach((dim) => { scale[axes[dim]] = ratio(dim); });
+            return scale;
+        case 'uniformByWidth': return scale.setScalar(ratio('width'));
+        case 'uniformByDepth': return scale.setScalar(ratio('depth'));
+        default: return scale.setScalar(ratio('height'));
+    }
+}
+
+// Plain white box standing in for a fixture whose model could not be loaded
+function buildPlaceholder({ width, height, depth }) {
+    const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(width, height, depth),
+        new THREE.MeshStandardMaterial({ color: 0xffffff })
+    );
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+// Turn that stands a model upright when its `up` axis ('+y', '-z'...) is the
+// model's up direction
+export function uprightQuaternion(up = '+y') {
+    const axis = new THREE.Vector3();
+    axis[up[1]] = up[0] === '-' ? -1 : 1;
+    return new THREE.Quaternion().setFromUnitVectors(axis, new THREE.Vector3(0, 1, 0));
+}
+
+// Wrap a model in a group anchored on its wall. Inside the group +X runs along
+// the wall and +Z points into the room; `upright` stands the model up, `yaw`
+// then turns it to face +Z, and spec.align picks which part of its height sits
+// at offset.y.
+function anchorToWall(model, spec, room, yaw, upright = new THREE.Quaternion()) {
+    model.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw).multiply(upright);
+    model.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(model);
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    model.position.x -= center.x;
+    model.position.z -= center.z;
+    if (spec.align === 'center') model.position.y -= center.y;
+    else if (spec.align === 'top') model.position.y -= box.max.y;
+    else model.position.y -= box.min.y;
+
+    const group = new THREE.Group();
+    group.name = spec.id;
+    group.add(model);
+    group.userData.fixture = { id: spec.id, type: spec.type, size };
+    positionOnWall(group, spec, room);
+    return group;
+}
+
+// Move a placed fixture group to where its spec says (wall, offset, gap).
+// Ceiling fixtures hang from the ceiling whatever their offset.y, or from the
+// underside of a soffit over them.
+export function positionOnWall(group, spec, room) {
+    const { size } = group.userData.fixture;
+    const position = wallPosition(room, spec.wall, spec.offset.along, spec.offset.y, size.z / 2 + spec.gap);
+    if (spec.mount === 'ceiling') position.y = ceilingHeightAt(room, position);
+    group.rotation.y = wallRotation(room, spec.wall);
+    group.position.copy(position);
+}
+
+// Scale a loaded model to spec.target, stand it up (spec.up), turn it to face
+// +Z (spec.rotationY) and hang it on its wall. The model must still be in its
+// source units and orientation.
+export function fitModel(model, spec, room) {
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    model.scale.copy(targetScale(spec, size));
+    return anchorToWall(model, spec, room, THREE.MathUtils.degToRad(spec.rotationY), uprightQuaternion(spec.up));
+}
+
+// Place one fixture from its layout spec.
+//   options.parent    object the placed group is added to
+//   options.renderer  used for KTX2 support detection and texture anisotropy
+//   options.room      layout room (length/width/height) for wall anchoring
+//   options.build     optional procedural builder: (spec) => Object3D at target size
+// Resolves the placed group (group.userData.fixture.source says where the model
+// came from, .failures which candidates failed first); rejects when nothing could
+// be loaded and the spec has no fallback, with the same `failures` on the error.
+export async function placeFixture(spec, { parent, renderer, room, build }) {
+    let model = null;
+    let source = null;
+    let failures = [];
+
+    if (spec.candidates.length) {
+        try {
+            const { gltf, path, failures: missed } = await loadFirst(getLoader(renderer), spec.candidates);
+            failures = missed;
+            model = gltf.scene || gltf.scenes[0];
+            const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+            console.log(`${spec.label} source size (X×Y×Z): ${size.x.toFixed(3)} × ${size.y.toFixed(3)} × ${size.z.toFixed(3)} (model units)`);
+            source = path;
+        } catch (e) {
+            console.warn(`${spec.label} GLB not found (${e.message}).`);
+            failures = e.failures || [{ path: spec.candidates[0], message: e.message }];
+        }
+    }
+    if (!model && build) {
+        model = build(spec);
+        source = 'procedural';
+    }
+    if (!model && spec.fallback) {
+        model = buildPlaceholder(spec.fallback);
+        source = 'fallback';
+    }
+    if (!model) {
+        const error = new Error(`${spec.label}: no model loaded and no fallback configured`);
+        error.failures = failures;
+        throw error;
+    }
+
+    prepareMaterials(model, renderer);
+    // Only loaded models need spec.up and spec.rotationY; built ones already
+    // stand upright facing +Z
+    const group = source === 'procedural' || source === 'fallback'
+        ? anchorToWall(model, spec, room, 0)
+        : fitModel(model, spec, room);
+    group.userData.fixture.source = source;
+    group.userData.fixture.failures = failures;
+    parent.add(group);
+
+    const { size } = group.userData.fixture;
+    console.log(`${spec.label} placed from ${source}. Final size (W x H x D): ${size.x.toFixed(2)}" × ${size.y.toFixed(2)}" × ${size.z.toFixed(2)}"`);
+    return group;
+}
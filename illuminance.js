@@ -0,0 +1,349 @@
+// Illuminance analysis
+// Approximate light levels from the scene's light sources on three task
+// planes: the floor, the vanity countertop and a vertical "face at the mirror"
+// plane where someone stands to use the mirror. Each grid point sums the direct
+// light from every source (inverse-square with the angle of incidence, spot
+// cones and shadowing by anything opaque in the way); light bounced off the
+// walls is not counted, so readings are on the low side. Results are drawn as
+// false-color heatmaps with a legend and min/avg/max readouts.
+import * as THREE from 'three';
+import { wallPosition, wallRotation, wallCoordinates, roomBounds, planContains } from './room.js';
+import { candela, METERS_PER_INCH, LUX_PER_FOOTCANDLE } from './lighting.js';
+import { EYE_HEIGHT } from './camera.js';
+
+// Rough residential targets (lux, average over the plane)
+export const TARGETS = { floor: 100, countertop: 300, face: 300 };
+
+const FACE_DISTANCE = 20; // inches from the mirror face to the face plane
+const FACE_SIZE = { width: 16, height: 16 };
+const HEATMAP_OPACITY = 0.8;
+const LIFT = 0.5; // inches above the surface the samples are taken
+
+// Blue (none) through cyan, green and yellow to red (full scale)
+export function falseColor(t) {
+    const stops = [[0, 0, 1], [0, 1, 1], [0, 1, 0], [1, 1, 0], [1, 0, 0]];
+    const x = THREE.MathUtils.clamp(t, 0, 1) * (stops.length - 1);
+    const i = Math.min(Math.floor(x), stops.length - 2);
+    const f = x - i;
+    const [a, b] = [stops[i], stops[i + 1]];
+    return new THREE.Color(a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f);
+}
+
+// Where each source is and how it shines, in world space:
+// [{ label, position, direction, candela, cosOuter, cosInner }] for lamps and
+// [{ label, direction, lux }] for the sun (direction points toward it)
+export function describeSources(sources) {
+    return sources.map(({ light, source }) => {
+        source.updateWorldMatrix(true, false);
+        const position = source.getWorldPosition(new THREE.Vector3());
+        if (source.isDirectionalLight) {
+            source.target.updateWorldMatrix(true, false);
+            const direction = position.sub(source.target.getWorldPosition(new THREE.Vector3())).normalize();
+            return { label: light.label, direction, lux: light.lux };
+        }
+        const entry = { label: light.label, position, candela: candela(light) };
+        if (source.isSpotLight) {
+            source.target.updateWorldMatrix(true, false);
+            entry.direction = source.target.getWorldPosition(new THREE.Vector3()).sub(position).normalize();
+            entry.cosOuter = Math.cos(source.angle);
+            entry.cosInner = Math.cos(source.angle * (1 - source.penumbra));
+        }
+        return entry;
+    });
+}
+
+// Direct illuminance (lux) at a point on a surface facing `normal`.
+// `blocked(point, toward, distance)` says whether something opaque is in the way.
+export function illuminanceAt(point, normal, sources, blocked = () => false) {
+    let lux = 0;
+    const toward = new THREE.Vector3();
+    sources.forEach((s) => {
+        if (s.lux !== undefined) {
+            const cos = normal.dot(s.direction);
+            if (cos > 0 && !blocked(point, s.direction, Infinity)) lux += s.lux * cos;
+            return;
+        }
+        toward.subVectors(s.position, point);
+        const distance = toward.length();
+        toward.divideScalar(distance);
+        const cos = normal.dot(toward);
+        if (cos <= 0) return;
+        let intensity = s.candela;
+        if (s.direction) {
+            // Same soft cone edge as three.js spot lights
+            const along = -toward.dot(s.direction);
+            intensity *= THREE.MathUtils.smoothstep(along, s.cosOuter, s.cosInner);
+            if (!intensity) return;
+        }
+        if (blocked(point, toward, distance)) return;
+        const meters = distance * METERS_PER_INCH;
+        lux += intensity * cos / (meters * meters);
+    });
+    return lux;
+}
+
+// The three analysis planes, from the room and the placed vanity and mirror:
+// [{ id, label, center, rotation, width, height, step, normal, contains }]
+// where `contains(point)`, if given, says which samples count (the floor's
+// bounds take in more than the plan of an L-shaped room)
+export function analysisPlanes(room, fixtures) {
+    const planes = [{
+        id: 'floor',
+        label: 'Floor',
+        center: new THREE.Vector3(0, LIFT, 0),
+        rotation: new THREE.Euler(-Math.PI / 2, 0, 0),
+        width: room.width,
+        height: room.length,
+        step: 3,
+        contains: (point) => planContains(room, point)
+    }];
+    const entries = [...fixtures.values()];
+    const vanity = entries.find((e) => e.spec.type === 'vanity');
+    if (vanity) {
+        // The counter is the vanity's nominal height; the faucet stands above it
+        const box = new THREE.Box3().setFromObject(vanity.group);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        center.y = vanity.group.position.y + vanity.spec.target.height + LIFT;
+        planes.push({
+            id: 'countertop',
+            label: 'Countertop',
+            center,
+            rotation: new THREE.Euler(-Math.PI / 2, 0, 0),
+            width: size.x,
+            height: size.z,
+            step: 1.5
+        });
+    }
+    const mirror = entries.find((e) => e.spec.type === 'mirror');
+    if (mirror) {
+        const { spec, group } = mirror;
+        const { along } = wallCoordinates(room, spec.wall, group.position);
+        const out = spec.gap + group.userData.fixture.size.z + FACE_DISTANCE;
+        planes.push({
+            id: 'face',
+            label: 'Face at the mirror',
+            center: wallPosition(room, spec.wall, along, EYE_HEIGHT, out),
+            // Facing the mirror, so it catches the light a face would
+            rotation: new THREE.Euler(0, wallRotation(room, spec.wall) + Math.PI, 0),
+            width: FACE_SIZE.width,
+            height: FACE_SIZE.height,
+            step: 1
+        });
+    }
+    planes.forEach((p) => { p.normal = new THREE.Vector3(0, 0, 1).applyEuler(p.rotation); });
+    return planes;
+}
+
+function formatLevel(lux, units) {
+    return units === 'fc' ? `${(lux / LUX_PER_FOOTCANDLE).toFixed(1)} fc` : `${Math.round(lux)} lux`;
+}
+
+// Create the analysis mode.
+//   scene      where the heatmaps go; its opaque meshes cast the shadows
+//   room       layout room
+//   fixtures   Map of fixture id -> { spec, group }
+//   lighting   lighting controller (its `sources`)
+//   panel      element for the legend and readouts
+export function createIlluminanceAnalysis({ scene, room, fixtures, lighting, panel }) {
+    const overlay = new THREE.Group();
+    overlay.name = 'illuminance';
+    overlay.visible = false;
+    scene.add(overlay);
+    const raycaster = new THREE.Raycaster();
+    let active = false;
+    let units = 'lux';
+    let scale = 500; // lux at the red end of the legend
+    let results = [];
+
+    const blocker = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+
+    // Opaque meshes that can shade a sample; bulbs are the sources themselves.
+    // Walls and the ceiling are one-sided, so rays are cast against double-sided
+    // stand-ins sharing their geometry and world transform.
+    function occluders() {
+        const meshes = [];
+        scene.traverse((o) => {
+            if (!o.isMesh || !o.visible || o.name === 'bulb') return;
+            if (o.parent === overlay) return;
+            // By their own material, not a see-through or tinted stand-in
+            const own = o.userData.untinted || o.material;
+            const materials = Array.isArray(own) ? own : [own];
+            if (materials.every((m) => m.isMeshBasicMaterial || (m.transparent && m.opacity < 0.5))) return;
+            const proxy = new THREE.Mesh(o.geometry, blocker);
+            proxy.matrixWorld.copy(o.matrixWorld);
+            meshes.push(proxy);
+        });
+        return meshes;
+    }
+
+    function clear() {
+        overlay.children.forEach((o) => {
+            o.geometry.dispose();
+            o.material.dispose();
+        });
+        overlay.clear();
+    }
+
+    function samplePlane(plane, sources, blocked) {
+        const nx = Math.max(1, Math.round(plane.width / plane.step));
+        const ny = Math.max(1, Math.round(plane.height / plane.step));
+        const geometry = new THREE.PlaneGeometry(plane.width, plane.height, nx, ny);
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            vertexColors: true, transparent: true, opacity: HEATMAP_OPACITY, side: THREE.DoubleSide,
+            depthWrite: false, toneMapped: false
+        }));
+        mesh.name = `${plane.id}Illuminance`;
+        mesh.position.copy(plane.center);
+        mesh.rotation.copy(plane.rotation);
+        mesh.updateMatrixWorld(true);
+
+        const positions = geometry.attributes.position;
+        const levels = new Array(positions.count).fill(null);
+        const point = new THREE.Vector3();
+        for (let i = 0; i < positions.count; i++) {
+            point.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld);
+            if (!plane.contains || plane.contains(point)) levels[i] = illuminanceAt(point, plane.normal, sources, blocked);
+        }
+        // Only the cells with every corner sampled are drawn
+        const index = geometry.index.array;
+        const kept = [];
+        for (let i = 0; i < index.length; i += 3) {
+            if (levels[index[i]] !== null && levels[index[i + 1]] !== null && levels[index[i + 2]] !== null) {
+                kept.push(index[i], index[i + 1], index[i + 2]);
+            }
+        }
+        const values = levels.filter((lux) => lux !== null);
+        // A plane with no grid point over the floor plan has nothing to show
+        // or average
+        if (!values.length) {
+            geometry.dispose();
+            mesh.material.dispose();
+            return { plane, min: null, max: null, avg: null, target: TARGETS[plane.id] };
+        }
+        if (kept.length < index.length) geometry.setIndex(kept);
+        const colors = new Float32Array(positions.count * 3);
+        levels.forEach((lux, i) => { if (lux !== null) falseColor(lux / scale).toArray(colors, i * 3); });
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        overlay.add(mesh);
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const avg = values.reduce((a, b) => a + b, 0) / values.length;
+        return { plane, min, max, avg, target: TARGETS[plane.id] };
+    }
+
+    // Recompute every plane from the current lights and placements
+    function refresh() {
+        if (!active) return;
+        clear();
+        scene.updateMatrixWorld(true);
+        const meshes = occluders();
+        const bounds = roomBounds(room).expandByScalar(1);
+        const blocked = (point, toward, distance) => {
+            raycaster.set(point, toward);
+            raycaster.near = 0.05;
+            // The sun is far away; anything inside (or the room shell) counts
+            raycaster.far = Number.isFinite(distance) ? distance - 1 : bounds.getSize(new THREE.Vector3()).length() * 2;
+            return raycaster.intersectObjects(meshes, false).length > 0;
+        };
+        const sources = describeSources(lighting.sources);
+        const started = performance.now();
+        results = analysisPlanes(room, fixtures).map((plane) => samplePlane(plane, sources, blocked));
+        const summary = (r) => (r.avg === null ? `${r.plane.label} no samples` : `${r.plane.label} avg ${Math.round(r.avg)} lux`);
+        console.log(`Illuminance: ${results.map(summary).join(', ')} (${Math.round(performance.now() - started)} ms)`);
+        renderPanel();
+    }
+
+    function legend() {
+        const wrap = document.createElement('div');
+        wrap.className = 'legend';
+        const bar = document.createElement('div');
+        bar.className = 'legend-bar';
+        const stops = [0, 0.25, 0.5, 0.75, 1].map((t) => `#${falseColor(t).getHexString()} ${t * 100}%`);
+        bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+        const labels = document.createElement('div');
+        labels.className = 'legend-labels';
+        [0, 0.5, 1].forEach((t) => {
+            const span = document.createElement('span');
+            span.textContent = formatLevel(scale * t, units) + (t === 1 ? '+' : '');
+            labels.appendChild(span);
+        });
+        wrap.append(bar, labels);
+        return wrap;
+    }
+
+    function renderPanel() {
+        if (!panel) return;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Light levels (direct light)';
+
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+        const unitSelect = document.createElement('select');
+        [['lux', 'lux'], ['fc', 'foot-candles']].forEach(([id, text]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = text;
+            option.selected = id === units;
+            unitSelect.appendChild(option);
+        });
+        unitSelect.addEventListener('change', () => {
+            units = unitSelect.value;
+            renderPanel();
+        });
+        const scaleInput = document.createElement('input');
+        scaleInput.type = 'number';
+        scaleInput.min = 10;
+        scaleInput.step = 50;
+        scaleInput.value = scale;
+        scaleInput.title = 'Full scale (lux)';
+        scaleInput.addEventListener('change', () => {
+            const v = Number(scaleInput.value);
+            if (v > 0) {
+                scale = v;
+                refresh();
+            }
+        });
+        row.append(unitSelect, scaleInput);
+
+        const list = document.createElement('ul');
+        results.forEach((r) => {
+            const li = document.createElement('li');
+            if (r.avg === null) {
+                li.textContent = `${r.plane.label}: no samples`;
+                list.appendChild(li);
+                return;
+            }
+            const pass = r.target === undefined || r.avg >= r.target;
+            li.className = pass ? 'pass' : 'fail';
+            const target = r.target === undefined ? '' : ` (target ${formatLevel(r.target, units)})`;
+            li.textContent = `${r.plane.label}: min ${formatLevel(r.min, units)}, avg ${formatLevel(r.avg, units)}, `
+                + `max ${formatLevel(r.max, units)}${target}`;
+            list.appendChild(li);
+        });
+        panel.append(heading, row, legend(), list);
+    }
+
+    function setActive(on) {
+        active = on;
+        overlay.visible = on;
+        if (panel) panel.hidden = !on;
+        if (on) refresh();
+        else clear();
+        console.log(`Illuminance analysis ${on ? 'on' : 'off'}`);
+    }
+
+    return {
+        refresh,
+        toggle() { setActive(!active); },
+        dispose() {
+            clear();
+            blocker.dispose();
+            overlay.removeFromParent();
+        },
+        get active() { return active; },
+        get results() { return results; }
+    };
+}
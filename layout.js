@@ -0,0 +1,315 @@
+// Layout documents
+// A layout is a JSON file describing one bathroom: the room (a box, or a plan
+// outline with named walls), its openings, soffits and colors, and every
+// fixture to place (asset candidates, scale mode, target size, wall anchor)
+// plus the chosen finishes.
+// All lengths are inches; rotations are degrees so the file stays hand-editable.
+import { wallNames } from './room.js';
+
+export const DEFAULT_LAYOUT_URL = 'layout.json';
+
+export const OPENING_TYPES = ['door', 'window', 'niche'];
+export const SCALE_MODES = ['exact', 'uniformByWidth', 'uniformByHeight', 'uniformByDepth'];
+export const ALIGNMENTS = ['bottom', 'center', 'top'];
+export const MOUNTS = ['wall', 'floor', 'ceiling'];
+export const UP_AXES = ['+y', '-y', '+z', '-z', '+x', '-x'];
+export const HINGE_SIDES = ['left', 'right'];
+export const SWINGS = ['in', 'out'];
+export const FINISH_KINDS = ['wood'];
+export const TILE_PATTERNS = ['straight', 'offset', 'herringbone', 'hexagon'];
+export const TILE_STARTS = ['corner', 'center'];
+export const LIGHT_KINDS = ['point', 'spot'];
+// Options of the procedural fixture models (see procedural.js)
+export const KNOB_STYLES = ['round', 'bar', 'none'];
+export const SINK_STYLES = ['integrated', 'vessel', 'none'];
+export const BOWL_SHAPES = ['elongated', 'round'];
+export const FRAME_SHAPES = ['wavy', 'rectangle', 'round', 'arch'];
+export const GLASS_STYLES = ['panel', 'none'];
+export const OUTLET_DEVICES = ['gfci', 'duplex'];
+export const SWITCH_STYLES = ['rocker', 'toggle'];
+
+// Size and mounting of the accessory types, so a layout can place one with
+// just its id, type and wall: floor fixtures stand on the floor, ceiling ones
+// hang `gap` out from their wall, and wall ones are hung at the usual height
+// (`y`, for the part named by `align`)
+export const FIXTURE_DEFAULTS = {
+    tub: { target: { width: 60, height: 20, depth: 30 }, mount: 'floor' },
+    showerPan: { target: { width: 48, height: 4, depth: 36 }, mount: 'floor' },
+    towelBar: { target: { width: 24, height: 3, depth: 3.5 }, y: 48, align: 'center' },
+    towelHook: { target: { width: 3, height: 3.5, depth: 3 }, y: 66, align: 'center' },
+    paperHolder: { target: { width: 7, height: 4.5, depth: 5 }, y: 26, align: 'center' },
+    grabBar: { target: { width: 36, height: 3, depth: 3.25 }, y: 34.5, align: 'center' },
+    exhaustFan: { target: { width: 11, height: 1, depth: 11 }, mount: 'ceiling', align: 'top', gap: 24 },
+    outlet: { target: { width: 2.75, height: 4.5, depth: 0.5 }, y: 44, align: 'center' },
+    switch: { target: { width: 2.75, height: 4.5, depth: 0.5 }, y: 48, align: 'center' }
+};
+
+// Defaults a niche (a recessed shelf box, as in a shower) has instead of a door's
+const NICHE_DEFAULTS = { width: 12, height: 24, sill: 48, depth: 3.5, casing: 0 };
+
+// Surfaces a tile area can go on: the floor or one of the room's walls
+export function tileSurfaces(room) {
+    return ['floor', ...wallNames(room)];
+}
+
+// Layout to load: ?layout=other.json overrides the default file
+export function layoutUrlFromLocation(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    return params.get('layout') || DEFAULT_LAYOUT_URL;
+}
+
+export async function loadLayout(url = DEFAULT_LAYOUT_URL) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`Failed to load layout ${url} (HTTP ${res.status})`);
+    const doc = await res.json();
+    return normalizeLayout(doc, url);
+}
+
+// Defaults for one tile area: where it goes (the floor, or a wall from `bottom`
+// up to `height`), the tile and grout, and how the pattern is started
+export function normalizeTileSpec(t, i = 0) {
+    const id = t.id || `tiles${i + 1}`;
+    return {
+        label: t.id || `Tile area ${i + 1}`,
+        surface: 'floor',
+        pattern: 'straight',
+        tileWidth: 12,
+        tileLength: 12,
+        grout: 0.125,
+        color: '#E8E6E1',
+        groutColor: '#B8B4AC',
+        roughness: 0.3,
+        start: 'corner',
+        stagger: 0.5,
+        bottom: 0,
+        height: 48,
+        ...t,
+        id,
+        offset: { u: 0, v: 0, ...t.offset }
+    };
+}
+
+// Defaults for one light: a room light hangs at `position` (spots aim at
+// `target`); a light with `fixture` puts one source at every bulb of that
+// placed fixture. Output is lumens per bulb at full dimmer (0-1).
+export function normalizeLight(l, i, room) {
+    const id = l.id || `light${i + 1}`;
+    return {
+        label: l.id || `Light ${i + 1}`,
+        kind: 'point',
+        lumens: 800,
+        kelvin: 2700,
+        beamAngle: 60,
+        dimmer: 1,
+        castShadow: false,
+        ...l,
+        id,
+        position: { x: 0, y: room.height - 5, z: 0, ...l.position },
+        target: { x: 0, y: 0, z: 0, ...l.target }
+    };
+}
+
+// Lighting section: lights, daylight through a window, exposure (EV) and the
+// non-physical fill standing in for light bounced around the room. Layouts
+// without one get a ceiling light plus the bulbs of every vanity light.
+export function normalizeLighting(lighting, room, fixtures, fail) {
+    const lights = lighting?.lights || [
+        { id: 'ceiling', label: 'Ceiling light', lumens: 1600, kelvin: 3000, castShadow: true },
+        ...fixtures.filter((f) => f.type === 'vanityLight')
+            .map((f) => ({ id: `${f.id}Bulbs`, label: `${f.label} bulbs`, fixture: f.id, lumens: 450 }))
+    ];
+    const seen = new Set();
+    const normalized = lights.map((l, i) => {
+        const light = normalizeLight(l, i, room);
+        if (seen.has(light.id)) fail(`duplicate light id "${light.id}"`);
+        seen.add(light.id);
+        if (!LIGHT_KINDS.includes(light.kind)) fail(`light ${light.id}: kind must be "point" or "spot"`);
+        if (light.fixture && !fixtures.some((f) => f.id === light.fixture)) fail(`light ${light.id}: no fixture "${light.fixture}"`);
+        if (!(light.lumens >= 0)) fail(`light ${light.id}: lumens must be zero or more`);
+        if (!(light.dimmer >= 0 && light.dimmer <= 1)) fail(`light ${light.id}: dimmer must be between 0 and 1`);
+        return light;
+    });
+    const windows = (room.openings || []).filter((o) => o.type === 'window');
+    const daylight = {
+        enabled: false,
+        window: windows[0]?.id || null,
+        latitude: 40,
+        date: '2024-06-21',
+        time: '09:00',
+        northWall: wallNames(room)[0],
+        glazing: 0.7,
+        ...lighting?.daylight
+    };
+    if (!wallNames(room).includes(daylight.northWall)) fail(`daylight: unknown northWall "${daylight.northWall}"`);
+    if (daylight.window && !windows.some((o) => o.id === daylight.window)) fail(`daylight: no window opening "${daylight.window}"`);
+    return { exposure: 0, fill: 0.25, ...lighting, lights: normalized, daylight };
+}
+
+// Plan outline: corners [{ x, z, wall }] in order around the room, each one
+// starting the wall named `wall` (wall1, wall2... by default) that runs to the
+// next. Corners listed the other way round are reversed, so walls always run
+// left to right as seen from inside, and the outline is moved to center its
+// bounds on the origin like a rectangular room's.
+// Returns { outline, width, length, shift } with `shift` the offset subtracted.
+export function normalizeOutline(corners, fail) {
+    if (!Array.isArray(corners) || corners.length < 3) fail('room.outline needs at least 3 corners');
+    const points = corners.map((c, i) => {
+        if (!Number.isFinite(c?.x) || !Number.isFinite(c?.z)) fail(`room.outline[${i}] needs numeric x and z`);
+        return { x: c.x, z: c.z, wall: c.wall || `wall${i + 1}` };
+    });
+    const names = new Set(points.map((p) => p.wall));
+    if (names.size < points.length) fail('room.outline: wall names must be unique');
+    points.forEach((p, i) => {
+        const next = points[(i + 1) % points.length];
+        if (Math.hypot(next.x - p.x, next.z - p.z) < 1) fail(`room.outline: wall "${p.wall}" is shorter than 1 inch`);
+    });
+    const area = points.reduce((sum, p, i) => {
+        const next = points[(i + 1) % points.length];
+        return sum + p.x * next.z - next.x * p.z;
+    }, 0);
+    if (Math.abs(area) < 1) fail('room.outline encloses no floor');
+    // Reversed: each wall runs back from the next corner to its own
+    const ordered = area > 0 ? points : points.map((p, i) => ({ ...points[(i + 1) % points.length], wall: p.wall })).reverse();
+    const xs = ordered.map((p) => p.x);
+    const zs = ordered.map((p) => p.z);
+    const shift = { x: (Math.min(...xs) + Math.max(...xs)) / 2, z: (Math.min(...zs) + Math.max(...zs)) / 2 };
+    return {
+        outline: ordered.map((p) => ({ x: p.x - shift.x, z: p.z - shift.z, wall: p.wall })),
+        width: Math.max(...xs) - Math.min(...xs),
+        length: Math.max(...zs) - Math.min(...zs),
+        shift
+    };
+}
+
+// Validate a layout document and fill in defaults. Throws on anything the
+// scene builder could not make sense of, so a bad file fails loudly at startup.
+export function normalizeLayout(doc, source = 'layout') {
+    const fail = (msg) => { throw new Error(`${source}: ${msg}`); };
+    if (!doc || typeof doc !== 'object') fail('layout must be a JSON object');
+
+    const room = doc.room || fail('missing "room"');
+    const plan = room.outline ? normalizeOutline(room.outline, fail) : null;
+    (plan ? ['height'] : ['length', 'width', 'height']).forEach((k) => {
+        if (!(room[k] > 0)) fail(`room.${k} must be a positive number of inches`);
+    });
+    const shape = plan ? { outline: plan.outline, width: plan.width, length: plan.length } : {};
+    const walls = wallNames({ ...room, ...shape });
+
+    const openings = (room.openings || []).map((o, i) => {
+        const id = o.id || `opening${i + 1}`;
+        if (o.type && !OPENING_TYPES.includes(o.type)) fail(`opening ${id}: type must be one of ${OPENING_TYPES.join(', ')}`);
+        if (!walls.includes(o.wall)) fail(`opening ${id}: unknown wall "${o.wall}"`);
+        if (o.hinge && !HINGE_SIDES.includes(o.hinge)) fail(`opening ${id}: hinge must be "left" or "right"`);
+        if (o.swing && !SWINGS.includes(o.swing)) fail(`opening ${id}: swing must be "in" or "out"`);
+        return {
+            type: 'door',
+            along: 0,
+            width: 28,
+            height: 80,
+            sill: 0,
+            hinge: 'right',
+            swing: 'in',
+            openAngle: 90,
+            casing: 3.5,
+            color: room.colors?.trim || '#FFFFFF',
+            ...(o.type === 'niche' ? NICHE_DEFAULTS : {}),
+            ...o,
+            id
+        };
+    });
+
+    // Soffits and dropped ceilings: boxed down from the ceiling to `bottom`,
+    // over their own plan `outline` (in the room outline's coordinates) or
+    // `depth` out from a wall
+    const soffits = (room.soffits || []).map((f, i) => {
+        const id = f.id || `soffit${i + 1}`;
+        if (!(f.bottom > 0 && f.bottom < room.height)) fail(`soffit ${id}: bottom must be above the floor and below the ceiling`);
+        if (f.outline) {
+            if (!Array.isArray(f.outline) || f.outline.length < 3) fail(`soffit ${id}: outline needs at least 3 corners`);
+            const shift = plan?.shift || { x: 0, z: 0 };
+            const outline = f.outline.map((c, k) => {
+                if (!Number.isFinite(c?.x) || !Number.isFinite(c?.z)) fail(`soffit ${id}: outline[${k}] needs numeric x and z`);
+                return { x: c.x - shift.x, z: c.z - shift.z };
+            });
+            return { ...f, id, outline };
+        }
+        if (!walls.includes(f.wall)) fail(`soffit ${id}: unknown wall "${f.wall}" (or give an outline)`);
+        if (!(f.depth > 0)) fail(`soffit ${id}: depth must be a positive number of inches`);
+        if (f.length !== undefined && !(f.length > 0)) fail(`soffit ${id}: length must be a positive number of inches`);
+        return { along: 0, ...f, id };
+    });
+
+    const fixtures = Array.isArray(doc.fixtures) ? doc.fixtures : fail('"fixtures" must be an array');
+    const seen = new Set();
+    const normalized = fixtures.map((f, i) => {
+        const where = `fixtures[${i}]`;
+        if (!f.id) fail(`${where} is missing "id"`);
+        if (seen.has(f.id)) fail(`duplicate fixture id "${f.id}"`);
+        seen.add(f.id);
+        if (!f.type) fail(`${where} (${f.id}) is missing "type"`);
+        if (f.wall && !walls.includes(f.wall)) fail(`${f.id}: unknown wall "${f.wall}"`);
+        if (f.scaleMode && !SCALE_MODES.includes(f.scaleMode)) fail(`${f.id}: unknown scaleMode "${f.scaleMode}"`);
+        if (f.align && !ALIGNMENTS.includes(f.align)) fail(`${f.id}: unknown align "${f.align}"`);
+        if (f.mount && !MOUNTS.includes(f.mount)) fail(`${f.id}: mount must be one of ${MOUNTS.join(', ')}`);
+        if (f.up && !UP_AXES.includes(f.up)) fail(`${f.id}: up must be one of ${UP_AXES.join(', ')}`);
+        if (f.finish && !FINISH_KINDS.includes(f.finish)) fail(`${f.id}: unknown finish "${f.finish}"`);
+        if (f.knobs && !KNOB_STYLES.includes(f.knobs)) fail(`${f.id}: knobs must be one of ${KNOB_STYLES.join(', ')}`);
+        if (f.sink && !SINK_STYLES.includes(f.sink)) fail(`${f.id}: sink must be one of ${SINK_STYLES.join(', ')}`);
+        if (f.bowl && !BOWL_SHAPES.includes(f.bowl)) fail(`${f.id}: bowl must be one of ${BOWL_SHAPES.join(', ')}`);
+        if (f.frame && !FRAME_SHAPES.includes(f.frame)) fail(`${f.id}: frame must be one of ${FRAME_SHAPES.join(', ')}`);
+        if (f.glass && !GLASS_STYLES.includes(f.glass)) fail(`${f.id}: glass must be one of ${GLASS_STYLES.join(', ')}`);
+        if (f.device && !OUTLET_DEVICES.includes(f.device)) fail(`${f.id}: device must be one of ${OUTLET_DEVICES.join(', ')}`);
+        if (f.style && !SWITCH_STYLES.includes(f.style)) fail(`${f.id}: style must be one of ${SWITCH_STYLES.join(', ')}`);
+        const defaults = FIXTURE_DEFAULTS[f.type] || {};
+        return {
+            ...f,
+            label: f.label || f.id,
+            candidates: f.candidates || [],
+            scaleMode: f.scaleMode || 'uniformByHeight',
+            target: { width: 1, height: 1, depth: 1, ...defaults.target, ...f.target },
+            axes: { width: 'x', height: 'y', depth: 'z', ...f.axes },
+            up: f.up || '+y',
+            rotationY: f.rotationY || 0,
+            wall: f.wall || walls[0],
+            mount: f.mount || defaults.mount || 'wall',
+            align: f.align || defaults.align || 'bottom',
+            offset: { along: 0, y: defaults.y || 0, ...f.offset },
+            gap: f.gap ?? defaults.gap ?? 0
+        };
+    });
+
+    const tiles = (doc.tiles || []).map((t, i) => {
+        const where = `tiles[${i}]${t.id ? ` (${t.id})` : ''}`;
+        if (t.surface && !tileSurfaces({ ...room, ...shape }).includes(t.surface)) fail(`${where}: unknown surface "${t.surface}"`);
+        if (t.pattern && !TILE_PATTERNS.includes(t.pattern)) fail(`${where}: unknown pattern "${t.pattern}"`);
+        if (t.start && !TILE_STARTS.includes(t.start)) fail(`${where}: start must be "corner" or "center"`);
+        const spec = normalizeTileSpec(t, i);
+        if (!(spec.tileWidth > 0) || !(spec.tileLength > 0)) fail(`${where}: tile size must be positive`);
+        return spec;
+    });
+
+    const lighting = normalizeLighting(doc.lighting, { ...room, ...shape, openings }, normalized, fail);
+
+    return {
+        ...doc,
+        name: doc.name || 'Untitled bathroom',
+        room: {
+            baseboardHeight: 4,
+            ...room,
+            ...shape,
+            colors: {
+                wall: '#2D5016',
+                floor: '#8B4513',
+                trim: '#FFFFFF',
+                ceiling: '#F8F8F8',
+                ...room.colors
+            },
+            openings,
+            soffits
+        },
+        fixtures: normalized,
+        finishes: { ...doc.finishes },
+        tiles,
+        lighting
+    };
+}
@@ -0,0 +1,390 @@
+// Lighting design
+// Builds the scene's lights from the layout's `lighting` section. Every light
+// is a real fixture with a lumen output, a color temperature in Kelvin, a beam
+// angle (spots) and a dimmer; lights tied to a placed fixture (the vanity bar)
+// put one source at each of its bulbs. An optional sun shines through a window
+// opening from where it would be at the chosen date, time and latitude, with
+// skylight from the window itself. Bulbs and presets come from lighting.json.
+//
+// Lights run in physical units: lumens become candela, scaled for the inch
+// scene so three.js lights land in lux, then times LUX_TO_SCENE so ~300 lux on
+// a light wall reads as mid-grey at 0 EV.
+import * as THREE from 'three';
+import { wallNames, wallPosition, wallNormal } from './room.js';
+
+export const DEFAULT_LIGHTING_URL = 'lighting.json';
+
+export const METERS_PER_INCH = 0.0254;
+export const LUX_TO_SCENE = 0.01;
+export const LUX_PER_FOOTCANDLE = 10.764;
+
+const SOLAR_ILLUMINANCE = 127500; // lux above the atmosphere
+const SKY_ILLUMINANCE = 17000; // lux on the ground from a clear sky, sun overhead
+const SKY_BEAM = 160; // degrees, spread of the skylight through a window
+const SUN_DISTANCE = 300; // inches from the room center to the sun light
+
+export async function loadLightingCatalog(url = DEFAULT_LIGHTING_URL) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`Failed to load lighting catalog ${url} (HTTP ${res.status})`);
+    const doc = await res.json();
+    return { bulbs: doc.bulbs || [], presets: doc.presets || [] };
+}
+
+// Approximate sRGB color of a blackbody at `kelvin` (Tanner Helland's fit)
+export function kelvinToColor(kelvin) {
+    const t = THREE.MathUtils.clamp(kelvin, 1000, 40000) / 100;
+    const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const g = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    const channel = (v) => THREE.MathUtils.clamp(v, 0, 255) / 255;
+    return new THREE.Color().setRGB(channel(r), channel(g), channel(b), THREE.SRGBColorSpace);
+}
+
+// Luminous intensity (candela) of one bulb: its dimmed lumens spread over a
+// full sphere (point) or over the beam's cone (spot)
+export function candela(light) {
+    const lumens = light.lumens * light.dimmer;
+    if (light.kind !== 'spot') return lumens / (4 * Math.PI);
+    const half = THREE.MathUtils.degToRad(light.beamAngle) / 2;
+    return lumens / (2 * Math.PI * (1 - Math.cos(half)));
+}
+
+// three.js intensity for a source of `cd` candela in this inch-based scene
+export function sceneIntensity(cd) {
+    return cd / (METERS_PER_INCH * METERS_PER_INCH) * LUX_TO_SCENE;
+}
+
+function dayOfYear(date) {
+    const d = new Date(`${date}T00:00:00Z`);
+    if (Number.isNaN(d.getTime())) return 172;
+    return Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+}
+
+function hoursOf(time) {
+    const [h, m] = String(time).split(':').map(Number);
+    return (h || 0) + (m || 0) / 60;
+}
+
+// Sun altitude and azimuth (radians; azimuth clockwise from north) for a
+// latitude, a date ("YYYY-MM-DD") and a local solar time ("HH:MM")
+export function sunPosition({ latitude, date, time }) {
+    const lat = THREE.MathUtils.degToRad(latitude);
+    const decl = THREE.MathUtils.degToRad(23.44) * Math.sin(2 * Math.PI * (284 + dayOfYear(date)) / 365);
+    const hour = THREE.MathUtils.degToRad(15 * (hoursOf(time) - 12));
+    const altitude = Math.asin(Math.sin(lat) * Math.sin(decl) + Math.cos(lat) * Math.cos(decl) * Math.cos(hour));
+    const azimuth = Math.atan2(-Math.cos(decl) * Math.sin(hour),
+        Math.sin(decl) * Math.cos(lat) - Math.cos(decl) * Math.sin(lat) * Math.cos(hour));
+    return { altitude, azimuth };
+}
+
+// Unit vector from the room toward the sun. `northWall` is the wall of `room`
+// on its north side.
+export function sunDirection(daylight, room) {
+    const { altitude, azimuth } = sunPosition(daylight);
+    const north = wallNormal(room, daylight.northWall).negate();
+    const east = new THREE.Vector3(-north.z, 0, north.x);
+    return north.multiplyScalar(Math.cos(azimuth)).add(east.multiplyScalar(Math.sin(azimuth)))
+        .multiplyScalar(Math.cos(altitude)).setY(Math.sin(altitude)).normalize();
+}
+
+// Clear-sky illuminance (lux): direct sun on a surface facing it, and the sky
+// on a horizontal surface. Zero at night.
+export function daylightIlluminance(altitude) {
+    if (altitude <= 0) return { sun: 0, sky: 0 };
+    const s = Math.sin(altitude);
+    return { sun: SOLAR_ILLUMINANCE * Math.exp(-0.21 / s), sky: SKY_ILLUMINANCE * s };
+}
+
+function describeTime(daylight) {
+    const { altitude } = sunPosition(daylight);
+    const degrees = THREE.MathUtils.radToDeg(altitude).toFixed(0);
+    return altitude > 0 ? `sun ${degrees}° up` : 'sun down';
+}
+
+// Create the lighting controller.
+//   scene       where room lights, fill and daylight go
+//   room        layout room, for the window and default heights
+//   lighting    layout.lighting, edited in place
+//   catalog     parsed lighting.json ({ bulbs, presets })
+//   renderer    exposure is applied to it; leave out for secondary scenes
+//   panel       element for the lighting editor (optional)
+//   onChange(label)  called after an edit, with a description of it
+export function createLighting({ scene, room, lighting, catalog = { bulbs: [], presets: [] }, renderer = null, panel = null, onChange = () => {} }) {
+    const root = new THREE.Group();
+    root.name = 'lighting';
+    scene.add(root);
+    // Fixture groups with bulbs: fixture id -> group
+    const fixtureGroups = new Map();
+    // Every three.js light built from a layout light: [{ light, source }]
+    let sources = [];
+
+    function removeSources() {
+        sources.forEach(({ source }) => {
+            source.removeFromParent();
+            source.dispose();
+            if (source.target) source.target.removeFromParent();
+        });
+        sources = [];
+        root.clear();
+    }
+
+    function makeSource(light, color) {
+        const intensity = sceneIntensity(candela(light));
+        if (light.kind === 'spot') {
+            const half = THREE.MathUtils.degToRad(light.beamAngle) / 2;
+            return new THREE.SpotLight(color, intensity, 0, Math.min(half, Math.PI / 2), 0.3, 2);
+        }
+        return new THREE.PointLight(color, intensity, 0, 2);
+    }
+
+    // Bulb meshes of a placed fixture (named "bulb"); fixtures without any
+    // get a single source just under their center
+    function bulbsOf(group) {
+        const bulbs = [];
+        group.traverse((o) => { if (o.name === 'bulb') bulbs.push(o); });
+        return bulbs;
+    }
+
+    function addFixtureLight(light, color) {
+        const group = fixtureGroups.get(light.fixture);
+        if (!group) return;
+        const bulbs = bulbsOf(group);
+        if (!bulbs.length) {
+            const source = makeSource(light, color);
+            source.position.set(0, -1, 1);
+            group.add(source);
+            sources.push({ light, source });
+        }
+        bulbs.forEach((bulb) => {
+            const source = makeSource(light, color);
+            bulb.parent.add(source);
+            source.position.copy(bulb.position);
+            if (light.kind === 'spot') {
+                source.target.position.set(0, -1, 0).add(bulb.position);
+                bulb.parent.add(source.target);
+            }
+            sources.push({ light, source });
+            // The bulb glows with the light it gives
+            bulb.material.emissive.copy(color);
+            bulb.material.emissiveIntensity = light.dimmer;
+        });
+    }
+
+    function addRoomLight(light, color) {
+        const source = makeSource(light, color);
+        source.position.set(light.position.x, light.position.y, light.position.z);
+        if (light.castShadow) {
+            source.castShadow = true;
+            source.shadow.mapSize.set(1024, 1024);
+            source.shadow.radius = 4;
+            source.shadow.bias = -0.001;
+        }
+        root.add(source);
+        if (light.kind === 'spot') {
+            source.target.position.set(light.target.x, light.target.y, light.target.z);
+            root.add(source.target);
+        }
+        sources.push({ light, source });
+    }
+
+    // Sun through the window plus the sky seen through it
+    function addDaylight() {
+        const daylight = lighting.daylight;
+        const opening = (room.openings || []).find((o) => o.id === daylight.window);
+        if (!daylight.enabled || !opening) return;
+        const { altitude } = sunPosition(daylight);
+        const { sun, sky } = daylightIlluminance(altitude);
+        if (!sun) return;
+        const glazing = daylight.glazing;
+
+        const sunLight = new THREE.DirectionalLight(kelvinToColor(5500), sun * glazing * LUX_TO_SCENE);
+        sunLight.name = 'sun';
+        sunLight.position.copy(sunDirection(daylight, room)).multiplyScalar(SUN_DISTANCE);
+        sunLight.castShadow = true;
+        const reach = Math.hypot(room.width, room.length, room.height) / 2 + 12;
+        Object.assign(sunLight.shadow.camera, { left: -reach, right: reach, top: reach, bottom: -reach, near: 1, far: SUN_DISTANCE * 2 });
+        sunLight.shadow.mapSize.set(2048, 2048);
+        sunLight.shadow.bias = -0.0005;
+        root.add(sunLight, sunLight.target);
+        sources.push({ light: { id: 'sun', label: 'Sun', lux: sun * glazing }, source: sunLight });
+
+        // Skylight: the window as a wide, soft source aimed into the room,
+        // passing half the sky's horizontal illuminance
+        const area = opening.width * opening.height * METERS_PER_INCH * METERS_PER_INCH;
+        const skyLight = {
+            id: 'sky', label: 'Skylight', kind: 'spot', beamAngle: SKY_BEAM, dimmer: 1,
+            lumens: sky / 2 * area * glazing
+        };
+        const skySource = makeSource(skyLight, kelvinToColor(7000));
+        skySource.name = 'sky';
+        skySource.penumbra = 1;
+        skySource.position.copy(wallPosition(room, opening.wall, opening.along, opening.sill + opening.height / 2, 0));
+        skySource.target.position.copy(skySource.position).add(wallNormal(room, opening.wall));
+        root.add(skySource, skySource.target);
+        sources.push({ light: skyLight, source: skySource });
+    }
+
+    // Rebuild every light from the layout section
+    function refresh() {
+        removeSources();
+        const fill = lighting.fill;
+        root.add(new THREE.HemisphereLight(0xffffff, 0x404040, fill), new THREE.AmbientLight(0xffffff, fill));
+        lighting.lights.forEach((light) => {
+            const color = kelvinToColor(light.kelvin);
+            if (light.fixture) addFixtureLight(light, color);
+            else addRoomLight(light, color);
+        });
+        addDaylight();
+        if (renderer) renderer.toneMappingExposure = Math.pow(2, lighting.exposure);
+        renderPanel();
+    }
+
+    // Register a placed fixture; lights tied to it get their bulbs now
+    function attach(spec, group) {
+        if (!lighting.lights.some((l) => l.fixture === spec.id)) return;
+        fixtureGroups.set(spec.id, group);
+        refresh();
+    }
+
+    function edit(label, change) {
+        change();
+        refresh();
+        onChange(label);
+    }
+
+    // Apply a preset from the catalog: dimmers by light id, "room" (lights not
+    // on a fixture), "fixtures" or "*", plus daylight and exposure settings
+    function applyPreset(id) {
+        const preset = catalog.presets.find((p) => p.id === id);
+        if (!preset) {
+            console.warn(`Unknown lighting preset "${id}"`);
+            return false;
+        }
+        edit(`Lighting preset: ${preset.name}`, () => {
+            const dimmers = preset.dimmers || {};
+            lighting.lights.forEach((light) => {
+                const group = light.fixture ? 'fixtures' : 'room';
+                const level = dimmers[light.id] ?? dimmers[group] ?? dimmers['*'];
+                if (level !== undefined) light.dimmer = level;
+            });
+            if (preset.exposure !== undefined) lighting.exposure = preset.exposure;
+            if (preset.fill !== undefined) lighting.fill = preset.fill;
+            Object.assign(lighting.daylight, preset.daylight);
+        });
+        return true;
+    }
+
+    function field(labelText, input) {
+        const row = document.createElement('label');
+        row.className = 'panel-row';
+        row.textContent = labelText;
+        row.appendChild(input);
+        return row;
+    }
+
+    function input(type, value, onValue, attrs = {}) {
+        const el = document.createElement('input');
+        el.type = type;
+        Object.assign(el, attrs);
+        if (type === 'checkbox') el.checked = value;
+        else el.value = value;
+        el.addEventListener('change', () => onValue(type === 'checkbox' ? el.checked : type === 'number' || type === 'range' ? Number(el.value) : el.value));
+        return el;
+    }
+
+    function select(options, value, onValue) {
+        const el = document.createElement('select');
+        options.forEach(([id, text]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = text;
+            option.selected = id === value;
+            el.appendChild(option);
+        });
+        el.addEventListener('change', () => onValue(el.value));
+        return el;
+    }
+
+    function lightRows(light) {
+        const rows = [];
+        const heading = document.createElement('h4');
+        heading.textContent = light.label;
+        rows.push(heading);
+        const bulbs = [['', 'Custom'], ...catalog.bulbs.map((b) => [b.id, `${b.name} (${b.lumens} lm, ${b.kelvin} K)`])];
+        rows.push(field('Bulb', select(bulbs, light.bulb || '', (id) => {
+            const bulb = catalog.bulbs.find((b) => b.id === id);
+            edit(`${light.label} bulb: ${bulb ? bulb.name : 'custom'}`, () => {
+                light.bulb = id || undefined;
+                if (!bulb) return;
+                light.lumens = bulb.lumens;
+                light.kelvin = bulb.kelvin;
+                if (bulb.beamAngle) light.beamAngle = bulb.beamAngle;
+            });
+        })));
+        const number = (labelText, key, attrs) => field(labelText, input('number', light[key], (v) => {
+            if (!(v >= 0)) return;
+            edit(`${light.label} ${labelText.toLowerCase()}: ${v}`, () => {
+                light[key] = v;
+                light.bulb = undefined;
+            });
+        }, attrs));
+        rows.push(number('Lumens', 'lumens', { step: 50, min: 0 }));
+        rows.push(number('Kelvin', 'kelvin', { step: 100, min: 1000, max: 10000 }));
+        if (light.kind === 'spot') rows.push(number('Beam (°)', 'beamAngle', { step: 5, min: 5, max: 180 }));
+        rows.push(field(`Dimmer (${Math.round(light.dimmer * 100)}%)`, input('range', light.dimmer * 100, (v) => {
+            edit(`${light.label} dimmer: ${v}%`, () => { light.dimmer = v / 100; });
+        }, { min: 0, max: 100, step: 5 })));
+        return rows;
+    }
+
+    function renderPanel() {
+        if (!panel) return;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Lighting';
+        panel.appendChild(heading);
+
+        if (catalog.presets.length) {
+            const presets = [['', 'Apply a preset…'], ...catalog.presets.map((p) => [p.id, p.name])];
+            panel.appendChild(field('Preset', select(presets, '', (id) => { if (id) applyPreset(id); })));
+        }
+        panel.appendChild(field('Exposure (EV)', input('number', lighting.exposure, (v) => {
+            edit(`Exposure: ${v} EV`, () => { lighting.exposure = v; });
+        }, { step: 0.5 })));
+        panel.appendChild(field('Bounce fill', input('number', lighting.fill, (v) => {
+            if (v >= 0) edit(`Bounce fill: ${v}`, () => { lighting.fill = v; });
+        }, { step: 0.05, min: 0 })));
+
+        lighting.lights.forEach((light) => lightRows(light).forEach((row) => panel.appendChild(row)));
+
+        const daylight = lighting.daylight;
+        const day = document.createElement('h4');
+        day.textContent = daylight.window ? `Daylight (${describeTime(daylight)})` : 'Daylight';
+        panel.appendChild(day);
+        if (!daylight.window) {
+            const note = document.createElement('p');
+            note.textContent = 'Add a window opening (type "window") to the layout to model daylight.';
+            panel.appendChild(note);
+            return;
+        }
+        const set = (label, key) => (v) => edit(label(v), () => { daylight[key] = v; });
+        panel.appendChild(field('Sun through window', input('checkbox', daylight.enabled, set((v) => `Daylight ${v ? 'on' : 'off'}`, 'enabled'))));
+        panel.appendChild(field('Time (solar)', input('time', daylight.time, set((v) => `Time of day: ${v}`, 'time'))));
+        panel.appendChild(field('Date', input('date', daylight.date, set((v) => `Date: ${v}`, 'date'))));
+        panel.appendChild(field('Latitude (°)', input('number', daylight.latitude, set((v) => `Latitude: ${v}°`, 'latitude'), { step: 1, min: -90, max: 90 })));
+        const walls = wallNames(room).map((w) => [w, `${w} wall`]);
+        panel.appendChild(field('North side', select(walls, daylight.northWall, set((v) => `North side: ${v} wall`, 'northWall'))));
+    }
+
+    refresh();
+
+    return {
+        refresh,
+        attach,
+        applyPreset,
+        // Built light sources: [{ light (layout entry), source (three.js light) }]
+        get sources() { return sources; },
+        setVisible(on) { if (panel) panel.hidden = !on; },
+        get visible() { return panel ? !panel.hidden : false; }
+    };
+}
@@ -0,0 +1,237 @@
+// Measurement overlay
+// Measurement mode draws labeled dimension lines in inches: each fixture's size,
+// its gaps to the side walls, and the clear floor between the vanity and toilet
+// fronts. While active, clicks drop tape-measure points snapped to whatever
+// surface is under the pointer.
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { wallAxes, wallDistance } from './room.js';
+
+const FIXTURE_COLOR = 0x33ccff;
+const WALL_GAP_COLOR = 0xffcc33;
+const CLEARANCE_COLOR = 0x66ff66;
+const TAPE_COLOR = 0xff66cc;
+const TICK = 0.75; // half-length of the end ticks, inches
+const MIN_GAP = 0.25; // gaps smaller than this count as flush and are not drawn
+
+export function formatInches(value) {
+    return `${value.toFixed(1)}"`;
+}
+
+function overlayMaterial(color) {
+    return new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+}
+
+function label(text, className = 'dim-label') {
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    return new CSS2DObject(el);
+}
+
+// Line from a to b with end ticks and a centered label
+export function dimensionLine(a, b, text, color) {
+    const group = new THREE.Group();
+    const dir = b.clone().sub(a);
+    // Ticks run across the line: horizontal for vertical lines, vertical otherwise
+    const across = Math.abs(dir.y) > Math.max(Math.abs(dir.x), Math.abs(dir.z))
+        ? new THREE.Vector3(TICK, 0, 0)
+        : new THREE.Vector3(0, TICK, 0);
+    const points = [
+        a, b,
+        a.clone().add(across), a.clone().sub(across),
+        b.clone().add(across), b.clone().sub(across)
+    ];
+    const lines = new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(points), overlayMaterial(color));
+    lines.renderOrder = 998;
+    group.add(lines);
+    const tag = label(text);
+    tag.position.copy(a).add(b).multiplyScalar(0.5);
+    group.add(tag);
+    return group;
+}
+
+// Closest facing points between two boxes: per axis, the facing faces when the
+// boxes are apart on that axis, the middle of the overlap otherwise
+function closestPoints(a, b) {
+    const pa = new THREE.Vector3();
+    const pb = new THREE.Vector3();
+    ['x', 'y', 'z'].forEach((k) => {
+        if (a.max[k] < b.min[k]) {
+            pa[k] = a.max[k]; pb[k] = b.min[k];
+        } else if (b.max[k] < a.min[k]) {
+            pa[k] = a.min[k]; pb[k] = b.max[k];
+        } else {
+            const mid = (Math.max(a.min[k], b.min[k]) + Math.min(a.max[k], b.max[k])) / 2;
+            pa[k] = mid; pb[k] = mid;
+        }
+    });
+    return [pa, pb];
+}
+
+// Fixture size plus gaps to the side walls (and floor, for wall-hung fixtures),
+// drawn in the fixture's wall frame: "along" the wall and "out" from it
+function fixtureDimensions(entry, room) {
+    const { spec, group } = entry;
+    const lines = new THREE.Group();
+    const box = new THREE.Box3().setFromObject(group);
+    const { out, along, sign } = wallAxes(room, spec.wall);
+    const front = sign > 0 ? box.max[out] : box.min[out];
+    const back = sign > 0 ? box.min[out] : box.max[out];
+    const top = box.max.y + 1;
+
+    const point = (u, y, n) => {
+        const p = new THREE.Vector3();
+        p[along] = u; p.y = y; p[out] = n;
+        return p;
+    };
+    const size = box.getSize(new THREE.Vector3());
+
+    lines.add(dimensionLine(point(box.min[along], top, front), point(box.max[along], top, front), `W ${formatInches(size[along])}`, FIXTURE_COLOR));
+    lines.add(dimensionLine(point(box.max[along] + 1, box.min.y, front), point(box.max[along] + 1, box.max.y, front), `H ${formatInches(size.y)}`, FIXTURE_COLOR));
+    lines.add(dimensionLine(point(box.min[along], top, back), point(box.min[along], top, front), `D ${formatInches(size[out])}`, FIXTURE_COLOR));
+
+    // Nearest wall each side, across the fixture's whole depth
+    const midY = (box.min.y + box.max.y) / 2;
+    const midOut = (box.min[out] + box.max[out]) / 2;
+    [[box.min[along], -1], [box.max[along], 1]].forEach(([side, toward]) => {
+        const direction = new THREE.Vector3();
+        direction[along] = toward;
+        const hit = wallDistance(room, point(side, 0, midOut), direction, size[out] / 2);
+        if (!hit || hit.distance <= MIN_GAP) return;
+        lines.add(dimensionLine(point(side, midY, front), point(side + toward * hit.distance, midY, front), formatInches(hit.distance), WALL_GAP_COLOR));
+    });
+    // Height above the floor for anything hung on a wall
+    if (spec.mount === 'wall' && box.min.y > MIN_GAP) {
+        const u = (box.min[along] + box.max[along]) / 2;
+        lines.add(dimensionLine(point(u, 0, front), point(u, box.min.y, front), `↑ ${formatInches(box.min.y)}`, WALL_GAP_COLOR));
+    }
+    return lines;
+}
+
+// Clear floor between two fixtures (e.g. vanity front to toilet front)
+function clearance(a, b, text) {
+    const boxA = new THREE.Box3().setFromObject(a.group);
+    const boxB = new THREE.Box3().setFromObject(b.group);
+    const [pa, pb] = closestPoints(boxA, boxB);
+    pa.y = pb.y = 0.5;
+    return dimensionLine(pa, pb, `${text} ${formatInches(pa.distanceTo(pb))}`, CLEARANCE_COLOR);
+}
+
+// Create the measurement controller.
+//   scene, camera, domElement  tape picking happens against every mesh in scene
+//   room                       layout room, for wall gaps
+//   fixtures                   Map of fixture id -> { spec, group }
+export function createMeasurements({ scene, camera, domElement, room, fixtures }) {
+    const overlay = new THREE.Group();
+    overlay.name = 'measurements';
+    overlay.visible = false;
+    scene.add(overlay);
+    const dimensions = new THREE.Group();
+    const tapes = new THREE.Group();
+    overlay.add(dimensions, tapes);
+
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    let pending = null; // first tape point, waiting for the second
+    let active = false;
+
+    function clearGroup(group) {
+        group.traverse((o) => {
+            if (o.geometry) o.geometry.dispose();
+            if (o.isCSS2DObject) o.element.remove();
+        });
+        group.clear();
+    }
+
+    // Rebuild the fixture dimension lines from the current placements
+    function refresh() {
+        if (!active) return;
+        clearGroup(dimensions);
+        fixtures.forEach((entry) => dimensions.add(fixtureDimensions(entry, room)));
+        const byType = (type) => [...fixtures.values()].find((e) => e.spec.type === type);
+        const vanity = byType('vanity');
+        const toilet = byType('toilet');
+        if (vanity && toilet) dimensions.add(clearance(vanity, toilet, 'Clear floor'));
+    }
+
+    function setActive(on) {
+        active = on;
+        overlay.visible = on;
+        // CSS labels only look at their own visible flag, not their parents'
+        overlay.traverse((o) => { if (o.isCSS2DObject) o.visible = on; });
+        if (on) refresh();
+        else cancelTape();
+        console.log(`Measurement mode ${on ? 'on' : 'off'}`);
+    }
+
+    // Surface point under the pointer, ignoring the overlay itself
+    function surfacePoint(event) {
+        const rect = domElement.getBoundingClientRect();
+        pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, camera);
+        const targets = scene.children.filter((o) => o !== overlay);
+        const hit = raycaster.intersectObjects(targets, true).find((h) => h.object.isMesh && h.object.visible);
+        return hit ? hit.point.clone() : null;
+    }
+
+    function marker(point) {
+        const dot = new THREE.Mesh(
+            new THREE.SphereGeometry(0.4, 12, 12),
+            new THREE.MeshBasicMaterial({ color: TAPE_COLOR, depthTest: false })
+        );
+        dot.renderOrder = 999;
+        dot.position.copy(point);
+        return dot;
+    }
+
+    // Tape measure: first click anchors, second click measures
+    function click(event) {
+        const point = surfacePoint(event);
+        if (!point) return;
+        if (!pending) {
+            pending = marker(point);
+            tapes.add(pending);
+            return;
+        }
+        const start = pending.position.clone();
+        tapes.add(marker(point));
+        tapes.add(dimensionLine(start, point, formatInches(start.distanceTo(point)), TAPE_COLOR));
+        console.log(`Tape: ${formatInches(start.distanceTo(point))}`);
+        pending = null;
+    }
+
+    function cancelTape() {
+        if (!pending) return;
+        tapes.remove(pending);
+        pending.geometry.dispose();
+        pending = null;
+    }
+
+    function clearTape() {
+        pending = null;
+        clearGroup(tapes);
+    }
+
+    // Remove the overlay and its labels (before rebuilding the scene)
+    function dispose() {
+        clearGroup(overlay);
+        overlay.removeFromParent();
+        active = false;
+        pending = null;
+    }
+
+    return {
+        refresh,
+        dispose,
+        click,
+        clearTape,
+        cancelTape,
+        setActive,
+        toggle() { setActive(!active); },
+        get active() { return active; }
+    };
+}
@@ -0,0 +1,188 @@
+// Unit and orientation detection for imported models
+// A model's file says nothing reliable about its units or which way it faces:
+// glTF is meant to be meters, Y up, front toward +Z, but exports in
+// centimeters, inches, Z up or facing sideways are common. This looks at the
+// geometry instead. The up axis is the one with a flat base (for floor-standing
+// fixtures) and proportions that match the slot, or failing a slot the longest
+// one, as most bathroom fixtures are taller than they are wide; the back is the
+// flattest vertical side, as most fixtures stand flat against a wall; the units
+// are the ones that make the model a plausible size. Each guess is a proposal
+// the import panel shows for confirmation.
+import * as THREE from 'three';
+import { uprightQuaternion } from './fixtures.js';
+
+// Inches per model unit
+export const UNITS = {
+    m: { label: 'meters', inches: 39.3701 },
+    cm: { label: 'centimeters', inches: 0.393701 },
+    mm: { label: 'millimeters', inches: 0.0393701 },
+    in: { label: 'inches', inches: 1 },
+    ft: { label: 'feet', inches: 12 }
+};
+
+// Typical heights (inches) for judging units when there is no slot to match
+const TYPICAL_HEIGHTS = { vanity: 34, toilet: 30, mirror: 30, cabinet: 24, vanityLight: 8, towelRing: 7 };
+const DEFAULT_HEIGHT = 30;
+
+const MAX_TRIANGLES = 100000; // sampled for the flatness tests
+const FLAT_NORMAL = 0.95; // |cos| between a face normal and an axis to count as facing it
+const FLAT_BAND = 0.03; // fraction of the extent a face may sit inside the box side
+
+const AXES = ['x', 'y', 'z'];
+
+function signed(sign, axis) {
+    return `${sign < 0 ? '-' : '+'}${axis}`;
+}
+
+function opposite(dir) {
+    return `${dir[0] === '-' ? '+' : '-'}${dir[1]}`;
+}
+
+// Model-space bounds, plus how much of each side of the box is covered by
+// flat faces lying on it: { box, size, flat: { '+x': 0-1, '-x': ... } }
+export function analyzeGeometry(model) {
+    model.updateMatrixWorld(true);
+    const inverse = model.matrixWorld.clone().invert();
+    const box = new THREE.Box3();
+    const meshes = [];
+    let total = 0;
+    model.traverse((o) => {
+        if (!o.isMesh) return;
+        const matrix = inverse.clone().multiply(o.matrixWorld);
+        const { index, attributes } = o.geometry;
+        const count = (index ? index.count : attributes.position.count) / 3;
+        meshes.push({ mesh: o, matrix, count });
+        total += count;
+        const local = o.geometry.boundingBox || (o.geometry.computeBoundingBox(), o.geometry.boundingBox);
+        box.union(local.clone().applyMatrix4(matrix));
+    });
+    const size = box.getSize(new THREE.Vector3());
+    const flat = Object.fromEntries(AXES.flatMap((a) => [[`+${a}`, 0], [`-${a}`, 0]]));
+    if (box.isEmpty()) return { box, size, flat };
+
+    const stride = Math.max(1, Math.ceil(total / MAX_TRIANGLES));
+    const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const normal = new THREE.Vector3();
+    const edge = new THREE.Vector3();
+    const centroid = new THREE.Vector3();
+    meshes.forEach(({ mesh, matrix, count }) => {
+        const { index, attributes } = mesh.geometry;
+        const vertex = (i, v) => v.fromBufferAttribute(attributes.position, index ? index.getX(i) : i).applyMatrix4(matrix);
+        for (let t = 0; t < count; t += stride) {
+            vertex(t * 3, a);
+            vertex(t * 3 + 1, b);
+            vertex(t * 3 + 2, c);
+            normal.subVectors(b, a).cross(edge.subVectors(c, a));
+            const area = normal.length() / 2;
+            if (!area) continue;
+            normal.normalize();
+            centroid.addVectors(a, b).add(c).divideScalar(3);
+            AXES.forEach((axis) => {
+                if (Math.abs(normal[axis]) < FLAT_NORMAL) return;
+                // Winding is not trusted: where the face sits says which side it is on
+                const band = FLAT_BAND * (size[axis] || 1);
+                if (centroid[axis] >= box.max[axis] - band) flat[`+${axis}`] += area * stride;
+                else if (centroid[axis] <= box.min[axis] + band) flat[`-${axis}`] += area * stride;
+            });
+        }
+    });
+    AXES.forEach((axis) => {
+        const [u, v] = AXES.filter((other) => other !== axis);
+        const side = size[u] * size[v] || 1;
+        flat[`+${axis}`] = Math.min(1, flat[`+${axis}`] / side);
+        flat[`-${axis}`] = Math.min(1, flat[`-${axis}`] / side);
+    });
+    return { box, size, flat };
+}
+
+// How far apart two ratios are, as a positive log distance
+function mismatch(a, b) {
+    return Math.abs(Math.log((a || 1e-6) / (b || 1e-6)));
+}
+
+// Units that make `height` model units closest to `expected` inches;
+// meters win ties, being glTF's own unit
+export function detectUnits(height, expected) {
+    return Object.keys(UNITS).reduce((best, key) => (
+        mismatch(height * UNITS[key].inches, expected) < mismatch(height * UNITS[best].inches, expected) - 1e-9 ? key : best
+    ), 'm');
+}
+
+// Yaw (degrees) that turns a model standing on `up` so `front` faces +Z
+export function yawFor(up, front) {
+    const v = new THREE.Vector3();
+    v[front[1]] = front[0] === '-' ? -1 : 1;
+    v.applyQuaternion(uprightQuaternion(up));
+    const deg = THREE.MathUtils.radToDeg(Math.atan2(-v.x, v.z));
+    return Math.round(deg / 90) * 90 || 0;
+}
+
+// Layout axes (which model axis carries width, height and depth) for an
+// orientation
+export function axesFor(up, front) {
+    const height = up[1];
+    const depth = front[1];
+    return { width: AXES.find((a) => a !== height && a !== depth), height, depth };
+}
+
+// Size in inches of a model in `units` standing on `up` and facing `front`
+export function orientedSize(size, { up, front, units }) {
+    const axes = axesFor(up, front);
+    const k = UNITS[units].inches;
+    return { width: size[axes.width] * k, height: size[axes.height] * k, depth: size[axes.depth] * k };
+}
+
+// Propose { units, up, front, rotationY, axes, size, geometry } for a model.
+//   target  the slot's target size in inches, when replacing a fixture
+//   type    fixture type, for a typical height when there is no target
+//   mount   'floor' fixtures are expected to have a flat base
+export function proposeOrientation(model, { target = null, type = null, mount = 'floor' } = {}) {
+    const geometry = analyzeGeometry(model);
+    const { size, flat } = geometry;
+
+    // Up: a flat base, proportions like the slot's (or the longest axis), and
+    // glTF's +Y by default
+    const upScore = (axis) => {
+        const longest = Math.max(...AXES.filter((a) => a !== axis).map((a) => size[a]));
+        let score = axis === 'y' ? 0.2 : 0;
+        if (mount === 'floor') score += 0.5 * flat[`-${axis}`];
+        if (target) score -= mismatch(size[axis] / longest, target.height / Math.max(target.width, target.depth));
+        else if (size[axis] >= longest) score += 0.3;
+        return score;
+    };
+    const upAxis = AXES.reduce((best, axis) => (upScore(axis) > upScore(best) ? axis : best), 'y');
+    const up = `+${upAxis}`;
+
+    // Back: the flattest vertical side; front faces the other way. Depth runs
+    // across the shorter side unless the slot says otherwise, and glTF's
+    // front (+Z, so back -Z) breaks ties.
+    const horizontal = AXES.filter((a) => a !== upAxis);
+    const backScore = (dir) => {
+        const axis = dir[1];
+        const other = horizontal.find((a) => a !== axis);
+        let score = flat[dir] + (dir === '-z' ? 0.1 : 0);
+        if (target) score -= mismatch(size[axis] / size[other], target.depth / target.width);
+        else if (size[axis] < size[other]) score += 0.15;
+        return score;
+    };
+    const backs = horizontal.flatMap((a) => [signed(-1, a), signed(1, a)]);
+    const back = backs.reduce((best, dir) => (backScore(dir) > backScore(best) ? dir : best));
+    const front = opposite(back);
+
+    const expected = target?.height || TYPICAL_HEIGHTS[type] || DEFAULT_HEIGHT;
+    const units = detectUnits(size[upAxis], expected);
+    return {
+        units,
+        up,
+        front,
+        rotationY: yawFor(up, front),
+        axes: axesFor(up, front),
+        size: orientedSize(size, { up, front, units }),
+        geometry
+    };
+}
+
+// Front directions possible for a model standing on `up`
+export function frontChoices(up) {
+    return AXES.filter((a) => a !== up[1]).flatMap((a) => [signed(1, a), signed(-1, a)]);
+}
@@ -0,0 +1,704 @@
+// Procedural fixtures
+// Parametric models for every fixture type, used when none of a slot's GLB
+// candidates load. Each builder takes the layout spec and returns an object at
+// the spec's target size (inches) with its back at -Z and its front facing +Z.
+// Wood parts are named with "wood" so the finishes module tints only those;
+// the optional spec fields each builder reads are listed above it.
+import * as THREE from 'three';
+
+const WOOD_COLOR = 0xD2B48C;
+
+function woodMaterial() {
+    return new THREE.MeshStandardMaterial({ color: WOOD_COLOR, roughness: 0.6, metalness: 0.0 });
+}
+
+function blackMetal() {
+    return new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.35, metalness: 0.8 });
+}
+
+function porcelain() {
+    return new THREE.MeshStandardMaterial({ color: 0xFAFAF7, roughness: 0.15, metalness: 0.0, side: THREE.DoubleSide });
+}
+
+function part(geometry, material, name, x = 0, y = 0, z = 0) {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    mesh.position.set(x, y, z);
+    return mesh;
+}
+
+// Flat slab lying in the XZ plane from y = 0 up to `thickness`, cut from a
+// shape drawn in plan (shape x is X, shape y is -Z)
+function slab(shape, thickness) {
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: thickness, bevelEnabled: false, curveSegments: 32 });
+    geometry.rotateX(-Math.PI / 2);
+    return geometry;
+}
+
+function ellipse(rx, rz, cz = 0) {
+    const shape = new THREE.Shape();
+    shape.absellipse(0, -cz, rx, rz, 0, Math.PI * 2, false);
+    return shape;
+}
+
+// Knob or pull centered at (x, y) on a front face at z; bars run along
+// the face, or up it when `vertical`
+function addHandle(group, style, material, x, y, z, { vertical = false, length = 4 } = {}) {
+    if (style === 'none') return;
+    if (style === 'bar') {
+        const bar = part(new THREE.CylinderGeometry(0.22, 0.22, length, 12), material, 'pull', x, y, z + 1);
+        if (!vertical) bar.rotation.z = Math.PI / 2;
+        group.add(bar);
+        [-1, 1].forEach((end) => {
+            const post = part(new THREE.CylinderGeometry(0.15, 0.15, 1, 8), material, 'pullPost', x, y, z + 0.5);
+            post.rotation.x = Math.PI / 2;
+            if (vertical) post.position.y += end * (length / 2 - 0.4);
+            else post.position.x += end * (length / 2 - 0.4);
+            group.add(post);
+        });
+        return;
+    }
+    group.add(part(new THREE.SphereGeometry(0.6, 16, 12), material, 'knob', x, y, z + 0.6));
+}
+
+// Vanity: wood cabinet on a toe kick with a stack of drawers, a countertop
+// and a three-piece faucet.
+//   drawers  number of drawers down the front (default 3)
+//   knobs    'round' | 'bar' | 'none' (default 'round')
+//   top      countertop color (default '#F4F4F0', white quartz)
+//   sink     'integrated' basin cut into the top | 'vessel' bowl on it | 'none'
+function buildVanity(spec) {
+    const { width, height, depth } = spec.target;
+    const drawers = Math.max(1, Math.round(spec.drawers ?? 3));
+    const knobs = spec.knobs || 'round';
+    const sink = spec.sink || 'integrated';
+    const group = new THREE.Group();
+    const wood = woodMaterial();
+    const metal = blackMetal();
+
+    const topThickness = Math.min(1.25, height * 0.05);
+    const toeKick = Math.min(3.5, height * 0.12);
+    const faceThickness = 0.75;
+    const overhang = 0.75; // countertop past the drawer fronts
+    const faceFront = depth / 2 - overhang;
+    const carcassDepth = depth - overhang - faceThickness;
+    const boxHeight = height - topThickness - toeKick;
+
+    group.add(part(new THREE.BoxGeometry(width, boxHeight, carcassDepth), wood, 'woodCarcass',
+        0, toeKick + boxHeight / 2, -depth / 2 + carcassDepth / 2));
+    group.add(part(new THREE.BoxGeometry(width - 1, toeKick, carcassDepth - 3), wood, 'woodToeKick',
+        0, toeKick / 2, -depth / 2 + (carcassDepth - 3) / 2));
+
+    // Drawer fronts, evenly split down the face with a reveal between them
+    const reveal = 0.25;
+    const drawerHeight = (boxHeight - reveal * (drawers + 1)) / drawers;
+    for (let i = 0; i < drawers; i++) {
+        const y = height - topThickness - reveal - drawerHeight / 2 - i * (drawerHeight + reveal);
+        group.add(part(new THREE.BoxGeometry(width - reveal * 2, drawerHeight, faceThickness), wood, `woodDrawer${i + 1}`,
+            0, y, faceFront - faceThickness / 2));
+        addHandle(group, knobs, metal, 0, y, faceFront, { length: Math.min(6, width / 4) });
+    }
+
+    // Countertop, with the basin cut out of it for an integrated sink
+    const topMaterial = new THREE.MeshStandardMaterial({ color: spec.top || 0xF4F4F0, roughness: 0.25, metalness: 0.0, side: THREE.DoubleSide });
+    const basin = {
+        rx: Math.min(width * 0.32, 8.5),
+        rz: Math.min(depth * 0.28, 6.5),
+        z: Math.min(1, depth * 0.05)
+    };
+    const topShape = new THREE.Shape();
+    topShape.moveTo(-width / 2, -depth / 2);
+    topShape.lineTo(width / 2, -depth / 2);
+    topShape.lineTo(width / 2, depth / 2);
+    topShape.lineTo(-width / 2, depth / 2);
+    topShape.closePath();
+    if (sink === 'integrated') topShape.holes.push(ellipse(basin.rx, basin.rz, basin.z));
+    const top = part(slab(topShape, topThickness), topMaterial, 'countertop', 0, height - topThickness, 0);
+    group.add(top);
+
+    if (sink === 'none') return group;
+
+    let spoutHeight = 6;
+    if (sink === 'integrated') {
+        // Bowl hanging under the cut-out, as a lathe profile scaled to the ellipse
+        const profile = [];
+        for (let i = 0; i <= 12; i++) {
+            const a = (i / 12) * (Math.PI / 2);
+            profile.push(new THREE.Vector2(Math.cos(a) + 0.001, -Math.sin(a) * 5.5));
+        }
+        profile.reverse();
+        const bowl = part(new THREE.LatheGeometry(profile, 32), topMaterial, 'basin', 0, height, basin.z);
+        bowl.scale.set(basin.rx, 1, basin.rz);
+        group.add(bowl);
+        group.add(part(new THREE.CylinderGeometry(0.8, 0.8, 0.1, 16), metal, 'drain', 0, height - 5.45, basin.z));
+    } else {
+        // Vessel bowl standing on the top
+        const profile = [
+            new THREE.Vector2(0, 0),
+            new THREE.Vector2(0.55, 0),
+            new THREE.Vector2(0.8, 0.25),
+            new THREE.Vector2(0.97, 0.65),
+            new THREE.Vector2(1, 1),
+            new THREE.Vector2(0.94, 1),
+            new THREE.Vector2(0.9, 0.65),
+            new THREE.Vector2(0.72, 0.3),
+            new THREE.Vector2(0, 0.18)
+        ];
+        const bowl = part(new THREE.LatheGeometry(profile, 32), porcelain(), 'vesselSink', 0, height, basin.z);
+        bowl.scale.set(basin.rx, 5, basin.rz);
+        group.add(bowl);
+        spoutHeight = 10;
+    }
+
+    // Three-piece faucet behind the basin: spout between two handles
+    const faucetZ = basin.z - basin.rz - 1.5;
+    group.add(part(new THREE.CylinderGeometry(0.45, 0.6, spoutHeight, 16), metal, 'faucet', 0, height + spoutHeight / 2, faucetZ));
+    const reach = Math.min(basin.rz, 5);
+    const spout = part(new THREE.CylinderGeometry(0.35, 0.35, reach, 16), metal, 'spout',
+        0, height + spoutHeight - 0.35, faucetZ + reach / 2);
+    spout.rotation.x = Math.PI / 2;
+    group.add(spout);
+    const handleX = Math.min(basin.rx * 0.6, 4);
+    [-handleX, handleX].forEach((x) => {
+        group.add(part(new THREE.CylinderGeometry(0.5, 0.6, 1.5, 16), metal, 'faucetHandle', x, height + 0.75, faucetZ));
+        const lever = part(new THREE.BoxGeometry(0.3, 0.3, 2), metal, 'faucetLever', x, height + 1.6, faucetZ + 0.8);
+        group.add(lever);
+    });
+    return group;
+}
+
+// Toilet: two-piece, with tank, bowl on its pedestal, seat and closed lid.
+//   bowl  'elongated' fills the depth in front of the tank | 'round' keeps the
+//         bowl near circular, with a neck back to the tank (default 'elongated')
+function buildToilet(spec) {
+    const { width, height, depth } = spec.target;
+    const group = new THREE.Group();
+    const china = porcelain();
+
+    // Tank against the wall, lid at full height
+    const tankDepth = Math.min(8.5, depth * 0.3);
+    const tankHeight = Math.min(15, height * 0.45);
+    const lidThickness = 1;
+    group.add(part(new THREE.BoxGeometry(width - 0.5, tankHeight - lidThickness, tankDepth), china, 'tank',
+        0, height - tankHeight + (tankHeight - lidThickness) / 2, -depth / 2 + tankDepth / 2));
+    group.add(part(new THREE.BoxGeometry(width, lidThickness, tankDepth + 0.25), china, 'tankLid',
+        0, height - lidThickness / 2, -depth / 2 + (tankDepth + 0.25) / 2));
+    const chrome = new THREE.MeshStandardMaterial({ color: 0xCCCCCC, roughness: 0.2, metalness: 1.0 });
+    group.add(part(new THREE.BoxGeometry(2.5, 0.4, 0.5), chrome, 'flushLever',
+        -width / 2 + 3, height - 3, -depth / 2 + tankDepth + 0.25));
+
+    // Bowl and pedestal from one lathe profile (unit radius), stretched to the
+    // bowl's footprint
+    const rimHeight = Math.min(15, height * 0.46);
+    const bowlWidth = Math.min(width * 0.85, 15);
+    const room = depth - tankDepth + 2; // the bowl tucks under the tank
+    const bowlLength = spec.bowl === 'round' ? Math.min(room, bowlWidth * 1.1) : room;
+    const bowlZ = depth / 2 - bowlLength / 2;
+    const profile = [
+        new THREE.Vector2(0.2, rimHeight - 7),
+        new THREE.Vector2(0.7, rimHeight - 1.5),
+        new THREE.Vector2(0.86, rimHeight),
+        new THREE.Vector2(1, rimHeight),
+        new THREE.Vector2(0.97, rimHeight * 0.75),
+        new THREE.Vector2(0.75, rimHeight * 0.5),
+        new THREE.Vector2(0.5, rimHeight * 0.3),
+        new THREE.Vector2(0.52, 0)
+    ];
+    const bowl = part(new THREE.LatheGeometry(profile, 40), china, 'bowl', 0, 0, bowlZ);
+    bowl.scale.set(bowlWidth / 2, 1, bowlLength / 2);
+    group.add(bowl);
+
+    // A round bowl leaves a gap to the tank, bridged by the trapway neck
+    const neckStart = -depth / 2 + tankDepth;
+    const neckEnd = bowlZ - bowlLength * 0.3;
+    if (neckEnd > neckStart) {
+        const neckHeight = rimHeight - 2;
+        group.add(part(new THREE.BoxGeometry(bowlWidth * 0.45, neckHeight, neckEnd - neckStart), china, 'neck',
+            0, neckHeight / 2, (neckStart + neckEnd) / 2));
+    }
+
+    // Seat ring and closed lid over it
+    const seatThickness = 0.75;
+    const seatShape = ellipse(bowlWidth / 2, bowlLength / 2, 0);
+    seatShape.holes.push(ellipse(bowlWidth * 0.3, bowlLength * 0.32, 0.5));
+    group.add(part(slab(seatShape, seatThickness), china, 'seat', 0, rimHeight, bowlZ));
+    group.add(part(slab(ellipse(bowlWidth * 0.48, bowlLength * 0.47, -0.2), 0.6), china, 'seatLid',
+        0, rimHeight + seatThickness, bowlZ));
+    return group;
+}
+
+// Outline points (counter-clockwise, centered) of a frame shape `w` × `h`.
+// Wavy edges ripple by `amplitude` with whole waves per side, so the corners
+// of concentric outlines line up.
+function frameOutline(frame, w, h, amplitude) {
+    const points = [];
+    if (frame === 'round') {
+        for (let i = 0; i < 96; i++) {
+            const a = (i / 96) * Math.PI * 2;
+            points.push(new THREE.Vector2(Math.cos(a) * w / 2, Math.sin(a) * h / 2));
+        }
+        return points;
+    }
+    if (frame === 'arch') {
+        const rise = Math.min(w / 2, h / 2);
+        points.push(new THREE.Vector2(-w / 2, -h / 2), new THREE.Vector2(w / 2, -h / 2));
+        for (let i = 0; i <= 48; i++) {
+            const a = (i / 48) * Math.PI;
+            points.push(new THREE.Vector2(Math.cos(a) * w / 2, h / 2 - rise + Math.sin(a) * rise));
+        }
+        return points;
+    }
+    const corners = [[-w / 2, -h / 2], [w / 2, -h / 2], [w / 2, h / 2], [-w / 2, h / 2]];
+    if (frame !== 'wavy') return corners.map(([x, y]) => new THREE.Vector2(x, y));
+    corners.forEach(([x0, y0], i) => {
+        const [x1, y1] = corners[(i + 1) % 4];
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        const waves = Math.max(2, Math.round(length / 6));
+        const steps = waves * 12;
+        // Outward normal of a counter-clockwise edge
+        const nx = (y1 - y0) / length;
+        const ny = -(x1 - x0) / length;
+        for (let s = 0; s < steps; s++) {
+            const t = s / steps;
+            const offset = amplitude * Math.sin(Math.PI * 2 * waves * t);
+            points.push(new THREE.Vector2(x0 + (x1 - x0) * t + nx * offset, y0 + (y1 - y0) * t + ny * offset));
+        }
+    });
+    return points;
+}
+
+// Mirror: reflective glass in a frame.
+//   frame       'wavy' | 'rectangle' | 'round' | 'arch' (default 'wavy')
+//   frameWidth  inches of frame around the glass (default 1.5)
+//   frameColor  frame color (default black)
+function buildMirror(spec) {
+    const { width, height, depth } = spec.target;
+    const frame = spec.frame || 'wavy';
+    const frameWidth = Math.min(spec.frameWidth ?? 1.5, Math.min(width, height) / 4);
+    const amplitude = Math.min(0.6, frameWidth / 3);
+    const group = new THREE.Group();
+    const outer = frame === 'wavy' ? amplitude : 0; // keeps the waves inside the target size
+
+    const shape = new THREE.Shape(frameOutline(frame, width - outer * 2, height - outer * 2, amplitude));
+    const opening = frameOutline(frame, width - outer * 2 - frameWidth * 2, height - outer * 2 - frameWidth * 2, amplitude);
+    shape.holes.push(new THREE.Path(opening));
+    const frameGeometry = new THREE.ExtrudeGeometry(shape, { depth, bevelEnabled: false, curveSegments: 32 });
+    frameGeometry.translate(0, 0, -depth / 2);
+    const frameMaterial = new THREE.MeshStandardMaterial({ color: spec.frameColor || 0x111111, roughness: 0.4, metalness: 0.6 });
+    group.add(part(frameGeometry, frameMaterial, 'mirrorFrame'));
+
+    // Glass sits in a rebate behind the frame face, overlapping the frame's inner edge
+    const glassShape = new THREE.Shape(frameOutline(frame, width - outer * 2 - frameWidth, height - outer * 2 - frameWidth, amplitude));
+    const glassGeometry = new THREE.ExtrudeGeometry(glassShape, { depth: 0.15, bevelEnabled: false, curveSegments: 32 });
+    const glassMaterial = new THREE.MeshStandardMaterial({ color: 0xFFFFFF, roughness: 0.03, metalness: 1.0 });
+    group.add(part(glassGeometry, glassMaterial, 'mirrorGlass', 0, 0, depth / 2 - Math.min(0.5, depth / 2)));
+    return group;
+}
+
+// Door face with vertical flutes: a plan profile of half-round ribs,
+// extruded up the door (y from 0 to `height`, back at z = 0)
+function flutedPanel(width, height, thickness, fluteWidth) {
+    const flutes = Math.max(1, Math.round(width / fluteWidth));
+    const rib = Math.min(fluteWidth / 2, 0.3);
+    const shape = new THREE.Shape();
+    // Plan profile: shape y is -Z, so the front of the door is negative y
+    shape.moveTo(-width / 2, 0);
+    shape.lineTo(-width / 2, -thickness);
+    for (let i = 0; i < flutes; i++) {
+        for (let s = 1; s <= 8; s++) {
+            const u = s / 8;
+            const x = -width / 2 + (i + u) * (width / flutes);
+            shape.lineTo(x, -thickness - rib * Math.sin(Math.PI * u));
+        }
+    }
+    shape.lineTo(width / 2, 0);
+    shape.closePath();
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: height, bevelEnabled: false });
+    geometry.rotateX(-Math.PI / 2);
+    return geometry;
+}
+
+// Wall cabinet: wood box with a row of doors.
+//   doors       number of doors (default 2)
+//   fluted      vertical fluting on the doors (default true)
+//   fluteWidth  inches per flute (default 0.75)
+//   knobs       'round' | 'bar' | 'none' (default 'round')
+function buildCabinet(spec) {
+    const { width, height, depth } = spec.target;
+    const doors = Math.max(1, Math.round(spec.doors ?? 2));
+    const fluted = spec.fluted ?? true;
+    const knobs = spec.knobs || 'round';
+    const group = new THREE.Group();
+    const wood = woodMaterial();
+    const metal = blackMetal();
+
+    const doorThickness = 0.75;
+    const carcassDepth = depth - doorThickness;
+    group.add(part(new THREE.BoxGeometry(width, height, carcassDepth), wood, 'woodCarcass', 0, 0, -depth / 2 + carcassDepth / 2));
+
+    const reveal = 0.125;
+    const doorWidth = (width - reveal * (doors + 1)) / doors;
+    const doorHeight = height - reveal * 2;
+    const doorBack = -depth / 2 + carcassDepth;
+    const ribDepth = fluted ? Math.min((spec.fluteWidth ?? 0.75) / 2, 0.3) : 0;
+    for (let i = 0; i < doors; i++) {
+        const x = -width / 2 + reveal + doorWidth / 2 + i * (doorWidth + reveal);
+        const door = fluted
+            ? part(flutedPanel(doorWidth, doorHeight, doorThickness - ribDepth, spec.fluteWidth ?? 0.75), wood, `woodDoor${i + 1}`,
+                x, -doorHeight / 2, doorBack)
+            : part(new THREE.BoxGeometry(doorWidth, doorHeight, doorThickness), wood, `woodDoor${i + 1}`,
+                x, 0, doorBack + doorThickness / 2);
+        group.add(door);
+        // Knob on the edge toward the middle (the right edge of a middle door),
+        // low on the door as the cabinet hangs above eye level
+        const side = x < -0.01 ? 1 : (x > 0.01 ? -1 : 1);
+        const knobY = -doorHeight / 2 + Math.min(2.5, doorHeight * 0.2);
+        addHandle(group, knobs, metal, x + side * (doorWidth / 2 - 1.25), knobY, doorBack + doorThickness,
+            { vertical: true, length: Math.min(4, doorHeight / 3) });
+    }
+    return group;
+}
+
+// Black bar with bell-shaped glass shades and warm bulbs
+//   bulbs        number of shades (default 2)
+//   bulbSpacing  inches between shade centers (default 14)
+function buildVanityLight(spec) {
+    const lightGroup = new THREE.Group();
+
+    // Black mounting bar
+    const barGeometry = new THREE.BoxGeometry(spec.target.width, spec.target.height, spec.target.depth);
+    const barMaterial = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0.3, metalness: 0.8 });
+    lightGroup.add(new THREE.Mesh(barGeometry, barMaterial));
+
+    const bulbs = spec.bulbs || 2;
+    const spacing = spec.bulbSpacing || 14;
+    for (let i = 0; i < bulbs; i++) {
+        const x = (i - (bulbs - 1) / 2) * spacing;
+
+        // Shade holder
+        const holderGeometry = new THREE.CylinderGeometry(0.5, 0.5, 2, 16);
+        const holder = new THREE.Mesh(holderGeometry, barMaterial);
+        holder.position.set(x, -1, 0);
+        lightGroup.add(holder);
+
+        // Bell shade via LatheGeometry profile
+        const pts = [
+            new THREE.Vector2(0.2, -0.5),
+            new THREE.Vector2(0.35, -1.2),
+            new THREE.Vector2(1.0, -2.2),
+            new THREE.Vector2(1.8, -3.0),
+            new THREE.Vector2(2.3, -3.6),
+            new THREE.Vector2(2.5, -4.8)
+        ];
+        const shadeMaterial = new THREE.MeshStandardMaterial({ color: 0xFFFFFF, roughness: 0.05, metalness: 0.0, transparent: true, opacity: 0.25 });
+        const shade = new THREE.Mesh(new THREE.LatheGeometry(pts, 24), shadeMaterial);
+        shade.position.set(x, -2.8, 0);
+        lightGroup.add(shade);
+
+        // Light bulb inside shade
+        const bulbMaterial = new THREE.MeshStandardMaterial({ color: 0xFFE4B5, emissive: 0xFFA500, emissiveIntensity: 1.0, roughness: 0.7, metalness: 0.0 });
+        const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.8, 16, 16), bulbMaterial);
+        // Named so the lighting module can put a light source here
+        bulb.name = 'bulb';
+        bulb.position.set(x, -4.2, 0);
+        lightGroup.add(bulb);
+    }
+    return lightGroup;
+}
+
+// Black circular towel ring, facing out from the wall
+function buildTowelRing(spec) {
+    const radius = (spec.target.width - spec.target.depth) / 2;
+    const ringGeometry = new THREE.TorusGeometry(radius, spec.target.depth / 2, 8, 32);
+    const ringMaterial = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0.4, metalness: 0.8 });
+    return new THREE.Mesh(ringGeometry, ringMaterial);
+}
+
+function chrome() {
+    return new THREE.MeshStandardMaterial({ color: 0xCCCCCC, roughness: 0.2, metalness: 1.0 });
+}
+
+function whitePlastic() {
+    return new THREE.MeshStandardMaterial({ color: 0xF4F4F0, roughness: 0.5, metalness: 0.0 });
+}
+
+// Round rod of radius `r` from `a` to `b` (Vector3s)
+function rod(r, a, b, material, name) {
+    const length = a.distanceTo(b);
+    const mesh = part(new THREE.CylinderGeometry(r, r, length, 16), material, name);
+    mesh.position.copy(a).lerp(b, 0.5);
+    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), b.clone().sub(a).normalize());
+    return mesh;
+}
+
+// Round wall flange, its back on the wall at z
+function flange(r, x, y, z, material) {
+    const mesh = part(new THREE.CylinderGeometry(r, r, 0.3, 24), material, 'flange', x, y, z + 0.15);
+    mesh.rotation.x = Math.PI / 2;
+    return mesh;
+}
+
+function roundedRect(w, d, r) {
+    const shape = new THREE.Shape();
+    const [x0, x1, y0, y1] = [-w / 2, w / 2, -d / 2, d / 2];
+    shape.moveTo(x0 + r, y0);
+    shape.lineTo(x1 - r, y0);
+    shape.quadraticCurveTo(x1, y0, x1, y0 + r);
+    shape.lineTo(x1, y1 - r);
+    shape.quadraticCurveTo(x1, y1, x1 - r, y1);
+    shape.lineTo(x0 + r, y1);
+    shape.quadraticCurveTo(x0, y1, x0, y1 - r);
+    shape.lineTo(x0, y0 + r);
+    shape.quadraticCurveTo(x0, y0, x0 + r, y0);
+    return shape;
+}
+
+// Fixed glass panel standing on a rim at z, from x0 to x1, in a metal channel
+function glassPanel(group, x0, x1, y, z, height) {
+    const glass = new THREE.MeshStandardMaterial({ color: 0xE8F4F4, roughness: 0.05, metalness: 0.0, transparent: true, opacity: 0.2 });
+    group.add(part(new THREE.BoxGeometry(x1 - x0, height, 0.375), glass, 'glass', (x0 + x1) / 2, y + height / 2, z));
+    group.add(part(new THREE.BoxGeometry(x1 - x0, 0.75, 0.75), chrome(), 'glassChannel', (x0 + x1) / 2, y + 0.375, z));
+}
+
+// Alcove bathtub: apron and rim at the target size, the basin sunk into it and
+// the drain at the left end. The glass panel stands on the front rim above
+// the target height, over the drain end.
+//   glass        'panel' | 'none' (default 'panel')
+//   glassWidth   inches of panel along the rim (default 30)
+//   glassHeight  inches of panel above the rim (default 58)
+function buildTub(spec) {
+    const { width, height, depth } = spec.target;
+    const group = new THREE.Group();
+    const china = porcelain();
+    const rim = Math.min(4, depth / 6);
+    const basinDepth = Math.min(15, height - 2);
+
+    // Apron and rim: the outline with the basin cut out, full height
+    const body = roundedRect(width, depth, 0.5);
+    body.holes.push(roundedRect(width - rim * 2, depth - rim * 2, Math.min(6, depth / 4)));
+    group.add(part(slab(body, height), china, 'tubShell'));
+    group.add(part(slab(roundedRect(width - rim * 2, depth - rim * 2, Math.min(6, depth / 4)), 1), china, 'tubBasin',
+        0, height - basinDepth - 1, 0));
+
+    const metal = chrome();
+    const drainX = -width / 2 + rim + 4;
+    const drain = part(new THREE.CylinderGeometry(1, 1, 0.15, 24), metal, 'drain', drainX, height - basinDepth, 0);
+    group.add(drain);
+    // Spout and valve on the back wall above the drain end
+    group.add(rod(0.5, new THREE.Vector3(drainX, height + 4, -depth / 2), new THREE.Vector3(drainX, height + 4, -depth / 2 + 5), metal, 'spout'));
+    group.add(flange(1.75, drainX, height + 12, -depth / 2, metal));
+
+    if ((spec.glass || 'panel') === 'panel') {
+        const panelWidth = Math.min(spec.glassWidth ?? 30, width);
+        glassPanel(group, -width / 2, -width / 2 + panelWidth, height, depth / 2 - rim / 2, spec.glassHeight ?? 58);
+    }
+    return group;
+}
+
+// Shower pan: a low base with its floor sloped to a center drain (drawn flat)
+// and a curb all round. The glass panel stands on the front curb above the
+// target height, leaving the right-hand side open as the entry.
+//   glass        'panel' | 'none' (default 'panel')
+//   glassWidth   inches of panel along the curb (default half the width)
+//   glassHeight  inches of panel above the curb (default 72)
+function buildShowerPan(spec) {
+    const { width, height, depth } = spec.target;
+    const group = new THREE.Group();
+    const base = porcelain();
+    const curb = Math.min(3, depth / 8);
+
+    const ring = roundedRect(width, depth, 0.25);
+    ring.holes.push(roundedRect(width - curb * 2, depth - curb * 2, 1));
+    group.add(part(slab(ring, height), base, 'panCurb'));
+    group.add(part(slab(roundedRect(width - curb * 2, depth - curb * 2, 1), Math.max(0.25, height - 1.5)), base, 'panFloor'));
+    group.add(part(new THREE.BoxGeometry(4, 0.1, 4), chrome(), 'drain', 0, Math.max(0.25, height - 1.5) + 0.05, 0));
+
+    if ((spec.glass || 'panel') === 'panel') {
+        const panelWidth = Math.min(spec.glassWidth ?? width / 2, width);
+        glassPanel(group, -width / 2, -width / 2 + panelWidth, height, depth / 2 - curb / 2, spec.glassHeight ?? 72);
+    }
+    return group;
+}
+
+// Towel bar: a round bar on two posts, its ends over the posts
+function buildTowelBar(spec) {
+    const { width, height, depth } = spec.target;
+    const group = new THREE.Group();
+    const metal = blackMetal();
+    const r = Math.min(0.375, height / 4, depth / 4);
+    const postX = width / 2 - height / 2;
+    const front = depth - r;
+    [-postX, postX].forEach((x) => {
+        group.add(flange(height / 2, x, 0, 0, metal));
+        group.add(rod(r * 0.8, new THREE.Vector3(x, 0, 0.3), new THREE.Vector3(x, 0, front), metal, 'post'));
+    });
+    group.add(rod(r, new THREE.Vector3(-width / 2, 0, front), new THREE.Vector3(width / 2, 0, front), metal, 'bar'));
+    return group;
+}
+
+// Robe and towel hooks, evenly spaced along the target width: one hook on a
+// round flange, or several on a rail
+//   hooks  number of hooks (default 1)
+function buildTowelHook(spec) {
+    const { width, height, depth } = spec.target;
+    const hooks = Math.max(1, Math.round(spec.hooks ?? 1));
+    const group = new THREE.Group();
+    const metal = blackMetal();
+    const spacing = width / hooks;
+    const plate = Math.min(width, height) / 2;
+    const top = hooks > 1 ? height / 2 - Math.min(0.75, height / 4) : height / 2 - plate;
+    if (hooks > 1) {
+        group.add(part(new THREE.BoxGeometry(width, Math.min(1.5, height / 2), 0.4), metal, 'hookRail', 0, top, 0.2));
+    } else {
+        group.add(flange(plate, 0, top, 0, metal));
+    }
+    for (let i = 0; i < hooks; i++) {
+        const x = -width / 2 + spacing * (i + 0.5);
+        // Arm down and out from the wall, then a tip turned up
+        const elbow = new THREE.Vector3(x, -height / 2 + 0.25, depth - 0.25);
+        group.add(rod(0.25, new THREE.Vector3(x, top, 0.3), elbow, metal, 'hookArm'));
+        group.add(rod(0.25, elbow, new THREE.Vector3(x, Math.min(top, elbow.y + 1.5), depth - 0.25), metal, 'hookTip'));
+    }
+    return group;
+}
+
+// Toilet paper holder: a post at the left with the roll arm running right
+//   roll  show a paper roll on the arm (default true)
+function buildPaperHolder(spec) {
+    const { width, height, depth } = spec.target;
+    const group = new THREE.Group();
+    const metal = blackMetal();
+    const r = Math.min(2.25, height / 2, depth / 2);
+    const armZ = depth - r;
+    const plate = Math.min(1.25, height / 2);
+    const postX = -width / 2 + plate;
+    group.add(flange(plate, postX, 0, 0, metal));
+    group.add(rod(0.35, new THREE.Vector3(postX, 0, 0.3), new THREE.Vector3(postX, 0, armZ), metal, 'post'));
+    group.add(rod(0.3, new THREE.Vector3(postX, 0, armZ), new THREE.Vector3(width / 2, 0, armZ), metal, 'arm'));
+    if (spec.roll ?? true) {
+        const paper = new THREE.MeshStandardMaterial({ color: 0xFFFFFF, roughness: 0.9, metalness: 0.0 });
+        const rollLength = Math.min(4.5, width / 2 - 0.25 - postX - 0.75);
+        group.add(rod(r, new THREE.Vector3(width / 2 - 0.25 - rollLength, 0, armZ), new THREE.Vector3(width / 2 - 0.25, 0, armZ), paper, 'roll'));
+    }
+    return group;
+}
+
+// Grab bar: 1 1/4" tube on returns to round flanges, 1 1/2" clear of the wall
+function buildGrabBar(spec) {
+    const { width, height, depth } = spec.target;
+    const group = new THREE.Group();
+    const steel = new THREE.MeshStandardMaterial({ color: 0xC8C8C8, roughness: 0.35, metalness: 1.0 });
+    const r = Math.min(0.625, depth / 4);
+    const endX = width / 2 - height / 2;
+    const front = depth - r;
+    [-endX, endX].forEach((x) => {
+        group.add(flange(height / 2, x, 0, 0, steel));
+        group.add(rod(r, new THREE.Vector3(x, 0, 0.3), new THREE.Vector3(x, 0, front), steel, 'return'));
+    });
+    group.add(rod(r, new THREE.Vector3(-endX, 0, front), new THREE.Vector3(endX, 0, front), steel, 'bar'));
+    return group;
+}
+
+// Ceiling exhaust fan grille: a flat square with louvres across its face,
+// which is the underside (y = 0); hung from the ceiling by its top
+function buildExhaustFan(spec) {
+    const { width, height, depth } = spec.target;
+    const group = new THREE.Group();
+    const plastic = whitePlastic();
+    const border = Math.min(1.25, width / 6);
+    const face = Math.min(0.1, height / 4);
+    group.add(part(new THREE.BoxGeometry(width, height - face, depth), plastic, 'grille', 0, face + (height - face) / 2, 0));
+    // Dark opening behind the louvres
+    const shadow = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.9, metalness: 0.0 });
+    group.add(part(new THREE.BoxGeometry(width - border * 2, face / 2, depth - border * 2), shadow, 'grilleOpening', 0, face * 0.75, 0));
+    const louvres = Math.max(3, Math.round((depth - border * 2) / 0.75));
+    const pitch = (depth - border * 2) / louvres;
+    for (let i = 0; i < louvres; i++) {
+        group.add(part(new THREE.BoxGeometry(width - border * 2, face / 2, pitch * 0.55), plastic, 'louvre',
+            0, face / 4, -depth / 2 + border + pitch * (i + 0.5)));
+    }
+    return group;
+}
+
+// Centers of `gangs` devices side by side across a plate `width` wide
+function gangCenters(width, gangs) {
+    const pitch = width / gangs;
+    return Array.from({ length: gangs }, (_, i) => -width / 2 + pitch * (i + 0.5));
+}
+
+function wallPlate(group, width, height, depth) {
+    group.add(part(new THREE.BoxGeometry(width, height, depth * 0.6), whitePlastic(), 'plate', 0, 0, depth * 0.3));
+}
+
+// Receptacle wall plate.
+//   device  'gfci' (decorator receptacle with test and reset buttons) |
+//           'duplex' (two round faces) (default 'gfci')
+//   gangs   devices side by side (default 1)
+function buildOutlet(spec) {
+    const { width, height, depth } = spec.target;
+    const gangs = Math.max(1, Math.round(spec.gangs ?? 1));
+    const group = new THREE.Group();
+    const plastic = whitePlastic();
+    const slot = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.8, metalness: 0.0 });
+    wallPlate(group, width, height, depth);
+    const face = depth * 0.6;
+    gangCenters(width, gangs).forEach((x) => {
+        if (spec.device !== 'duplex') {
+            group.add(part(new THREE.BoxGeometry(1.3, 2.6, depth * 0.4), plastic, 'decorator', x, 0, face + depth * 0.2));
+            ['test', 'reset'].forEach((name, i) => {
+                group.add(part(new THREE.BoxGeometry(0.5, 0.25, 0.1), i ? plastic : slot, name, x, (i - 0.5) * 0.35, depth - 0.05));
+            });
+        }
+        [0.8, -0.8].forEach((y) => {
+            if (spec.device === 'duplex') {
+                group.add(part(new THREE.CylinderGeometry(0.6, 0.6, depth * 0.4, 24), plastic, 'receptacle', x, y, face + depth * 0.2)
+                    .rotateX(Math.PI / 2));
+            }
+            // Two blade slots and the ground hole
+            [-0.25, 0.25].forEach((dx) => group.add(part(new THREE.BoxGeometry(0.07, 0.28, 0.05), slot, 'slot', x + dx, y + 0.08, depth - 0.025)));
+            group.add(part(new THREE.BoxGeometry(0.16, 0.16, 0.05), slot, 'ground', x, y - 0.25, depth - 0.025));
+        });
+    });
+    return group;
+}
+
+// Switch wall plate.
+//   style  'rocker' (decorator paddles) | 'toggle' (default 'rocker')
+//   gangs  switches side by side (default 1)
+function buildSwitch(spec) {
+    const { width, height, depth } = spec.target;
+    const gangs = Math.max(1, Math.round(spec.gangs ?? 1));
+    const group = new THREE.Group();
+    const plastic = whitePlastic();
+    wallPlate(group, width, height, depth);
+    const face = depth * 0.6;
+    gangCenters(width, gangs).forEach((x) => {
+        if (spec.style === 'toggle') {
+            const lever = part(new THREE.BoxGeometry(0.3, 0.9, 0.3), plastic, 'toggle', x, 0.25, depth - 0.32);
+            lever.rotation.x = -0.4;
+            group.add(lever);
+            return;
+        }
+        group.add(part(new THREE.BoxGeometry(1.25, 2.5, depth * 0.4), plastic, 'rocker', x, 0, face + depth * 0.2));
+    });
+    return group;
+}
+
+// Builders keyed by layout fixture type
+export const PROCEDURAL_BUILDERS = {
+    vanity: buildVanity,
+    toilet: buildToilet,
+    mirror: buildMirror,
+    cabinet: buildCabinet,
+    vanityLight: buildVanityLight,
+    towelRing: buildTowelRing,
+    tub: buildTub,
+    showerPan: buildShowerPan,
+    towelBar: buildTowelBar,
+    towelHook: buildTowelHook,
+    paperHolder: buildPaperHolder,
+    grabBar: buildGrabBar,
+    exhaustFan: buildExhaustFan,
+    outlet: buildOutlet,
+    switch: buildSwitch
+};
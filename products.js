@@ -0,0 +1,216 @@
+// Fixture products
+// A catalog (products.json) of real fixtures: name, SKU, spec-sheet dimensions,
+// the model to show (GLB candidates, or the type's procedural build), mounting
+// height and rough-in points. A fixture slot names its product in the layout's
+// `product` field; choosing another product rewrites the slot's target size,
+// model and mounting so placement runs again against the new spec. Any
+// product can also go into the room as a new fixture on a chosen wall.
+import { wallNames } from './room.js';
+import { FIXTURE_DEFAULTS } from './layout.js';
+
+export const DEFAULT_PRODUCTS_URL = 'products.json';
+
+// Slot fields a product decides, with the values used when it leaves one out
+const PRODUCT_DEFAULTS = {
+    candidates: [],
+    scaleMode: 'uniformByHeight',
+    axes: { width: 'x', height: 'y', depth: 'z' },
+    up: '+y',
+    rotationY: 0
+};
+
+const ROUGH_IN_KINDS = { drain: 'Drain', supply: 'Supply', electrical: 'Electrical', blocking: 'Blocking' };
+
+export async function loadProductCatalog(url = DEFAULT_PRODUCTS_URL) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`Failed to load product catalog ${url} (HTTP ${res.status})`);
+    const doc = await res.json();
+    return { products: doc.products || [] };
+}
+
+export function findProduct(catalog, id) {
+    return catalog.products.find((p) => p.id === id) || null;
+}
+
+// Products that can go into a slot
+export function productsFor(catalog, spec) {
+    return catalog.products.filter((p) => p.type === spec.type);
+}
+
+// Rewrite a slot for `product`. Its options (like a light's bulb count)
+// replace any that `catalog`'s products of the type set, so one it leaves out
+// goes back to the build's default; a product without GLB candidates falls
+// back to the type's procedural build, and one without a fallback box gets one
+// at its size.
+export function applyProduct(spec, product, catalog = { products: [] }) {
+    spec.product = product.id;
+    spec.target = { ...product.dimensions };
+    Object.entries(PRODUCT_DEFAULTS).forEach(([key, value]) => {
+        spec[key] = JSON.parse(JSON.stringify(product[key] ?? value));
+    });
+    spec.fallback = { ...(product.fallback || product.dimensions) };
+    productsFor(catalog, spec).forEach((p) => Object.keys(p.options || {}).forEach((key) => { delete spec[key]; }));
+    Object.assign(spec, JSON.parse(JSON.stringify(product.options || {})));
+    if (product.mounting) {
+        spec.offset.y = product.mounting.y ?? spec.offset.y;
+        spec.align = product.mounting.align || spec.align;
+        spec.mount = product.mounting.mount || spec.mount;
+        spec.gap = product.mounting.gap ?? spec.gap;
+    }
+}
+
+// New fixture slot holding `product`, centered on `wall`, with the type's
+// default mounting under the product's own
+export function productFixtureSpec(product, { id, wall }, catalog) {
+    const defaults = FIXTURE_DEFAULTS[product.type] || {};
+    const spec = {
+        id,
+        type: product.type,
+        label: product.name,
+        wall,
+        mount: defaults.mount || 'wall',
+        align: defaults.align || 'bottom',
+        offset: { along: 0, y: defaults.y || 0 },
+        gap: defaults.gap || 0
+    };
+    applyProduct(spec, product, catalog);
+    return spec;
+}
+
+// Fixture id not yet in `taken`: the type, then type2, type3...
+function uniqueId(type, taken) {
+    let id = type;
+    for (let n = 2; taken.has(id); n++) id = `${type}${n}`;
+    return id;
+}
+
+function formatDimensions({ width, height, depth }) {
+    return `${width}" W × ${height}" H × ${depth}" D`;
+}
+
+// One line per rough-in point: "Drain: 18" high, 4" right of center"
+export function describeRoughIn(point) {
+    const where = [point.surface === 'ceiling' ? 'in the ceiling' : (point.height ? `${point.height}" high` : 'in the floor')];
+    if (point.along) where.push(`${Math.abs(point.along)}" ${point.along > 0 ? 'right' : 'left'} of center`);
+    else where.push('centered');
+    if (point.out) where.push(`${point.out}" from the wall`);
+    return `${point.label || ROUGH_IN_KINDS[point.kind] || point.kind}: ${where.join(', ')}`;
+}
+
+// Panel with a product picker per fixture slot and the chosen product's
+// SKU, dimensions, mounting and rough-in, and a row to add any product as a
+// new fixture.
+//   panel                  element to render into
+//   catalog                product catalog
+//   getLayout()            layout being edited
+//   onChange(spec, product)  swap a slot to another product
+//   onAdd(spec)            add a new fixture slot to the layout
+export function createProductPanel({ panel, catalog, getLayout, onChange, onAdd = () => {} }) {
+    function slotItem(spec) {
+        const li = document.createElement('li');
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+        const label = document.createElement('span');
+        label.textContent = spec.label;
+        const menu = document.createElement('select');
+        const choices = productsFor(catalog, spec);
+        const product = findProduct(catalog, spec.product);
+        if (!product) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'Custom (not in catalog)';
+            option.selected = true;
+            menu.appendChild(option);
+        }
+        choices.forEach((p) => {
+            const option = document.createElement('option');
+            option.value = p.id;
+            option.textContent = p.name;
+            option.selected = p === product;
+            menu.appendChild(option);
+        });
+        menu.disabled = !choices.length;
+        menu.addEventListener('change', () => {
+            const chosen = findProduct(catalog, menu.value);
+            if (chosen) onChange(spec, chosen);
+        });
+        row.append(label, menu);
+        li.appendChild(row);
+
+        const details = document.createElement('ul');
+        const lines = product
+            ? [`SKU ${product.sku}`, formatDimensions(product.dimensions)]
+            : [`Target ${formatDimensions(spec.target)}`];
+        if (product?.mounting?.y !== undefined) lines.push(`Mount ${product.mounting.align || 'bottom'} at ${product.mounting.y}"`);
+        (product?.roughIn || []).forEach((point) => lines.push(describeRoughIn(point)));
+        lines.forEach((text) => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            details.appendChild(item);
+        });
+        li.appendChild(details);
+        return li;
+    }
+
+    // Product and wall pickers with an Add button, products grouped by type
+    function addRow(layout) {
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+        const menu = document.createElement('select');
+        [...new Set(catalog.products.map((p) => p.type))].forEach((type) => {
+            const group = document.createElement('optgroup');
+            group.label = type;
+            catalog.products.filter((p) => p.type === type).forEach((p) => {
+                const option = document.createElement('option');
+                option.value = p.id;
+                option.textContent = p.name;
+                group.appendChild(option);
+            });
+            menu.appendChild(group);
+        });
+        const wall = document.createElement('select');
+        wallNames(layout.room).forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name} wall`;
+            wall.appendChild(option);
+        });
+        const button = document.createElement('button');
+        button.textContent = 'Add';
+        button.disabled = !catalog.products.length;
+        button.addEventListener('click', () => {
+            const product = findProduct(catalog, menu.value);
+            if (!product) return;
+            const id = uniqueId(product.type, new Set(layout.fixtures.map((f) => f.id)));
+            onAdd(productFixtureSpec(product, { id, wall: wall.value }, catalog));
+        });
+        row.append(menu, wall, button);
+        return row;
+    }
+
+    function render() {
+        if (!panel || panel.hidden) return;
+        const layout = getLayout();
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Products';
+        const list = document.createElement('ul');
+        (layout?.fixtures || []).forEach((spec) => list.appendChild(slotItem(spec)));
+        panel.append(heading, list);
+        if (!layout) return;
+        const add = document.createElement('p');
+        add.textContent = 'Add a fixture';
+        panel.append(add, addRow(layout));
+    }
+
+    render();
+
+    return {
+        render,
+        setVisible(on) {
+            panel.hidden = !on;
+            render();
+        },
+        get visible() { return !panel.hidden; }
+    };
+}
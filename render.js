@@ -0,0 +1,496 @@
+// Presentation renders
+// Stills and videos for clients, drawn with more care than the live view can
+// afford: supersampled (rendered at 2x or 4x and averaged down), with larger
+// shadow maps and ground-truth ambient occlusion, and with the editing
+// overlays hidden. A video's camera follows a turntable or a tour of the
+// camera presets frame by frame, and its frames are encoded with fixed
+// timestamps, so rendering the same design again gives the same file.
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { GTAOPass } from 'three/addons/postprocessing/GTAOPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { SimplexNoise } from 'three/addons/math/SimplexNoise.js';
+import { presetView, easeInOutCubic, PRESETS } from './camera.js';
+import { isEditingOverlay } from './export.js';
+import { webmFile } from './webm.js';
+import { downloadBlob } from './bom.js';
+
+export const STILL_SIZES = {
+    hd: { width: 1920, height: 1080, label: '1920 × 1080 (HD)' },
+    qhd: { width: 2560, height: 1440, label: '2560 × 1440' },
+    uhd: { width: 3840, height: 2160, label: '3840 × 2160 (4K)' },
+    square: { width: 2048, height: 2048, label: '2048 × 2048' }
+};
+
+export const VIDEO_SIZES = {
+    hd720: { width: 1280, height: 720, label: '1280 × 720' },
+    hd: { width: 1920, height: 1080, label: '1920 × 1080 (HD)' },
+    uhd: { width: 3840, height: 2160, label: '3840 × 2160 (4K)' }
+};
+
+export const CAMERA_PATHS = {
+    turntable: 'Turntable',
+    tour: 'Preset tour'
+};
+
+// Supersampled frames larger than this (8K) are rendered with less
+// supersampling instead
+const MAX_RENDER_PIXELS = 7680 * 4320;
+
+// Ambient occlusion in scene inches: occluders within 10" darken a surface
+const AO_PARAMETERS = { radius: 10, distanceExponent: 1, thickness: 10, scale: 1, samples: 16 };
+
+// Share of each preset tour leg spent holding still on the preset
+const TOUR_HOLD = 0.3;
+
+// Seeded random numbers (mulberry32), so noise textures repeat between renders
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return {
+        random() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = Math.imul(a ^ (a >>> 15), a | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    };
+}
+
+// GTAOPass's denoise noise, generated the same way but from a fixed seed
+// rather than Math.random
+function denoiseNoise(size = 64) {
+    const simplex = new SimplexNoise(seededRandom(1));
+    const data = new Uint8Array(size * size * 4);
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            const k = (i * size + j) * 4;
+            data[k] = (simplex.noise(i, j) * 0.5 + 0.5) * 255;
+            data[k + 1] = (simplex.noise(i + size, j) * 0.5 + 0.5) * 255;
+            data[k + 2] = (simplex.noise(i, j + size) * 0.5 + 0.5) * 255;
+            data[k + 3] = (simplex.noise(i + size, j + size) * 0.5 + 0.5) * 255;
+        }
+    }
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Largest supersampling factor (of 1, 2 or 4, up to `wanted`) whose frame fits
+// the GPU's texture size and the pixel budget
+export function fitSupersample(renderer, width, height, wanted) {
+    const max = renderer.capabilities.maxTextureSize;
+    if (width > max || height > max) throw new Error(`${width} × ${height} is larger than this GPU can render (${max} px)`);
+    let factor = wanted;
+    while (factor > 1 && (width * factor > max || height * factor > max || width * height * factor * factor > MAX_RENDER_PIXELS)) {
+        factor /= 2;
+    }
+    return factor;
+}
+
+// Camera position and target `t` (0-1) of the way along a path.
+//   turntable  once around the target of the `view` preset, from that preset
+//   tour       through every preset in turn and back to the first, pausing on each
+export function pathView(path, t, { camera, room, fixtures, openings, view = 'overview' }) {
+    const context = { camera, room, fixtures, openings };
+    if (path === 'tour') {
+        const views = Object.keys(PRESETS).map((name) => presetView(name, context));
+        const x = t * views.length;
+        const leg = Math.min(Math.floor(x), views.length - 1);
+        const k = easeInOutCubic(THREE.MathUtils.clamp((x - leg - TOUR_HOLD) / (1 - TOUR_HOLD), 0, 1));
+        const from = views[leg];
+        const to = views[(leg + 1) % views.length];
+        return {
+            position: from.position.clone().lerp(to.position, k),
+            target: from.target.clone().lerp(to.target, k)
+        };
+    }
+    const start = presetView(view, context);
+    const offset = start.position.clone().sub(start.target).applyAxisAngle(new THREE.Vector3(0, 1, 0), t * Math.PI * 2);
+    return { position: start.target.clone().add(offset), target: start.target.clone() };
+}
+
+function aim(camera, { position, target }) {
+    camera.position.copy(position);
+    camera.lookAt(target);
+    camera.updateMatrixWorld();
+}
+
+// Put the scene, camera and renderer in render settings; returns a function
+// that puts everything back.
+//   hidden       scene children to leave out besides the editing overlays
+//   shadowSize   minimum shadow map size for every shadow-casting light
+function stage({ renderer, scene, camera, width, height, hidden = [], shadowSize }) {
+    const undo = [];
+
+    scene.traverse((o) => {
+        if ((isEditingOverlay(o) || hidden.includes(o)) && o.visible) {
+            o.visible = false;
+            undo.push(() => { o.visible = true; });
+        }
+        // The model's own material rather than a clearance-check tint
+        if (o.userData.untinted) {
+            const tint = o.material;
+            o.material = o.userData.untinted;
+            undo.push(() => { o.material = tint; });
+        }
+        if (o.isLight && o.castShadow && o.shadow.mapSize.x < shadowSize) {
+            const size = o.shadow.mapSize.clone();
+            o.shadow.mapSize.set(shadowSize, shadowSize);
+            o.shadow.map?.dispose();
+            o.shadow.map = null;
+            undo.push(() => {
+                o.shadow.mapSize.copy(size);
+                o.shadow.map?.dispose();
+                o.shadow.map = null;
+            });
+        }
+    });
+
+    const saved = { position: camera.position.clone(), quaternion: camera.quaternion.clone(), aspect: camera.aspect };
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    undo.push(() => {
+        camera.position.copy(saved.position);
+        camera.quaternion.copy(saved.quaternion);
+        camera.aspect = saved.aspect;
+        camera.updateProjectionMatrix();
+    });
+
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    undo.push(() => {
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(size.x, size.y, false);
+    });
+
+    return () => undo.reverse().forEach((fn) => fn());
+}
+
+// Renders frames of `width` x `height` through the composer at `supersample`
+// times the size, into a canvas of the final size. The renderer's canvas is
+// resized for it (its CSS size stays put).
+function createFrameRenderer({ renderer, scene, camera, width, height, supersample, ao }) {
+    const w = width * supersample;
+    const h = height * supersample;
+    renderer.setPixelRatio(1);
+    renderer.setSize(w, h, false);
+    const gl = renderer.getContext();
+    if (gl.drawingBufferWidth !== w || gl.drawingBufferHeight !== h) {
+        throw new Error(`The browser limited the canvas to ${gl.drawingBufferWidth} × ${gl.drawingBufferHeight}; choose a smaller size or less supersampling`);
+    }
+
+    const composer = new EffectComposer(renderer);
+    composer.setPixelRatio(1);
+    composer.setSize(w, h);
+    composer.addPass(new RenderPass(scene, camera));
+    if (ao) {
+        const pass = new GTAOPass(scene, camera, w, h, undefined, AO_PARAMETERS, { radius: 8 * supersample });
+        pass.pdNoiseTexture.dispose();
+        pass.pdNoiseTexture = denoiseNoise();
+        pass.pdMaterial.uniforms.tNoise.value = pass.pdNoiseTexture;
+        composer.addPass(pass);
+    }
+    composer.addPass(new OutputPass());
+
+    // Halving steps down to the final size: drawn at exactly half size,
+    // bilinear sampling averages each 2 x 2 block
+    const steps = [];
+    for (let factor = supersample / 2; factor >= 1; factor /= 2) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * factor;
+        canvas.height = height * factor;
+        const context = canvas.getContext('2d');
+        context.imageSmoothingEnabled = true;
+        context.imageSmoothingQuality = 'low';
+        steps.push({ canvas, context });
+    }
+    const output = steps.length ? steps[steps.length - 1].canvas : document.createElement('canvas');
+    const outputContext = steps.length ? null : output.getContext('2d');
+    if (!steps.length) {
+        output.width = width;
+        output.height = height;
+    }
+
+    return {
+        render() {
+            composer.render(0);
+            // Copied out before the browser presents (and clears) the canvas
+            let source = renderer.domElement;
+            steps.forEach(({ canvas, context }) => {
+                context.drawImage(source, 0, 0, canvas.width, canvas.height);
+                source = canvas;
+            });
+            outputContext?.drawImage(source, 0, 0);
+            return output;
+        },
+        dispose() {
+            composer.passes.forEach((pass) => pass.dispose?.());
+            composer.dispose();
+        }
+    };
+}
+
+// PNG of the scene seen from `camera` (or a preset `view`).
+// Resolves { blob, supersample } with the supersampling actually used.
+export async function renderStill({ renderer, scene, camera, room, fixtures, openings, width, height,
+    supersample = 2, shadowSize = 4096, ao = true, view = null, hidden = [] }) {
+    const factor = fitSupersample(renderer, width, height, supersample);
+    const restore = stage({ renderer, scene, camera, width, height, hidden, shadowSize });
+    let frames = null;
+    try {
+        if (view) aim(camera, presetView(view, { camera, room, fixtures, openings }));
+        frames = createFrameRenderer({ renderer, scene, camera, width, height, supersample: factor, ao });
+        const canvas = frames.render();
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+        return { blob, supersample: factor };
+    } finally {
+        frames?.dispose();
+        restore();
+    }
+}
+
+// WebM (VP9) of the camera following `path` for `seconds`, frame by frame.
+//   onProgress(done, total)  after each frame
+// Resolves { blob, supersample }.
+export async function renderVideo({ renderer, scene, camera, room, fixtures, openings, width, height,
+    path = 'turntable', view = 'overview', seconds = 8, fps = 30,
+    supersample = 1, shadowSize = 4096, ao = true, hidden = [], onProgress = () => {} }) {
+    if (typeof VideoEncoder === 'undefined') throw new Error('This browser cannot encode video (no WebCodecs support)');
+    const config = {
+        codec: 'vp09.00.51.08',
+        width,
+        height,
+        bitrate: Math.round(width * height * fps * 0.1),
+        framerate: fps,
+        latencyMode: 'quality'
+    };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (!supported) throw new Error(`This browser cannot encode ${width} × ${height} VP9 video`);
+
+    const chunks = [];
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output(chunk) {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+        },
+        error(e) { failure = e; }
+    });
+    encoder.configure(config);
+
+    const total = Math.max(1, Math.round(seconds * fps));
+    const frameTime = (i) => Math.round(i * 1e6 / fps); // µs
+    const factor = fitSupersample(renderer, width, height, supersample);
+    const restore = stage({ renderer, scene, camera, width, height, hidden, shadowSize });
+    let frames = null;
+    try {
+        frames = createFrameRenderer({ renderer, scene, camera, width, height, supersample: factor, ao });
+        for (let i = 0; i < total; i++) {
+            if (failure) throw failure;
+            aim(camera, pathView(path, i / total, { camera, room, fixtures, openings, view }));
+            const frame = new VideoFrame(frames.render(), { timestamp: frameTime(i), duration: frameTime(i + 1) - frameTime(i) });
+            encoder.encode(frame, { keyFrame: i % fps === 0 });
+            frame.close();
+            onProgress(i + 1, total);
+            // Let the encoder catch up and the page repaint the progress
+            do {
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            } while (encoder.encodeQueueSize > 2);
+        }
+        await encoder.flush();
+        if (failure) throw failure;
+    } finally {
+        frames?.dispose();
+        restore();
+        if (encoder.state !== 'closed') encoder.close();
+    }
+    return { blob: webmFile({ width, height, frames: chunks, duration: frameTime(total) }), supersample: factor };
+}
+
+// Panel with the still and video settings and their render buttons.
+//   renderer       the live renderer, borrowed while rendering
+//   getScene() / getCamera()  scene and camera to render
+//   getLayout()    layout being edited, for the room and the design name
+//   getFixtures()  Map of id -> { spec, group } for the placed fixtures
+//   getExcluded()  scene children to leave out
+// `busy` is true while a render runs; the live view should not draw meanwhile.
+export function createRenderPanel({ panel, renderer, getScene, getCamera, getLayout, getFixtures, getExcluded = () => [] }) {
+    const settings = {
+        size: 'uhd',
+        supersample: 2,
+        shadowSize: 4096,
+        ao: true,
+        view: '',
+        path: 'turntable',
+        pathView: 'overview',
+        videoSize: 'hd',
+        seconds: 8,
+        fps: 30
+    };
+    let busy = false;
+    let status = null;
+
+    function slug() {
+        return (getLayout()?.name || 'bathroom').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    function report(message, failed = false) {
+        if (!status) return;
+        status.textContent = message;
+        status.className = failed ? 'fail' : '';
+    }
+
+    function common() {
+        const layout = getLayout();
+        return {
+            renderer,
+            scene: getScene(),
+            camera: getCamera(),
+            room: layout.room,
+            fixtures: getFixtures(),
+            openings: layout.room.openings,
+            shadowSize: settings.shadowSize,
+            ao: settings.ao,
+            hidden: getExcluded()
+        };
+    }
+
+    async function run(label, job) {
+        if (busy || !getLayout()) return;
+        busy = true;
+        render();
+        report(`${label}…`);
+        try {
+            const { file, blob, supersample } = await job();
+            downloadBlob(file, blob);
+            report(`Saved ${file} (${supersample}x supersampling)`);
+        } catch (e) {
+            console.error(e);
+            report(`${label} failed: ${e.message}`, true);
+        } finally {
+            busy = false;
+            render();
+        }
+    }
+
+    function still() {
+        const { width, height } = STILL_SIZES[settings.size];
+        return run(`Rendering ${width} × ${height}`, async () => {
+            const result = await renderStill({ ...common(), width, height, supersample: settings.supersample, view: settings.view || null });
+            return { ...result, file: `${slug()}-${settings.view || 'view'}-${width}x${height}.png` };
+        });
+    }
+
+    function video() {
+        const { width, height } = VIDEO_SIZES[settings.videoSize];
+        return run('Recording', async () => {
+            const result = await renderVideo({
+                ...common(),
+                width,
+                height,
+                path: settings.path,
+                view: settings.pathView,
+                seconds: settings.seconds,
+                fps: settings.fps,
+                supersample: settings.supersample,
+                onProgress: (done, total) => report(`Recording frame ${done} of ${total}…`)
+            });
+            return { ...result, file: `${slug()}-${settings.path}-${width}x${height}.webm` };
+        });
+    }
+
+    function field(labelText, input) {
+        const row = document.createElement('label');
+        row.className = 'panel-row';
+        row.textContent = labelText;
+        row.appendChild(input);
+        return row;
+    }
+
+    function select(options, key, parse = (v) => v) {
+        const el = document.createElement('select');
+        options.forEach(([id, text]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = text;
+            option.selected = String(settings[key]) === String(id);
+            el.appendChild(option);
+        });
+        el.addEventListener('change', () => { settings[key] = parse(el.value); });
+        return el;
+    }
+
+    function button(label, action) {
+        const el = document.createElement('button');
+        el.textContent = label;
+        el.disabled = busy;
+        el.addEventListener('click', action);
+        return el;
+    }
+
+    function render() {
+        if (!panel || panel.hidden) return;
+        // The last message survives the panel being redrawn
+        const message = status ? [status.textContent, status.className] : null;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Render';
+        const presets = Object.entries(PRESETS);
+        const sizes = (table) => Object.entries(table).map(([id, s]) => [id, s.label]);
+
+        const quality = document.createElement('p');
+        quality.textContent = 'Quality';
+        const ao = document.createElement('input');
+        ao.type = 'checkbox';
+        ao.checked = settings.ao;
+        ao.addEventListener('change', () => { settings.ao = ao.checked; });
+
+        const stillHeading = document.createElement('p');
+        stillHeading.textContent = 'Still (PNG)';
+        const videoHeading = document.createElement('p');
+        videoHeading.textContent = 'Video (WebM)';
+        const seconds = document.createElement('input');
+        seconds.type = 'number';
+        Object.assign(seconds, { min: 1, max: 120, step: 1, value: settings.seconds });
+        seconds.addEventListener('change', () => { if (Number(seconds.value) > 0) settings.seconds = Number(seconds.value); });
+
+        status = document.createElement('p');
+        if (message) [status.textContent, status.className] = message;
+
+        panel.append(
+            heading,
+            quality,
+            field('Supersampling', select([[1, 'Off'], [2, '2x'], [4, '4x']], 'supersample', Number)),
+            field('Shadow maps', select([[2048, '2048'], [4096, '4096'], [8192, '8192']], 'shadowSize', Number)),
+            field('Ambient occlusion', ao),
+            stillHeading,
+            field('Size', select(sizes(STILL_SIZES), 'size')),
+            field('View', select([['', 'Current view'], ...presets], 'view')),
+            button('Render PNG', still),
+            videoHeading,
+            field('Camera', select(Object.entries(CAMERA_PATHS), 'path')),
+            field('Turntable around', select(presets, 'pathView')),
+            field('Size', select(sizes(VIDEO_SIZES), 'videoSize')),
+            field('Seconds', seconds),
+            field('Frame rate', select([[24, '24 fps'], [30, '30 fps'], [60, '60 fps']], 'fps', Number)),
+            button('Record WebM', video),
+            status
+        );
+    }
+
+    return {
+        render,
+        setVisible(on) {
+            panel.hidden = !on;
+            render();
+        },
+        get visible() { return !panel.hidden; },
+        get busy() { return busy; }
+    };
+}
@@ -0,0 +1,126 @@
+// Offline resources
+// Nothing has to come from the network. three.js, its addons and the KTX2 and
+// meshopt decoders are served from the committed vendor/three/, and the
+// environment lighting comes from assets/studio.hdr or, without it, three's
+// procedural room environment. The startup report says where each came from
+// and which optional resources were found.
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+
+// HDR environments tried in order; the project's own, when it has one
+export const ENVIRONMENT_URLS = ['assets/studio.hdr'];
+
+// Where the page's import map sends a bare specifier ('three',
+// 'three/addons/libs/basis/'...), as an absolute URL
+export function resolveImport(specifier) {
+    const script = document.querySelector('script[type="importmap"]');
+    const imports = script ? JSON.parse(script.textContent).imports || {} : {};
+    const prefix = Object.keys(imports)
+        .filter((key) => key === specifier || (key.endsWith('/') && specifier.startsWith(key)))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!prefix) return null;
+    return new URL(imports[prefix] + specifier.slice(prefix.length), document.baseURI).href;
+}
+
+function isLocal(url) {
+    return !!url && new URL(url).origin === window.location.origin;
+}
+
+// Directory the KTX2 loader fetches its basis transcoder from
+export function basisTranscoderPath() {
+    return resolveImport('three/addons/libs/basis/');
+}
+
+async function exists(url) {
+    try {
+        const res = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+        return res.ok;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Environment map for reflections: the first HDR in ENVIRONMENT_URLS that
+// loads, else a RoomEnvironment rendered through PMREM.
+// Resolves { texture, source } with source the HDR path or 'room'.
+export async function loadEnvironment(renderer, urls = ENVIRONMENT_URLS) {
+    const loader = new RGBELoader();
+    for (const url of urls) {
+        try {
+            const texture = await loader.loadAsync(url);
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+            return { texture, source: url };
+        } catch (e) {
+            console.warn(`HDR environment not found at ${url}`);
+        }
+    }
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    const room = new RoomEnvironment(renderer);
+    const texture = pmrem.fromScene(room, 0.04).texture;
+    room.dispose();
+    pmrem.dispose();
+    return { texture, source: 'room' };
+}
+
+// Check the resources the app can use and say where each came from.
+//   environment  source returned by loadEnvironment
+//   catalog      finish catalog, whose texture maps are optional
+// Resolves [{ label, found, detail }]
+export async function checkResources({ environment, catalog }) {
+    const three = resolveImport('three');
+    const meshopt = resolveImport('meshopt_decoder');
+    const transcoder = basisTranscoderPath();
+    const finishes = ['paints', 'floors', 'woods'].flatMap((kind) => catalog?.[kind] || []);
+    const maps = [...new Set(finishes.flatMap((f) => Object.values(f.maps || {})))];
+    const [hasTranscoder, ...hasMaps] = await Promise.all([
+        transcoder ? exists(`${transcoder}basis_transcoder.js`) : false,
+        ...maps.map(exists)
+    ]);
+    const found = maps.filter((path, i) => hasMaps[i]);
+    // Unmapped specifiers (an edited or missing import map) resolve to null
+    const where = (url) => {
+        if (!url) return 'not in the import map';
+        return isLocal(url) ? 'local vendor/three' : `CDN (${new URL(url).host}), needs a connection`;
+    };
+    return [
+        { label: 'three.js', found: isLocal(three), detail: where(three) },
+        { label: 'Meshopt decoder', found: isLocal(meshopt), detail: where(meshopt) },
+        {
+            label: 'KTX2 transcoder',
+            found: hasTranscoder && isLocal(transcoder),
+            detail: hasTranscoder || !transcoder ? where(transcoder) : 'not reachable; KTX2-compressed models will not load'
+        },
+        {
+            label: 'Environment',
+            found: environment !== 'room',
+            detail: environment === 'room' ? 'no HDR found; using the built-in room environment' : environment
+        },
+        {
+            label: 'Finish textures',
+            found: found.length === maps.length,
+            detail: maps.length ? `${found.length} of ${maps.length} found${found.length < maps.length ? '; missing ones use plain colors' : ''}` : 'none listed'
+        }
+    ];
+}
+
+// Collapsible list of checked resources, in `element`; the summary line says
+// whether the app is running fully offline
+export function renderResourceReport(element, items) {
+    if (!element) return;
+    const local = items.filter((item) => item.found).length;
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = local === items.length
+        ? 'Resources: everything local'
+        : `Resources: ${items.length - local} of ${items.length} missing or online only`;
+    const list = document.createElement('ul');
+    items.forEach(({ label, found, detail }) => {
+        const li = document.createElement('li');
+        li.className = found ? '' : 'missing';
+        li.textContent = `${found ? '✓' : '–'} ${label}: ${detail}`;
+        list.appendChild(li);
+    });
+    details.append(summary, list);
+    element.replaceChildren(details);
+}
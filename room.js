@@ -0,0 +1,415 @@
+// Room geometry helpers
+// The room is a floor plan outline extruded to the ceiling height. A plain
+// room is the width x length rectangle centered on the origin: X runs across
+// the width, Z along the length (back/vanity wall at -Z, front/toilet wall at
+// +Z), Y is up from the floor. A layout `outline` gives any other plan (tub
+// alcoves, chases, an angled corner) as corners around the room, each starting
+// a named wall; layout.js centers it on the origin the same way.
+import * as THREE from 'three';
+
+// Walls of a rectangular room
+export const WALL_NAMES = ['back', 'front', 'left', 'right'];
+
+const BASEBOARD_THICKNESS = 1;
+
+// Corners of the floor plan in order around the room, each one starting the
+// wall that runs from it to the next: [{ x, z, wall }]. Walls run left to
+// right as seen from inside the room.
+export function roomOutline(room) {
+    if (room.outline) return room.outline;
+    const x = room.width / 2;
+    const z = room.length / 2;
+    return [
+        { x: -x, z: -z, wall: 'back' },
+        { x, z: -z, wall: 'right' },
+        { x, z, wall: 'front' },
+        { x: -x, z, wall: 'left' }
+    ];
+}
+
+// Each wall's frame: its ends, length, the unit direction `along` runs in, the
+// unit normal into the room and its center at floor level
+export function roomWalls(room) {
+    const corners = roomOutline(room);
+    return corners.map((corner, i) => {
+        const next = corners[(i + 1) % corners.length];
+        const start = new THREE.Vector3(corner.x, 0, corner.z);
+        const end = new THREE.Vector3(next.x, 0, next.z);
+        const length = start.distanceTo(end);
+        const direction = end.clone().sub(start).divideScalar(length);
+        return {
+            name: corner.wall,
+            start,
+            end,
+            length,
+            direction,
+            normal: new THREE.Vector3(-direction.z, 0, direction.x),
+            center: start.clone().lerp(end, 0.5)
+        };
+    });
+}
+
+// Names of the room's walls: the rectangle's four, or the outline's in order
+export function wallNames(room) {
+    return room.outline ? room.outline.map((corner) => corner.wall) : WALL_NAMES;
+}
+
+// Frame of a named wall (the first wall for an unknown name)
+function wallFrame(room, wall) {
+    const walls = roomWalls(room);
+    return walls.find((w) => w.name === wall) || walls[0];
+}
+
+// World position for a point on a wall: `along` runs left-to-right as seen from
+// inside the room from the wall's center, `inset` is the distance out from the
+// wall surface.
+export function wallPosition(room, wall, along, y, inset) {
+    const { center, direction, normal } = wallFrame(room, wall);
+    return center.clone().addScaledVector(direction, along).addScaledVector(normal, inset).setY(y);
+}
+
+// Yaw that turns an object's +Z (front) to face into the room from a wall
+export function wallRotation(room, wall) {
+    const { normal } = wallFrame(room, wall);
+    return Math.atan2(normal.x, normal.z);
+}
+
+// Horizontal length of a wall's face
+export function wallLength(room, wall) {
+    return wallFrame(room, wall).length;
+}
+
+// Layout openings (doors, windows, niches) cut into the given wall
+export function openingsOn(room, wall) {
+    return (room.openings || []).filter((o) => o.wall === wall);
+}
+
+// Wall outline in wall-local coordinates: x along the wall from its center,
+// y up from the floor. Openings that reach the floor (doors) are notched out of
+// the outline so the bottom edge breaks cleanly; the rest become holes.
+export function wallShape(length, height, openings) {
+    const notches = openings.filter((o) => !o.sill).sort((a, b) => a.along - b.along);
+    const shape = new THREE.Shape();
+    shape.moveTo(-length/2, 0);
+    notches.forEach((o) => {
+        const x0 = Math.max(-length/2, o.along - o.width/2);
+        const x1 = Math.min(length/2, o.along + o.width/2);
+        shape.lineTo(x0, 0);
+        shape.lineTo(x0, o.height);
+        shape.lineTo(x1, o.height);
+        shape.lineTo(x1, 0);
+    });
+    shape.lineTo(length/2, 0);
+    shape.lineTo(length/2, height);
+    shape.lineTo(-length/2, height);
+    shape.closePath();
+
+    openings.filter((o) => o.sill).forEach((o) => {
+        const hole = new THREE.Path();
+        hole.moveTo(o.along - o.width/2, o.sill);
+        hole.lineTo(o.along + o.width/2, o.sill);
+        hole.lineTo(o.along + o.width/2, o.sill + o.height);
+        hole.lineTo(o.along - o.width/2, o.sill + o.height);
+        hole.closePath();
+        shape.holes.push(hole);
+    });
+    return shape;
+}
+
+// Object placed at the foot of a wall's center, facing into the room, so its
+// children can be positioned in wall-local coordinates
+export function wallAnchor(room, wall) {
+    const anchor = new THREE.Group();
+    anchor.position.copy(wallPosition(room, wall, 0, 0, 0));
+    anchor.rotation.y = wallRotation(room, wall);
+    return anchor;
+}
+
+// Wall surface with its openings cut out
+export function createWall(room, wall, material) {
+    const shape = wallShape(wallLength(room, wall), room.height, openingsOn(room, wall));
+    const mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape), material);
+    mesh.name = `${wall}Wall`;
+    mesh.position.copy(wallPosition(room, wall, 0, 0, 0));
+    mesh.rotation.y = wallRotation(room, wall);
+    mesh.receiveShadow = true;
+    // Keeps daylight out except through window openings
+    mesh.castShadow = true;
+    return mesh;
+}
+
+// Whether the corners at the start and end of a wall turn outward (into the
+// room, as at the mouth of an alcove) rather than inward
+export function outsideCorners(room, wall) {
+    const walls = roomWalls(room);
+    const i = Math.max(0, walls.findIndex((w) => w.name === wall));
+    const prev = walls[(i + walls.length - 1) % walls.length];
+    const next = walls[(i + 1) % walls.length];
+    const turn = (a, b) => a.direction.x * b.direction.z - a.direction.z * b.direction.x;
+    return { start: turn(prev, walls[i]) < -1e-6, end: turn(walls[i], next) < -1e-6 };
+}
+
+// Baseboard runs for one wall, broken at door openings and their casings.
+// Runs ending at an outside corner carry on past it by the board's thickness
+// to cover the end of the board on the other wall.
+export function baseboardRuns(room, wall) {
+    const length = wallLength(room, wall);
+    const outside = outsideCorners(room, wall);
+    const breaks = openingsOn(room, wall)
+        .filter((o) => !o.sill)
+        .map((o) => [o.along - o.width/2 - o.casing, o.along + o.width/2 + o.casing])
+        .sort((a, b) => a[0] - b[0]);
+    const runs = [];
+    let start = -length/2;
+    breaks.forEach(([b0, b1]) => {
+        if (b0 > start) runs.push([start, Math.min(b0, length/2)]);
+        start = Math.max(start, b1);
+    });
+    if (start < length/2) runs.push([start, length/2]);
+    return runs.map(([a0, a1]) => [
+        outside.start && a0 <= -length/2 ? a0 - BASEBOARD_THICKNESS : a0,
+        outside.end && a1 >= length/2 ? a1 + BASEBOARD_THICKNESS : a1
+    ]);
+}
+
+export function createBaseboard(room, wall, material) {
+    const anchor = wallAnchor(room, wall);
+    anchor.name = `${wall}Baseboard`;
+    const height = room.baseboardHeight;
+    baseboardRuns(room, wall).forEach(([x0, x1]) => {
+        const board = new THREE.Mesh(new THREE.BoxGeometry(x1 - x0, height, BASEBOARD_THICKNESS), material);
+        board.position.set((x0 + x1) / 2, height/2, BASEBOARD_THICKNESS / 2);
+        board.castShadow = true;
+        board.receiveShadow = true;
+        anchor.add(board);
+    });
+    return anchor;
+}
+
+// Flat mesh of a plan outline ([{ x, z }]) at height y, facing up or down.
+// UVs run 0-1 across the room's bounds, as a plane the room's size would have.
+function planMesh(room, points, y, facing, material) {
+    const bounds = roomBounds(room);
+    const size = bounds.getSize(new THREE.Vector3());
+    // Shape y is -z on a face turned up and z on one turned down
+    const flip = facing === 'up' ? -1 : 1;
+    const shape = new THREE.Shape(points.map(({ x, z }) => new THREE.Vector2(x, z * flip)));
+    const geometry = new THREE.ShapeGeometry(shape);
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < position.count; i++) {
+        uv.setXY(i, (position.getX(i) - bounds.min.x) / size.x, (bounds.max.z - position.getY(i) * flip) / size.z);
+    }
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = facing === 'up' ? -Math.PI / 2 : Math.PI / 2;
+    mesh.position.y = y;
+    return mesh;
+}
+
+// Floor filling the room's outline
+export function createFloor(room, material) {
+    const floor = planMesh(room, roomOutline(room), 0, 'up', material);
+    floor.name = 'floor';
+    floor.receiveShadow = true;
+    return floor;
+}
+
+// Ceiling over the room's outline, seen from below
+export function createCeiling(room, material) {
+    const ceiling = planMesh(room, roomOutline(room), room.height, 'down', material);
+    ceiling.name = 'ceiling';
+    ceiling.castShadow = true;
+    return ceiling;
+}
+
+// Plan outline of a soffit: its own `outline`, or `depth` out from a wall
+// over `length` (the whole wall by default) centered at `along`
+export function soffitOutline(room, soffit) {
+    if (soffit.outline) return soffit.outline;
+    const length = soffit.length ?? wallLength(room, soffit.wall);
+    const a0 = soffit.along - length / 2;
+    const a1 = soffit.along + length / 2;
+    return [[a0, 0], [a1, 0], [a1, soffit.depth], [a0, soffit.depth]]
+        .map(([along, inset]) => wallPosition(room, soffit.wall, along, 0, inset));
+}
+
+// Height of the ceiling over a world point: the underside of the lowest
+// soffit covering it, else the room's ceiling
+export function ceilingHeightAt(room, point) {
+    return (room.soffits || [])
+        .filter((soffit) => outlineContains(soffitOutline(room, soffit), point))
+        .reduce((height, soffit) => Math.min(height, soffit.bottom), room.height);
+}
+
+// Soffit or dropped ceiling: the outline boxed down from the ceiling to
+// `bottom`, its underside in the ceiling finish and its sides in the wall's
+export function createSoffit(room, soffit, materials) {
+    const drop = room.height - soffit.bottom;
+    const points = soffitOutline(room, soffit).map(({ x, z }) => new THREE.Vector2(x, -z));
+    const geometry = new THREE.ExtrudeGeometry(new THREE.Shape(points), { depth: drop, bevelEnabled: false });
+    // Extruded upward from the underside
+    geometry.rotateX(-Math.PI / 2);
+    const mesh = new THREE.Mesh(geometry, [materials.ceiling, materials.wall]);
+    mesh.name = soffit.id;
+    mesh.position.y = soffit.bottom;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+// Niche recessed `depth` into the wall behind its opening: back, sides, sill
+// and head, in the wall's material
+export function createNiche(room, opening, material) {
+    const anchor = wallAnchor(room, opening.wall);
+    anchor.name = opening.id;
+    const { along, width, height, sill, depth } = opening;
+    const faces = [
+        // width, height, position and yaw/pitch of each inside face
+        [width, height, [along, sill + height / 2, -depth], [0, 0]],
+        [depth, height, [along - width / 2, sill + height / 2, -depth / 2], [Math.PI / 2, 0]],
+        [depth, height, [along + width / 2, sill + height / 2, -depth / 2], [-Math.PI / 2, 0]],
+        [width, depth, [along, sill, -depth / 2], [0, -Math.PI / 2]],
+        [width, depth, [along, sill + height, -depth / 2], [0, Math.PI / 2]]
+    ];
+    faces.forEach(([w, h, [x, y, z], [yaw, pitch]]) => {
+        const face = new THREE.Mesh(new THREE.PlaneGeometry(w, h), material);
+        face.position.set(x, y, z);
+        face.rotation.set(pitch, yaw, 0, 'YXZ');
+        face.receiveShadow = true;
+        face.castShadow = true;
+        anchor.add(face);
+    });
+    return anchor;
+}
+
+// Window opening: casing on all four sides, a stool under the sash and a
+// single pane of glass set back in the wall
+export function createWindow(room, opening, trimMaterial) {
+    const anchor = wallAnchor(room, opening.wall);
+    anchor.name = opening.id;
+    const { along, width, height, sill, casing: trim } = opening;
+    const pieces = [
+        // x, y, width, height of each casing piece on the wall face
+        [along - (width + trim) / 2, sill + height / 2, trim, height + trim * 2],
+        [along + (width + trim) / 2, sill + height / 2, trim, height + trim * 2],
+        [along, sill + height + trim / 2, width, trim],
+        [along, sill - trim / 2, width, trim]
+    ];
+    pieces.forEach(([x, y, w, h]) => {
+        const piece = new THREE.Mesh(new THREE.BoxGeometry(w, h, 0.75), trimMaterial);
+        piece.position.set(x, y, 0.375);
+        piece.castShadow = true;
+        piece.receiveShadow = true;
+        anchor.add(piece);
+    });
+    const stool = new THREE.Mesh(new THREE.BoxGeometry(width + trim, 1, 4), trimMaterial);
+    stool.position.set(along, sill - 0.5, 0);
+    stool.receiveShadow = true;
+    anchor.add(stool);
+
+    const glass = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, height),
+        new THREE.MeshPhysicalMaterial({ color: 0xffffff, roughness: 0.05, metalness: 0, transparent: true, opacity: 0.15 })
+    );
+    glass.name = `${opening.id}Glass`;
+    glass.position.set(along, sill + height / 2, -2);
+    anchor.add(glass);
+    return anchor;
+}
+
+// Inverse of wallPosition(): where a world point sits relative to a wall
+export function wallCoordinates(room, wall, position) {
+    const { center, direction, normal } = wallFrame(room, wall);
+    const offset = new THREE.Vector3(position.x - center.x, 0, position.z - center.z);
+    return { along: offset.dot(direction), y: position.y, inset: offset.dot(normal) };
+}
+
+// Unit normal pointing from a wall into the room
+export function wallNormal(room, wall) {
+    return wallFrame(room, wall).normal.clone();
+}
+
+// Interior bounds of the room as a world-space box
+export function roomBounds(room) {
+    const box = new THREE.Box3();
+    roomOutline(room).forEach(({ x, z }) => box.expandByPoint(new THREE.Vector3(x, 0, z)));
+    box.max.y = room.height;
+    return box;
+}
+
+// Whether a world point lies over the floor plan (points on a wall count)
+export function planContains(room, point) {
+    return outlineContains(roomOutline(room), point);
+}
+
+// Whether a point lies inside (or on the edge of) a plan polygon of { x, z }
+function outlineContains(corners, point) {
+    let inside = false;
+    for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+        const a = corners[i];
+        const b = corners[j];
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const t = THREE.MathUtils.clamp(((point.x - a.x) * dx + (point.z - a.z) * dz) / (dx * dx + dz * dz), 0, 1);
+        if (Math.hypot(a.x + dx * t - point.x, a.z + dz * t - point.z) < 0.01) return true;
+        if ((a.z > point.z) !== (b.z > point.z) && point.x < a.x + (point.z - a.z) * dx / dz) inside = !inside;
+    }
+    return inside;
+}
+
+// Whether a box's plan footprint lies over the floor plan: every corner over
+// it and no corner of the plan poking in between them
+export function planContainsBox(room, box) {
+    const corners = [[box.min.x, box.min.z], [box.max.x, box.min.z], [box.max.x, box.max.z], [box.min.x, box.max.z]];
+    if (!corners.every(([x, z]) => planContains(room, new THREE.Vector3(x, 0, z)))) return false;
+    return !roomOutline(room).some(({ x, z }) => x > box.min.x + 0.01 && x < box.max.x - 0.01 && z > box.min.z + 0.01 && z < box.max.z - 0.01);
+}
+
+// Distance from `origin` along the horizontal unit `direction` to the first
+// wall in the way of a band `halfWidth` either side of the ray (a fixture's
+// depth, say): { distance, wall }, or null when nothing is in the way. Walls
+// running along the band's edges don't count.
+export function wallDistance(room, origin, direction, halfWidth = 0) {
+    const side = new THREE.Vector3(-direction.z, 0, direction.x);
+    const band = Math.max(halfWidth - 0.01, 0);
+    let nearest = null;
+    roomWalls(room).forEach((wall) => {
+        let [a, b] = [wall.start, wall.end].map((p) => {
+            const d = new THREE.Vector3(p.x - origin.x, 0, p.z - origin.z);
+            return { u: d.dot(direction), v: d.dot(side) };
+        });
+        // Just the part of the wall inside the band; one running alongside the
+        // origin is beside it, not in the way
+        if (Math.abs(a.v - b.v) < 1e-9) {
+            if (Math.abs(a.v) > band || Math.min(a.u, b.u) < 0) return;
+        } else {
+            const v0 = Math.max(Math.min(a.v, b.v), -band);
+            const v1 = Math.min(Math.max(a.v, b.v), band);
+            if (v0 > v1) return;
+            const at = (v) => ({ u: a.u + (b.u - a.u) * (v - a.v) / (b.v - a.v), v });
+            [a, b] = [at(v0), at(v1)];
+        }
+        if (Math.max(a.u, b.u) < -0.01) return;
+        const distance = Math.max(Math.min(a.u, b.u), 0);
+        if (!nearest || distance < nearest.distance) nearest = { distance, wall: wall.name };
+    });
+    return nearest;
+}
+
+// Floor area of the room in square inches
+export function roomArea(room) {
+    const corners = roomOutline(room);
+    return Math.abs(corners.reduce((sum, { x, z }, i) => {
+        const next = corners[(i + 1) % corners.length];
+        return sum + x * next.z - next.x * z;
+    }, 0)) / 2;
+}
+
+// World axes of a wall's frame: `out` is the axis of its normal (with `sign`
+// the normal's direction on it) and `along` the horizontal axis of its face.
+// An angled wall gets the axes its normal is closest to.
+export function wallAxes(room, wall) {
+    const normal = wallNormal(room, wall);
+    const out = Math.abs(normal.z) >= Math.abs(normal.x) ? 'z' : 'x';
+    return { out, along: out === 'z' ? 'x' : 'z', sign: Math.sign(normal[out]) };
+}
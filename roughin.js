@@ -0,0 +1,420 @@
+// Rough-in layer
+// Where the plumbing and wiring have to come through the walls, floor and
+// ceiling for the design as placed. Each fixture's product lists its rough-in
+// points (products.json), or its type's defaults below, as they are with the
+// product at its catalog mounting; the points move with the fixture, so a
+// toilet pulled off the wall takes its flange with it and a raised bath bar its
+// junction box. Ceiling lights that are not part of a fixture get a box in the
+// ceiling over them. The layer draws the points as see-through markers with the
+// stub-outs, risers, boxes and blocking in the wall cavity behind translucent
+// walls, and lists them in a table that prints for the trades.
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { wallNames, wallPosition, wallLength, wallNormal, wallCoordinates, ceilingHeightAt } from './room.js';
+import { findProduct } from './products.js';
+import { formatFeetInches } from './drawings.js';
+import { downloadText, csvField } from './bom.js';
+
+// Rough-in of fixtures without a catalog product (or whose product lists
+// none), in the same form as a product's
+export const DEFAULT_ROUGH_IN = {
+    vanity: {
+        roughIn: [
+            { kind: 'drain', label: 'Drain', along: 0, height: 18 },
+            { kind: 'supply', label: 'Hot supply', along: -4, height: 21 },
+            { kind: 'supply', label: 'Cold supply', along: 4, height: 21 }
+        ]
+    },
+    toilet: {
+        mounting: { gap: 0.5 },
+        roughIn: [
+            { kind: 'drain', label: 'Closet flange', along: 0, height: 0, out: 12 },
+            { kind: 'supply', label: 'Cold supply', along: -6, height: 8 }
+        ]
+    },
+    vanityLight: {
+        mounting: { y: 80.75 },
+        roughIn: [{ kind: 'electrical', label: 'Junction box', along: 0, height: 80 }]
+    }
+};
+
+const COLORS = { drain: 0x8a8a8a, supply: 0x3388ff, hot: 0xff4433, electrical: 0xffaa00, blocking: 0xb07840 };
+const CAVITY = 3.5; // stud depth behind the wall surface
+const STUB = 1.5; // how far supply and drain stub-outs come through the wall
+const BELOW_FLOOR = 10; // depth of the drain runs under the floor
+const CEILING_LIGHT_BAND = 12; // lights this close to the ceiling (or soffit) are ceiling mounted
+const WALL_OPACITY = 0.3;
+
+// Every rough-in point for the placed fixtures and the room's ceiling lights:
+// [{ number, fixture, label, kind, surface ('wall', 'floor' or 'ceiling'), wall,
+//    fromCorner (along the wall from its left end, facing it), height, out,
+//    position, width }]
+export function roughInPoints({ room, fixtures, catalog, lights = [] }) {
+    const points = [];
+    fixtures.forEach((entry) => points.push(...fixturePoints(entry, room, catalog)));
+    lights
+        .filter((light) => !light.fixture && light.position && light.position.y >= ceilingHeightAt(room, light.position) - CEILING_LIGHT_BAND)
+        .map((light) => ceilingBox(light, room))
+        .forEach((point) => { if (point) points.push(point); });
+    return points.map((point, i) => ({ number: i + 1, ...point }));
+}
+
+function fixturePoints({ spec, group }, room, catalog) {
+    const product = findProduct(catalog, spec.product);
+    const source = product?.roughIn?.length ? product : DEFAULT_ROUGH_IN[spec.type];
+    if (!source) return [];
+    const mounting = source.mounting || {};
+    const size = group.userData.fixture.size;
+    // How far the fixture sits from where the catalog figures put it
+    const rise = spec.mount === 'wall' && mounting.y !== undefined ? spec.offset.y - mounting.y : 0;
+    const shift = spec.gap - (mounting.gap ?? 0);
+    const half = wallLength(room, spec.wall) / 2;
+    return source.roughIn.map((point) => {
+        const along = spec.offset.along + (point.along || 0);
+        let surface = 'wall';
+        let height = (point.height || 0) + rise;
+        let out = 0;
+        if (point.surface === 'ceiling') {
+            surface = 'ceiling';
+            out = spec.gap + size.z / 2;
+            height = ceilingHeightAt(room, wallPosition(room, spec.wall, along, 0, out));
+        } else if (!point.height) {
+            surface = 'floor';
+            height = 0;
+            out = (point.out || 0) + shift;
+        }
+        return {
+            fixture: spec.label,
+            label: point.label || point.kind,
+            kind: point.kind,
+            surface,
+            wall: spec.wall,
+            fromCorner: half + along,
+            height,
+            out,
+            position: wallPosition(room, spec.wall, along, height, out),
+            width: size.x
+        };
+    });
+}
+
+// Box in the ceiling (or soffit) over a room light, placed from its nearest
+// wall (none for a light outside the plan)
+function ceilingBox(light, room) {
+    const position = new THREE.Vector3(light.position.x, 0, light.position.z);
+    position.y = ceilingHeightAt(room, position);
+    const nearest = wallNames(room)
+        .map((wall) => ({ wall, ...wallCoordinates(room, wall, position) }))
+        .filter((c) => c.inset >= 0)
+        .sort((a, b) => a.inset - b.inset)[0];
+    if (!nearest) return null;
+    return {
+        fixture: light.label || light.id,
+        label: 'Ceiling box',
+        kind: 'electrical',
+        surface: 'ceiling',
+        wall: nearest.wall,
+        fromCorner: wallLength(room, nearest.wall) / 2 + nearest.along,
+        height: position.y,
+        out: nearest.inset,
+        position,
+        width: 0
+    };
+}
+
+// Where a point is, in words: "Back wall, 2'-0" from left corner, 1'-6" high"
+export function describeLocation(point) {
+    const corner = `${formatFeetInches(point.fromCorner)} from left corner`;
+    const wall = `${point.wall} wall`;
+    if (point.surface === 'wall') return `${capitalize(wall)}, ${corner}, ${formatFeetInches(point.height)} high`;
+    const where = point.surface === 'floor' ? 'Floor' : 'Ceiling';
+    return `${where}, ${formatFeetInches(point.out)} from ${wall}, ${corner} of it`;
+}
+
+function capitalize(text) {
+    return `${text[0].toUpperCase()}${text.slice(1)}`;
+}
+
+// Table rows for printing and CSV, header first
+export function roughInTable(points) {
+    const rows = [['#', 'Fixture', 'Point', 'Kind', 'Surface', 'Wall', 'From left corner', 'Height', 'Out from wall']];
+    points.forEach((p) => rows.push([
+        p.number, p.fixture, p.label, p.kind, p.surface, p.wall,
+        formatFeetInches(p.fromCorner),
+        p.surface === 'ceiling' ? `Ceiling, ${formatFeetInches(p.height)}` : formatFeetInches(p.height),
+        p.surface === 'wall' ? '' : formatFeetInches(p.out)
+    ]));
+    return rows;
+}
+
+export function roughInToCsv(points) {
+    return roughInTable(points).map((r) => r.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// Stand-alone page with the rough-in table, for printing
+export function roughInHtml(points, name = '') {
+    const [header, ...rows] = roughInTable(points);
+    const title = `${name ? `${name} — ` : ''}Rough-in dimensions`;
+    const cells = (row, tag) => row.map((c) => `<${tag}>${escapeHtml(c)}</${tag}>`).join('');
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+    body { font: 11pt Arial, Helvetica, sans-serif; margin: 1.5em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #888; padding: 3px 6px; text-align: left; }
+    th { background: #eee; }
+    p { font-size: 9pt; color: #444; }
+</style></head><body>
+<h2>${escapeHtml(title)}</h2>
+<table>
+<tr>${cells(header, 'th')}</tr>
+${rows.map((row) => `<tr>${cells(row, 'td')}</tr>`).join('\n')}
+</table>
+<p>Heights are above the finished floor. Corners are the left end of each wall as seen from inside the room; floor and ceiling points are measured square out from the wall named. Verify against the manufacturers' installation guides before roughing in.</p>
+</body></html>
+`;
+}
+
+function cylinder(from, to, radius, material) {
+    const length = from.distanceTo(to);
+    const mesh = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length, 12), material);
+    mesh.position.copy(from).add(to).multiplyScalar(0.5);
+    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), to.clone().sub(from).normalize());
+    return mesh;
+}
+
+// Box aligned with a wall, centered on `center`
+function wallBox(room, wall, center, width, height, depth, material) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+    mesh.position.copy(center);
+    mesh.lookAt(center.clone().add(wallNormal(room, wall)));
+    return mesh;
+}
+
+// Create the layer.
+//   scene        where the markers and pipes are drawn
+//   room         layout room
+//   fixtures     Map of fixture id -> { spec, group }
+//   catalog      product catalog with the rough-in points
+//   materials    room surface materials, made translucent while shown
+//   getLayout()  layout being edited, for its lights and name
+//   panel        element that lists the points
+export function createRoughIn({ scene, room, fixtures, catalog, materials, getLayout, panel }) {
+    const overlay = new THREE.Group();
+    overlay.name = 'roughIn';
+    overlay.visible = false;
+    scene.add(overlay);
+    const palette = new Map();
+    let active = false;
+    let points = [];
+    const seeThrough = new Map(); // room surface material -> its translucent copy
+
+    function material(key) {
+        if (!palette.has(key)) palette.set(key, new THREE.MeshBasicMaterial({ color: COLORS[key] }));
+        return palette.get(key);
+    }
+
+    function clear() {
+        overlay.traverse((o) => {
+            if (o.geometry) o.geometry.dispose();
+            if (o.isCSS2DObject) o.element.remove();
+        });
+        overlay.children.forEach((o) => {
+            if (o.userData.marker) o.material.dispose();
+        });
+        overlay.clear();
+    }
+
+    // Translucent copy of a room surface material, kept up to date with its
+    // finish
+    function translucent(material) {
+        if (!seeThrough.has(material)) seeThrough.set(material, material.clone());
+        return seeThrough.get(material);
+    }
+
+    function syncTranslucent() {
+        seeThrough.forEach((copy, material) => {
+            copy.copy(material);
+            Object.assign(copy, { transparent: true, opacity: WALL_OPACITY, depthWrite: false });
+            copy.needsUpdate = true;
+        });
+    }
+
+    // Walls, floor and ceiling (soffits and niches too) see-through. The room's
+    // own material is kept in userData.untinted, where the model export and
+    // presentation renders look for it, so neither comes out see-through.
+    function setTranslucent(on) {
+        const surfaces = [materials.wall, materials.floor, materials.ceiling];
+        scene.traverse((o) => {
+            if (!o.isMesh) return;
+            if (on && surfaces.includes(o.material)) {
+                o.userData.untinted = o.material;
+                o.material = translucent(o.material);
+            } else if (!on && seeThrough.has(o.userData.untinted)) {
+                o.material = o.userData.untinted;
+                delete o.userData.untinted;
+            }
+        });
+        if (on) syncTranslucent();
+        else {
+            seeThrough.forEach((copy) => copy.dispose());
+            seeThrough.clear();
+        }
+    }
+
+    // Marker drawn over everything, numbered as in the table
+    function marker(point) {
+        const color = point.kind === 'supply' && /hot/i.test(point.label) ? 'hot' : point.kind;
+        const dot = new THREE.Mesh(
+            new THREE.SphereGeometry(0.9, 16, 12),
+            new THREE.MeshBasicMaterial({ color: COLORS[color] ?? 0xffffff, depthTest: false, transparent: true, opacity: 0.85 })
+        );
+        dot.userData.marker = true;
+        dot.renderOrder = 999;
+        dot.position.copy(point.position);
+        const el = document.createElement('div');
+        el.className = 'dim-label';
+        el.textContent = point.number;
+        el.title = `${point.fixture}: ${point.label}`;
+        const label = new CSS2DObject(el);
+        label.position.set(0, 2, 0);
+        dot.add(label);
+        return dot;
+    }
+
+    // Pipe, box or blocking behind the surface for one point
+    function rough(point) {
+        const group = new THREE.Group();
+        const { position, wall } = point;
+        const normal = wallNormal(room, wall);
+        const at = (inset, y) => position.clone().addScaledVector(normal, inset - point.out).setY(y);
+        const kind = point.kind === 'supply' && /hot/i.test(point.label) ? 'hot' : point.kind;
+        if (point.surface === 'floor') {
+            // Flange or drain body in the floor, then a run under it to the wall
+            const ring = new THREE.Mesh(new THREE.TorusGeometry(2, 0.4, 8, 24), material(kind));
+            ring.rotation.x = Math.PI / 2;
+            ring.position.copy(position).setY(0.2);
+            group.add(ring);
+            const bottom = position.clone().setY(-BELOW_FLOOR);
+            group.add(cylinder(position, bottom, 1.5, material(kind)));
+            group.add(cylinder(bottom, at(-CAVITY / 2, -BELOW_FLOOR), 1.5, material(kind)));
+        } else if (point.surface === 'ceiling') {
+            // Box (or fan housing) above the ceiling, fed along the joists from the wall
+            const box = new THREE.Mesh(new THREE.CylinderGeometry(2, 2, 2.5, 8), material(kind));
+            box.position.copy(position).setY(position.y + 1.25);
+            group.add(box);
+            group.add(cylinder(box.position, at(-CAVITY / 2, position.y + 1.25), 0.25, material(kind)));
+        } else if (point.kind === 'blocking') {
+            // 2x6 between the studs behind the wall board
+            group.add(wallBox(room, wall, at(-0.75 - 0.5, position.y), Math.max(point.width + 4, 16), 5.5, 1.5, material(kind)));
+        } else if (point.kind === 'electrical') {
+            // Box in the cavity, cable up to the top plate
+            group.add(wallBox(room, wall, at(-1.25, position.y), 2, 3, 2.5, material(kind)));
+            group.add(cylinder(at(-2, position.y + 1.5), at(-2, room.height), 0.25, material(kind)));
+        } else {
+            // Stub-out through the wall and a riser (or drain) in the cavity
+            const radius = point.kind === 'drain' ? 0.95 : 0.3125;
+            group.add(cylinder(at(-CAVITY / 2, position.y), at(STUB, position.y), radius, material(kind)));
+            group.add(cylinder(at(-CAVITY / 2, position.y), at(-CAVITY / 2, -BELOW_FLOOR), radius, material(kind)));
+        }
+        return group;
+    }
+
+    // Rebuild the markers and table from the current placements
+    function refresh() {
+        if (!active) return;
+        clear();
+        syncTranslucent();
+        points = roughInPoints({ room, fixtures, catalog, lights: getLayout()?.lighting?.lights });
+        points.forEach((point) => overlay.add(rough(point), marker(point)));
+        render();
+    }
+
+    function slug() {
+        return (getLayout()?.name || 'bathroom').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    // Print through a new window; without one (pop-ups blocked) the page is
+    // downloaded to print from the browser instead
+    function print() {
+        const html = roughInHtml(points, getLayout()?.name);
+        const page = window.open('', '_blank');
+        if (!page) {
+            console.warn('Rough-in: pop-up blocked, downloading the table instead');
+            downloadText(`${slug()}-rough-in.html`, html, 'text/html');
+            return;
+        }
+        page.document.write(html);
+        page.document.close();
+        page.focus();
+        page.print();
+    }
+
+    function render() {
+        if (!panel) return;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Rough-in';
+        const table = document.createElement('table');
+        table.className = 'bom';
+        const head = table.insertRow();
+        ['#', 'Point', 'Location'].forEach((t) => {
+            const th = document.createElement('th');
+            th.textContent = t;
+            head.appendChild(th);
+        });
+        points.forEach((p) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = p.number;
+            row.insertCell().textContent = `${p.fixture}: ${p.label}`;
+            row.insertCell().textContent = describeLocation(p);
+        });
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-row';
+        const printButton = document.createElement('button');
+        printButton.textContent = 'Print table';
+        printButton.addEventListener('click', print);
+        const csv = document.createElement('button');
+        csv.textContent = 'Download CSV';
+        csv.addEventListener('click', () => downloadText(`${slug()}-rough-in.csv`, roughInToCsv(points), 'text/csv'));
+        buttons.append(printButton, csv);
+        panel.append(heading, table, buttons);
+        if (!points.length) {
+            const note = document.createElement('p');
+            note.textContent = 'No fixtures with rough-in points yet.';
+            panel.appendChild(note);
+        }
+    }
+
+    function setActive(on) {
+        active = on;
+        overlay.visible = on;
+        // CSS labels only look at their own visible flag, not their parents'
+        overlay.traverse((o) => { if (o.isCSS2DObject) o.visible = on; });
+        if (panel) panel.hidden = !on;
+        setTranslucent(on);
+        if (on) refresh();
+        else clear();
+        console.log(`Rough-in layer ${on ? 'on' : 'off'}`);
+    }
+
+    return {
+        refresh,
+        setActive,
+        toggle() { setActive(!active); },
+        // Remove the layer and put the room surfaces back (before rebuilding the scene)
+        dispose() {
+            setTranslucent(false);
+            clear();
+            palette.forEach((m) => m.dispose());
+            overlay.removeFromParent();
+            active = false;
+        },
+        get active() { return active; },
+        get points() { return points; }
+    };
+}
@@ -0,0 +1,186 @@
+// Fixture selection and dragging
+// Click a placed fixture to select it; drag it to move it. Floor and ceiling
+// fixtures (mount "floor" or "ceiling") slide across the floor or ceiling,
+// everything else slides along its wall. Moves snap to whole inches and keep
+// the fixture inside the room, and the result is written back to the
+// fixture's layout spec (offset / gap).
+import * as THREE from 'three';
+import { wallCoordinates, wallNormal, wallPosition, wallLength, roomBounds, planContainsBox, ceilingHeightAt } from './room.js';
+
+const SNAP = 1; // inches
+const HIGHLIGHT_COLOR = 0x33ccff;
+
+// Walk up from a hit mesh to the placed fixture group that owns it
+function fixtureGroupOf(object) {
+    let o = object;
+    while (o && !o.userData.fixture) o = o.parent;
+    return o;
+}
+
+function snap(value) {
+    return Math.round(value / SNAP) * SNAP;
+}
+
+// Strip float noise from values written back to the layout
+function tidy(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Create the selection controller.
+//   camera, domElement  used for picking
+//   room                layout room, for wall planes and clamping
+//   fixtures            Map of fixture id -> { spec, group }, kept up to date by the caller
+//   parent              where the selection highlight is added
+//   onChange(entry)     called after a selection change or a move (entry may be null)
+export function createSelection({ camera, domElement, room, fixtures, parent, onChange = () => {} }) {
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const highlight = new THREE.BoxHelper(undefined, HIGHLIGHT_COLOR);
+    highlight.visible = false;
+    highlight.material.depthTest = false;
+    highlight.renderOrder = 999;
+    parent.add(highlight);
+
+    let selected = null;
+    let drag = null;
+
+    function setPointer(event) {
+        const rect = domElement.getBoundingClientRect();
+        pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, camera);
+    }
+
+    // Nearest fixture under the pointer, or null
+    function pick(event) {
+        setPointer(event);
+        const groups = [...fixtures.values()].map((entry) => entry.group);
+        const hits = raycaster.intersectObjects(groups, true);
+        if (!hits.length) return null;
+        const group = fixtureGroupOf(hits[0].object);
+        const entry = group && fixtures.get(group.userData.fixture.id);
+        return entry ? { entry, point: hits[0].point } : null;
+    }
+
+    function select(entry) {
+        selected = entry;
+        highlight.visible = !!entry;
+        if (entry) highlight.setFromObject(entry.group);
+        onChange(entry);
+    }
+
+    // Start dragging if the press lands on a fixture; returns true when it did
+    // so the caller can keep the camera still
+    function pointerDown(event) {
+        if (event.button !== 0) return false;
+        const hit = pick(event);
+        if (!hit) return false;
+        const { entry, point } = hit;
+        if (entry !== selected) select(entry);
+
+        const { spec, group } = entry;
+        const normal = spec.mount === 'wall' ? wallNormal(room, spec.wall) : new THREE.Vector3(0, 1, 0);
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point);
+        const box = new THREE.Box3().setFromObject(group);
+        drag = {
+            entry,
+            plane,
+            grab: point.clone(),
+            start: group.position.clone(),
+            // Extents of the fixture relative to its origin, for clamping
+            minRel: box.min.clone().sub(group.position),
+            maxRel: box.max.clone().sub(group.position)
+        };
+        domElement.style.cursor = 'grabbing';
+        return true;
+    }
+
+    function pointerMove(event) {
+        if (!drag) return false;
+        setPointer(event);
+        const hit = raycaster.ray.intersectPlane(drag.plane, new THREE.Vector3());
+        if (!hit) return true;
+
+        const delta = hit.sub(drag.grab);
+        // Only move within the drag plane, in whole-inch steps
+        delta.projectOnPlane(drag.plane.normal);
+        delta.set(snap(delta.x), snap(delta.y), snap(delta.z));
+
+        const { spec, group } = drag.entry;
+        const position = drag.start.clone().add(delta);
+        const bounds = roomBounds(room);
+        position.max(bounds.min.clone().sub(drag.minRel));
+        position.min(bounds.max.clone().sub(drag.maxRel));
+        if (spec.mount === 'wall') {
+            // Along its own wall, between the wall's ends
+            const coords = wallCoordinates(room, spec.wall, position);
+            const half = Math.max(wallLength(room, spec.wall) - group.userData.fixture.size.x, 0) / 2;
+            const along = THREE.MathUtils.clamp(coords.along, -half, half);
+            position.copy(wallPosition(room, spec.wall, along, position.y, coords.inset));
+        } else {
+            // Over the floor plan: the bounding box of an outline takes in its
+            // notches, so a move that would leave the plan goes as far as it
+            // can across, then along, and stops at the edge it meets
+            const inPlan = (p) => planContainsBox(room, new THREE.Box3(p.clone().add(drag.minRel), p.clone().add(drag.maxRel)));
+            if (!inPlan(position)) {
+                const walk = (from, axis) => {
+                    const p = from.clone();
+                    const step = Math.sign(position[axis] - p[axis]) * SNAP;
+                    while (Math.abs(position[axis] - p[axis]) >= SNAP / 2) {
+                        p[axis] += step;
+                        if (!inPlan(p)) {
+                            p[axis] -= step;
+                            break;
+                        }
+                    }
+                    return p;
+                };
+                position.copy(walk(walk(group.position.clone().setY(position.y), 'x'), 'z'));
+            }
+            // Ceiling fixtures ride up and down with soffits they pass under
+            if (spec.mount === 'ceiling') position.y = ceilingHeightAt(room, position);
+        }
+
+        group.position.copy(position);
+        highlight.setFromObject(group);
+
+        // Keep the layout spec in sync with the new placement
+        const coords = wallCoordinates(room, spec.wall, position);
+        spec.offset.along = tidy(coords.along);
+        if (spec.mount !== 'wall') {
+            spec.gap = tidy(coords.inset - group.userData.fixture.size.z / 2);
+        } else {
+            spec.offset.y = tidy(coords.y);
+        }
+        onChange(drag.entry);
+        return true;
+    }
+
+    function pointerUp() {
+        if (!drag) return false;
+        const { spec } = drag.entry;
+        console.log(`${spec.label} moved to along ${spec.offset.along}", y ${spec.offset.y}", gap ${spec.gap}"`);
+        drag = null;
+        domElement.style.cursor = '';
+        return true;
+    }
+
+    // Plain click: select what is under the pointer, or clear the selection
+    function click(event) {
+        const hit = pick(event);
+        select(hit ? hit.entry : null);
+        return !!hit;
+    }
+
+    return {
+        pointerDown,
+        pointerMove,
+        pointerUp,
+        click,
+        select,
+        get selected() { return selected; },
+        get dragging() { return !!drag; }
+    };
+}
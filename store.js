@@ -0,0 +1,154 @@
+// Design store and edit history
+// The layout document being edited lives here, and only here. Editors change it
+// in place (a drag writes spec.offset, a finish pick writes finishes[surface])
+// and then commit the change under a label; each commit becomes an undoable
+// command holding the document as it was before and after. Undo and redo write
+// a saved document back into the live one, keeping every object the scene
+// holds on to, and tell subscribers which top-level sections changed so they
+// can bring the scene back in line.
+
+const HISTORY_LIMIT = 100;
+
+// Make `target` deep-equal to `source` without replacing nested objects or
+// arrays that exist in both
+function restoreInto(target, source) {
+    if (Array.isArray(target)) target.length = source.length;
+    else Object.keys(target).forEach((key) => { if (!(key in source)) delete target[key]; });
+    Object.keys(source).forEach((key) => {
+        const from = source[key];
+        const to = target[key];
+        const sameShape = from && to && typeof from === 'object' && typeof to === 'object'
+            && Array.isArray(from) === Array.isArray(to);
+        if (sameShape) restoreInto(to, from);
+        else target[key] = from && typeof from === 'object' ? JSON.parse(JSON.stringify(from)) : from;
+    });
+}
+
+// Top-level keys whose contents differ between two saved documents
+function changedSections(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+// Create the store. Subscribers are called as fn({ state, sections, label, kind })
+// after every commit, undo, redo or reset; `sections` lists the changed
+// top-level keys and `kind` is 'commit', 'undo', 'redo' or 'reset'.
+export function createStore() {
+    let state = null;
+    let saved = null; // JSON of the state as of the last commit
+    let entries = []; // [{ label, before, after, time }]
+    let index = 0; // number of entries currently applied
+    const listeners = new Set();
+
+    function emit(change) {
+        listeners.forEach((fn) => fn({ state, ...change }));
+    }
+
+    // Start over with a new document and an empty history
+    function reset(doc) {
+        state = doc;
+        saved = JSON.stringify(doc);
+        entries = [];
+        index = 0;
+        emit({ sections: Object.keys(doc), label: null, kind: 'reset' });
+    }
+
+    // Record whatever changed in the live document since the last commit.
+    // Returns false (and records nothing) when nothing did.
+    function commit(label) {
+        if (!state) return false;
+        const current = JSON.stringify(state);
+        if (current === saved) return false;
+        const before = JSON.parse(saved);
+        const after = JSON.parse(current);
+        entries = entries.slice(0, index);
+        entries.push({ label, before, after, time: new Date() });
+        if (entries.length > HISTORY_LIMIT) entries.shift();
+        index = entries.length;
+        saved = current;
+        emit({ sections: changedSections(before, after), label, kind: 'commit' });
+        return true;
+    }
+
+    function apply(doc, label, kind) {
+        const before = JSON.parse(saved);
+        restoreInto(state, doc);
+        saved = JSON.stringify(state);
+        emit({ sections: changedSections(before, doc), label, kind });
+    }
+
+    function undo() {
+        if (!index) return false;
+        const entry = entries[--index];
+        apply(entry.before, entry.label, 'undo');
+        console.log(`Undo: ${entry.label}`);
+        return true;
+    }
+
+    function redo() {
+        if (index >= entries.length) return false;
+        const entry = entries[index++];
+        apply(entry.after, entry.label, 'redo');
+        console.log(`Redo: ${entry.label}`);
+        return true;
+    }
+
+    // Undo or redo until exactly `count` entries are applied
+    function goTo(count) {
+        while (index > count && undo());
+        while (index < count && redo());
+    }
+
+    return {
+        reset,
+        commit,
+        undo,
+        redo,
+        goTo,
+        subscribe(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        },
+        get state() { return state; },
+        get entries() { return entries; },
+        get index() { return index; },
+        get canUndo() { return index > 0; },
+        get canRedo() { return index < entries.length; }
+    };
+}
+
+// Panel listing the history, newest last; click an entry to go back (or
+// forward) to just after it, or "Start" for the design as loaded
+export function createHistoryPanel({ panel, store }) {
+    function item(text, count) {
+        const li = document.createElement('li');
+        li.textContent = text;
+        li.className = count > store.index ? 'undone' : count === store.index ? 'current' : '';
+        li.addEventListener('click', () => store.goTo(count));
+        return li;
+    }
+
+    function render() {
+        if (!panel || panel.hidden) return;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = `History (${store.index}/${store.entries.length})`;
+        const list = document.createElement('ul');
+        list.appendChild(item('Start', 0));
+        store.entries.forEach((entry, i) => {
+            list.appendChild(item(`${entry.label} — ${entry.time.toLocaleTimeString()}`, i + 1));
+        });
+        panel.append(heading, list);
+    }
+
+    store.subscribe(render);
+
+    return {
+        render,
+        setVisible(on) {
+            panel.hidden = !on;
+            render();
+        },
+        get visible() { return !panel.hidden; }
+    };
+}
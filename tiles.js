@@ -0,0 +1,469 @@
+// Tile layouts
+// Lays tiles out on the floor or on a wall up to a chosen height (wainscot,
+// shower surround), in a straight, offset (brick), herringbone or hexagon
+// pattern. The layout is computed in the surface's own 2D frame, tiles are
+// clipped at its edges and openings, and the result is both drawn in the scene
+// and counted: full tiles, cut tiles and an order quantity with waste.
+import * as THREE from 'three';
+import { wallNames, wallLength, openingsOn, wallAnchor, roomOutline } from './room.js';
+import { TILE_PATTERNS, TILE_STARTS, tileSurfaces, normalizeTileSpec } from './layout.js';
+
+// Typical overage to order per pattern (breakage plus cut offcuts)
+export const WASTE_FACTORS = { straight: 0.10, offset: 0.10, herringbone: 0.15, hexagon: 0.15 };
+
+const SLIVER = 0.01; // pieces smaller than this fraction of a tile are ignored
+const GROUT_LIFT = 0.03; // inches off the surface, to stay clear of z-fighting
+const TILE_LIFT = 0.06;
+const ANGLED_STEP = 1; // inches: slab width that follows an angled wall
+const MAX_TILES = 20000; // layouts needing more tiles than this are counted, not laid
+const POSITIVE_FIELDS = ['tileWidth', 'tileLength'];
+
+// The floor plan as disjoint rectangles: slabs across the width between the
+// outline's corners, each cut where the outline crosses it. Angled walls are
+// followed in ANGLED_STEP slabs.
+function floorRegion(room) {
+    // Floor frame: u along +X, v along -Z
+    const points = roomOutline(room).map(({ x, z }) => [x, -z]);
+    const edges = new Set(points.map(([u]) => u));
+    points.forEach(([u0, v0], i) => {
+        const [u1, v1] = points[(i + 1) % points.length];
+        if (u0 === u1 || v0 === v1) return;
+        const steps = Math.ceil(Math.abs(u1 - u0) / ANGLED_STEP);
+        for (let k = 1; k < steps; k++) edges.add(u0 + (u1 - u0) * k / steps);
+    });
+    const slabs = [...edges].sort((a, b) => a - b);
+    const rects = [];
+    for (let i = 0; i < slabs.length - 1; i++) {
+        const [u0, u1] = [slabs[i], slabs[i + 1]];
+        const mid = (u0 + u1) / 2;
+        // Where the outline crosses the slab's middle; inside between pairs
+        const crossings = [];
+        points.forEach(([a0, b0], k) => {
+            const [a1, b1] = points[(k + 1) % points.length];
+            if ((a0 < mid) !== (a1 < mid)) crossings.push(b0 + (b1 - b0) * (mid - a0) / (a1 - a0));
+        });
+        crossings.sort((a, b) => a - b);
+        for (let k = 0; k + 1 < crossings.length; k += 2) rects.push({ u0, v0: crossings[k], u1, v1: crossings[k + 1] });
+    }
+    return rects;
+}
+
+// Region of a surface that gets tiled, as disjoint rectangles
+// { u0, v0, u1, v1 } in surface coordinates (inches). Floors: u across the
+// width, v along the length, over the room's outline. Walls: u along the wall
+// from its center, v up from the floor, with door, window and niche openings
+// (and casings) left out.
+export function surfaceRegion(room, surface, { height = room.height, bottom = 0 } = {}) {
+    if (surface === 'floor') return floorRegion(room);
+    const length = wallLength(room, surface);
+    const top = Math.min(height, room.height);
+    const holes = openingsOn(room, surface).map((o) => {
+        const trim = o.casing || 0;
+        return { u0: o.along - o.width / 2 - trim, u1: o.along + o.width / 2 + trim, v0: o.sill || 0, v1: (o.sill || 0) + o.height + trim };
+    });
+    // Vertical slabs between hole edges; each slab is split around the holes it crosses
+    const edges = [...new Set([-length / 2, length / 2, ...holes.flatMap((h) => [h.u0, h.u1])])]
+        .filter((u) => u >= -length / 2 && u <= length / 2)
+        .sort((a, b) => a - b);
+    const rects = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+        const u0 = edges[i];
+        const u1 = edges[i + 1];
+        const mid = (u0 + u1) / 2;
+        const cuts = holes.filter((h) => h.u0 < mid && h.u1 > mid).sort((a, b) => a.v0 - b.v0);
+        let v = bottom;
+        cuts.forEach((h) => {
+            if (h.v0 > v) rects.push({ u0, v0: v, u1, v1: Math.min(h.v0, top) });
+            v = Math.max(v, h.v1);
+        });
+        if (v < top) rects.push({ u0, v0: v, u1, v1: top });
+    }
+    return rects.filter((r) => r.u1 > r.u0 && r.v1 > r.v0);
+}
+
+function polygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[(i + 1) % points.length];
+        area += x0 * y1 - x1 * y0;
+    }
+    return Math.abs(area) / 2;
+}
+
+// Sutherland-Hodgman clip of a convex polygon to an axis-aligned rectangle
+function clipToRect(points, rect) {
+    const edges = [
+        [(p) => p[0] >= rect.u0, (a, b) => [rect.u0, a[1] + (b[1] - a[1]) * (rect.u0 - a[0]) / (b[0] - a[0])]],
+        [(p) => p[0] <= rect.u1, (a, b) => [rect.u1, a[1] + (b[1] - a[1]) * (rect.u1 - a[0]) / (b[0] - a[0])]],
+        [(p) => p[1] >= rect.v0, (a, b) => [a[0] + (b[0] - a[0]) * (rect.v0 - a[1]) / (b[1] - a[1]), rect.v0]],
+        [(p) => p[1] <= rect.v1, (a, b) => [a[0] + (b[0] - a[0]) * (rect.v1 - a[1]) / (b[1] - a[1]), rect.v1]]
+    ];
+    let out = points;
+    for (const [inside, cross] of edges) {
+        if (!out.length) break;
+        const input = out;
+        out = [];
+        input.forEach((p, i) => {
+            const prev = input[(i + input.length - 1) % input.length];
+            if (inside(p)) {
+                if (!inside(prev)) out.push(cross(prev, p));
+                out.push(p);
+            } else if (inside(prev)) {
+                out.push(cross(prev, p));
+            }
+        });
+    }
+    return out;
+}
+
+function rectangle(u, v, w, h) {
+    return [[u, v], [u + w, v], [u + w, v + h], [u, v + h]];
+}
+
+// Tile outlines (grout already taken off) covering `bounds`, in pattern order
+function patternTiles(spec, bounds, origin) {
+    const g = spec.grout;
+    const w = spec.tileWidth;
+    const l = spec.tileLength;
+    const tiles = [];
+    const span = (from, to, pitch, o) => [Math.floor((from - o) / pitch) - 1, Math.ceil((to - o) / pitch) + 1];
+
+    if (spec.pattern === 'hexagon') {
+        // Pointy-top hexagons, tileWidth across the flats
+        const pu = w + g;
+        const pv = pu * Math.sqrt(3) / 2;
+        const r = w / Math.sqrt(3);
+        const [j0, j1] = span(bounds.v0, bounds.v1, pv, origin.v);
+        const [i0, i1] = span(bounds.u0, bounds.u1, pu, origin.u);
+        for (let j = j0; j <= j1; j++) {
+            for (let i = i0; i <= i1; i++) {
+                const cu = origin.u + w / 2 + i * pu + (j & 1 ? pu / 2 : 0);
+                const cv = origin.v + r + j * pv;
+                const points = [];
+                for (let k = 0; k < 6; k++) {
+                    const a = Math.PI / 2 + k * Math.PI / 3;
+                    points.push([cu + r * Math.cos(a), cv + r * Math.sin(a)]);
+                }
+                tiles.push(points);
+            }
+        }
+        return tiles;
+    }
+
+    if (spec.pattern === 'herringbone') {
+        // 90° herringbone: a staircase of upright and flat tiles along the
+        // diagonal, repeated every (L, -L). Works for any length/width ratio.
+        const sw = Math.min(w, l) + g;
+        const sl = Math.max(w, l) + g;
+        const uu = bounds.u1 - bounds.u0;
+        const vv = bounds.v1 - bounds.v0;
+        const du = bounds.u0 - origin.u;
+        const dv = bounds.v0 - origin.v;
+        const k0 = Math.floor((du + dv - sl) / (2 * sw)) - 2;
+        const k1 = Math.ceil((du + dv + uu + vv) / (2 * sw)) + 2;
+        const j0 = Math.floor((du - dv - vv - sl) / (2 * sl)) - 2;
+        const j1 = Math.ceil((du - dv + uu + sl) / (2 * sl)) + 2;
+        for (let j = j0; j <= j1; j++) {
+            for (let k = k0; k <= k1; k++) {
+                const u = origin.u + k * sw + j * sl;
+                const v = origin.v + k * sw - j * sl;
+                tiles.push(rectangle(u + g / 2, v + g / 2, sw - g, sl - g));
+                tiles.push(rectangle(u + sw + g / 2, v + g / 2, sl - g, sw - g));
+            }
+        }
+        return tiles;
+    }
+
+    // Straight grid, or running bond with every other row shifted by `stagger`
+    const pu = w + g;
+    const pv = l + g;
+    const shift = spec.pattern === 'offset' ? spec.stagger * pu : 0;
+    const [j0, j1] = span(bounds.v0, bounds.v1, pv, origin.v);
+    for (let j = j0; j <= j1; j++) {
+        const rowShift = j & 1 ? shift : 0;
+        const [i0, i1] = span(bounds.u0, bounds.u1, pu, origin.u + rowShift);
+        for (let i = i0; i <= i1; i++) {
+            tiles.push(rectangle(origin.u + rowShift + i * pu + g / 2, origin.v + j * pv + g / 2, w, l));
+        }
+    }
+    return tiles;
+}
+
+// Lay tiles over a region (rectangles from surfaceRegion()). Returns the clipped
+// pieces per tile plus the counts:
+//   { tiles: [{ pieces, full }], full, cut, total, area, waste, order }
+// `area` is the tiled area in square inches; `order` is total × (1 + waste),
+// rounded up. Tiles so small that the area would take more than MAX_TILES are
+// not laid out, nor are tiles without a size: the report has no tiles,
+// `skipped` set and an order from the area alone.
+export function layoutTiles(spec, rects) {
+    if (!rects.length) return { tiles: [], full: 0, cut: 0, total: 0, area: 0, waste: 0, order: 0 };
+    const bounds = {
+        u0: Math.min(...rects.map((r) => r.u0)),
+        v0: Math.min(...rects.map((r) => r.v0)),
+        u1: Math.max(...rects.map((r) => r.u1)),
+        v1: Math.max(...rects.map((r) => r.v1))
+    };
+    const area = rects.reduce((sum, r) => sum + (r.u1 - r.u0) * (r.v1 - r.v0), 0);
+    const waste = spec.waste ?? WASTE_FACTORS[spec.pattern] ?? 0.10;
+    const cell = spec.pattern === 'hexagon'
+        ? (spec.tileWidth + spec.grout) ** 2 * Math.sqrt(3) / 2
+        : (spec.tileWidth + spec.grout) * (spec.tileLength + spec.grout);
+    const estimate = (bounds.u1 - bounds.u0) * (bounds.v1 - bounds.v0) / cell;
+    const sized = spec.tileWidth > 0 && (spec.pattern === 'hexagon' || spec.tileLength > 0);
+    if (!sized) {
+        console.warn(`${spec.label}: tile size must be more than 0; not laid out`);
+        return { tiles: [], full: 0, cut: 0, total: 0, area, waste, order: 0, skipped: true };
+    }
+    if (estimate > MAX_TILES) {
+        console.warn(`${spec.label}: would need about ${Math.round(estimate)} tiles; not laid out (limit ${MAX_TILES})`);
+        const total = Math.ceil(estimate);
+        return { tiles: [], full: 0, cut: 0, total, area, waste, order: Math.ceil(total * (1 + waste) - 1e-6), skipped: true };
+    }
+    // Lattice origin: tile corner on the region's corner, or a tile centered on
+    // its centerlines; then the spec's nudge
+    const origin = { u: bounds.u0, v: bounds.v0 };
+    if (spec.start === 'center') {
+        const cellU = spec.pattern === 'hexagon' ? spec.tileWidth : spec.tileWidth + spec.grout;
+        const cellV = spec.pattern === 'hexagon' ? 2 * spec.tileWidth / Math.sqrt(3) : spec.tileLength + spec.grout;
+        origin.u = (bounds.u0 + bounds.u1) / 2 - cellU / 2;
+        origin.v = (bounds.v0 + bounds.v1) / 2 - cellV / 2;
+    }
+    origin.u += spec.offset.u;
+    origin.v += spec.offset.v;
+
+    const tiles = [];
+    patternTiles(spec, bounds, origin).forEach((outline) => {
+        const size = polygonArea(outline);
+        const pieces = rects
+            .map((r) => clipToRect(outline, r))
+            .filter((p) => p.length >= 3 && polygonArea(p) > size * SLIVER);
+        if (!pieces.length) return;
+        const covered = pieces.reduce((sum, p) => sum + polygonArea(p), 0);
+        tiles.push({ pieces, full: covered > size * (1 - 1e-6) });
+    });
+
+    const full = tiles.filter((t) => t.full).length;
+    const total = tiles.length;
+    return {
+        tiles,
+        full,
+        cut: total - full,
+        total,
+        area,
+        waste,
+        order: Math.ceil(total * (1 + waste) - 1e-9)
+    };
+}
+
+// Flat mesh of convex polygons at depth z
+function polygonMesh(polygons, z, material) {
+    const positions = [];
+    polygons.forEach((points) => {
+        for (let i = 1; i < points.length - 1; i++) {
+            [points[0], points[i], points[i + 1]].forEach(([u, v]) => positions.push(u, v, z));
+        }
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+// Build one tile area: grout bed plus tile faces, placed on its surface.
+// Returns { group, report } where report is layoutTiles()'s counts.
+export function createTileArea(room, spec) {
+    const rects = surfaceRegion(room, spec.surface, spec);
+    const report = layoutTiles(spec, rects);
+
+    const group = spec.surface === 'floor' ? new THREE.Group() : wallAnchor(room, spec.surface);
+    group.name = `${spec.id}Tiles`;
+    const content = new THREE.Group();
+    // Floor frame: u along +X, v along -Z (a plane laid flat)
+    if (spec.surface === 'floor') content.rotation.x = -Math.PI / 2;
+    group.add(content);
+
+    const groutMaterial = new THREE.MeshStandardMaterial({ color: spec.groutColor, roughness: 0.95, metalness: 0.0 });
+    const tileMaterial = new THREE.MeshStandardMaterial({ color: spec.color, roughness: spec.roughness, metalness: 0.0 });
+    content.add(polygonMesh(rects.map((r) => rectangle(r.u0, r.v0, r.u1 - r.u0, r.v1 - r.v0)), GROUT_LIFT, groutMaterial));
+    content.add(polygonMesh(report.tiles.flatMap((t) => t.pieces), TILE_LIFT, tileMaterial));
+    return { group, report };
+}
+
+export function describeTileReport(spec, report) {
+    const sqft = report.area / 144;
+    if (report.skipped && !report.total) return `${spec.label}: tile size must be more than 0`;
+    if (report.skipped) return `${spec.label}: about ${report.total} tiles over ${sqft.toFixed(1)} sq ft, too many to lay out; order ${report.order}`;
+    return `${spec.label}: ${report.full} full + ${report.cut} cut = ${report.total} tiles over ${sqft.toFixed(1)} sq ft; `
+        + `order ${report.order} (${Math.round(report.waste * 100)}% waste)`;
+}
+
+// Create the tile controller.
+//   scene     where the tile areas are drawn
+//   room      layout room
+//   specs     layout.tiles, edited in place by the panel
+//   panel     element that holds the tile editor and counts
+//   onChange  called after the tiles are rebuilt
+export function createTiling({ scene, room, specs, panel, onChange = () => {} }) {
+    const root = new THREE.Group();
+    root.name = 'tiles';
+    scene.add(root);
+    let reports = [];
+    let current = specs[0]?.id || null;
+
+    function clear() {
+        root.traverse((o) => {
+            if (o.geometry) o.geometry.dispose();
+            if (o.material) o.material.dispose();
+        });
+        root.clear();
+    }
+
+    function rebuild() {
+        clear();
+        reports = specs.map((spec) => {
+            const { group, report } = createTileArea(room, spec);
+            root.add(group);
+            console.log(describeTileReport(spec, report));
+            return { spec, report };
+        });
+        renderPanel();
+        onChange(reports);
+    }
+
+    function field(labelText, input) {
+        const row = document.createElement('label');
+        row.className = 'panel-row';
+        row.textContent = labelText;
+        row.appendChild(input);
+        return row;
+    }
+
+    function numberInput(spec, key, step, apply = (v) => { spec[key] = v; }, value = spec[key]) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.min = POSITIVE_FIELDS.includes(key) ? step : 0;
+        input.value = value;
+        input.addEventListener('change', () => {
+            const v = Number(input.value);
+            // A tile needs a size; grout, heights and offsets may be 0
+            if (!Number.isFinite(v) || v < 0 || (v === 0 && POSITIVE_FIELDS.includes(key))) {
+                input.value = value;
+                return;
+            }
+            apply(v);
+            rebuild();
+        });
+        return input;
+    }
+
+    function choice(spec, key, options) {
+        const select = document.createElement('select');
+        options.forEach((o) => {
+            const option = document.createElement('option');
+            option.value = option.textContent = o;
+            option.selected = spec[key] === o;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            spec[key] = select.value;
+            if (key === 'pattern') delete spec.waste;
+            rebuild();
+        });
+        return select;
+    }
+
+    function colorInput(spec, key) {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = spec[key];
+        input.addEventListener('change', () => {
+            spec[key] = input.value;
+            rebuild();
+        });
+        return input;
+    }
+
+    function renderPanel() {
+        if (!panel) return;
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Tile layout';
+        panel.appendChild(heading);
+
+        // The chosen area may have gone (undo of an "Add area")
+        if (!specs.some((s) => s.id === current)) current = specs[0]?.id || null;
+        const areas = document.createElement('select');
+        specs.forEach((s) => {
+            const option = document.createElement('option');
+            option.value = s.id;
+            option.textContent = s.label;
+            option.selected = s.id === current;
+            areas.appendChild(option);
+        });
+        areas.addEventListener('change', () => { current = areas.value; renderPanel(); });
+        const add = document.createElement('button');
+        add.textContent = 'Add area';
+        add.addEventListener('click', () => {
+            let n = specs.length + 1;
+            while (specs.some((s) => s.id === `tiles${n}`)) n++;
+            const spec = normalizeTileSpec({ id: `tiles${n}`, label: `Tile area ${n}`, surface: wallNames(room)[0], height: 48 }, n - 1);
+            specs.push(spec);
+            current = spec.id;
+            rebuild();
+        });
+        const remove = document.createElement('button');
+        remove.textContent = 'Remove';
+        remove.disabled = !current;
+        remove.addEventListener('click', () => {
+            const i = specs.findIndex((s) => s.id === current);
+            if (i < 0) return;
+            specs.splice(i, 1);
+            current = specs[0]?.id || null;
+            rebuild();
+        });
+        panel.appendChild(field('Area', areas));
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-row';
+        buttons.append(add, remove);
+        panel.appendChild(buttons);
+
+        const spec = specs.find((s) => s.id === current);
+        if (spec) {
+            panel.appendChild(field('Surface', choice(spec, 'surface', tileSurfaces(room))));
+            if (spec.surface !== 'floor') panel.appendChild(field('Height (in)', numberInput(spec, 'height', 1)));
+            panel.appendChild(field('Pattern', choice(spec, 'pattern', TILE_PATTERNS)));
+            panel.appendChild(field(spec.pattern === 'hexagon' ? 'Across flats (in)' : 'Tile width (in)', numberInput(spec, 'tileWidth', 0.25)));
+            if (spec.pattern !== 'hexagon') panel.appendChild(field('Tile length (in)', numberInput(spec, 'tileLength', 0.25)));
+            panel.appendChild(field('Grout (in)', numberInput(spec, 'grout', 0.0625)));
+            panel.appendChild(field('Tile color', colorInput(spec, 'color')));
+            panel.appendChild(field('Grout color', colorInput(spec, 'groutColor')));
+            panel.appendChild(field('Start', choice(spec, 'start', TILE_STARTS)));
+            panel.appendChild(field('Offset u (in)', numberInput(spec, 'offset', 0.25, (v) => { spec.offset.u = v; }, spec.offset.u)));
+            panel.appendChild(field('Offset v (in)', numberInput(spec, 'offset', 0.25, (v) => { spec.offset.v = v; }, spec.offset.v)));
+            panel.appendChild(field('Waste (%)', numberInput(spec, 'waste', 1, (v) => { spec.waste = v / 100; },
+                Math.round((spec.waste ?? WASTE_FACTORS[spec.pattern]) * 100))));
+        }
+
+        const list = document.createElement('ul');
+        reports.forEach(({ spec: s, report }) => {
+            const li = document.createElement('li');
+            li.textContent = describeTileReport(s, report);
+            list.appendChild(li);
+        });
+        panel.appendChild(list);
+    }
+
+    rebuild();
+
+    return {
+        rebuild,
+        get reports() { return reports; },
+        setVisible(on) { if (panel) panel.hidden = !on; },
+        get visible() { return panel ? !panel.hidden : false; }
+    };
+}
@@ -0,0 +1,237 @@
+// Design variants
+// A design is the full layout document as currently edited: fixture placements
+// and scale settings, the asset each fixture actually loaded, finishes, tiles
+// and lighting. Designs can be saved as named variants in localStorage,
+// downloaded or imported as JSON files, and shared as a compressed URL hash
+// (#design=...).
+import { normalizeLayout } from './layout.js';
+import { downloadText } from './bom.js';
+
+export const STORAGE_KEY = 'bathroom-design-variants';
+const HASH_KEY = 'design';
+
+// Copy of the layout for saving. Fixtures list the asset they loaded first so
+// the variant reopens with the same models.
+export function snapshotDesign(layout, fixtures) {
+    const doc = JSON.parse(JSON.stringify(layout));
+    doc.fixtures.forEach((spec) => {
+        const source = fixtures.get(spec.id)?.group.userData.fixture.source;
+        if (source && spec.candidates.includes(source)) {
+            spec.candidates = [source, ...spec.candidates.filter((c) => c !== source)];
+        }
+    });
+    return doc;
+}
+
+function readStore() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn(`Saved variants unreadable: ${e.message}`);
+        return {};
+    }
+}
+
+function writeStore(store) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+// Saved variants, newest first: [{ name, saved, layout }]
+export function listVariants() {
+    return Object.values(readStore()).sort((a, b) => (b.saved || '').localeCompare(a.saved || ''));
+}
+
+export function saveVariant(name, layout) {
+    const store = readStore();
+    store[name] = { name, saved: new Date().toISOString(), layout };
+    writeStore(store);
+}
+
+export function deleteVariant(name) {
+    const store = readStore();
+    delete store[name];
+    writeStore(store);
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Layout as URL-safe text: "z." + deflated JSON where the browser can
+// compress, "j." + plain JSON otherwise
+export async function encodeDesign(layout) {
+    const bytes = new TextEncoder().encode(JSON.stringify(layout));
+    if (typeof CompressionStream === 'function') {
+        return `z.${toBase64Url(await pipe(bytes, new CompressionStream('deflate-raw')))}`;
+    }
+    return `j.${toBase64Url(bytes)}`;
+}
+
+export async function decodeDesign(text) {
+    const [kind, data] = [text.slice(0, 2), text.slice(2)];
+    let bytes = fromBase64Url(data);
+    if (kind === 'z.') bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+    else if (kind !== 'j.') throw new Error('unrecognized design encoding');
+    return normalizeLayout(JSON.parse(new TextDecoder().decode(bytes)), 'shared design');
+}
+
+// Design carried in the URL hash, or null
+export async function designFromHash(hash = window.location.hash) {
+    const text = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+    return text ? decodeDesign(text) : null;
+}
+
+// Put a design in the URL hash without reloading; resolves the full URL
+export async function shareDesign(layout) {
+    const url = new URL(window.location.href);
+    url.hash = `${HASH_KEY}=${await encodeDesign(layout)}`;
+    history.replaceState(null, '', url);
+    return url.href;
+}
+
+function slug(text) {
+    return (text || 'design').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Panel for saving, loading, comparing, downloading and sharing variants.
+//   panel              element to render into
+//   getDesign()        snapshot of the current design
+//   onLoad(layout)     replace the current design with a normalized layout
+//   onCompare(layout, name)  show a variant side by side with the current design
+export function createVariantPanel({ panel, getDesign, onLoad, onCompare }) {
+    let message = '';
+
+    function button(text, onClick) {
+        const b = document.createElement('button');
+        b.textContent = text;
+        b.addEventListener('click', onClick);
+        return b;
+    }
+
+    function notify(text) {
+        message = text;
+        render();
+    }
+
+    function load(variant) {
+        try {
+            onLoad(normalizeLayout(variant.layout, variant.name));
+            notify(`Loaded "${variant.name}"`);
+        } catch (e) {
+            notify(e.message);
+        }
+    }
+
+    function importFile(file) {
+        file.text().then((text) => {
+            const doc = JSON.parse(text);
+            // Either a downloaded variant ({ name, layout }) or a bare layout
+            const variant = doc.layout ? doc : { name: file.name, layout: doc };
+            load(variant);
+        }).catch((e) => notify(`${file.name}: ${e.message}`));
+    }
+
+    function render() {
+        panel.replaceChildren();
+        const heading = document.createElement('h4');
+        heading.textContent = 'Design variants';
+
+        const saveRow = document.createElement('div');
+        saveRow.className = 'panel-row';
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.placeholder = 'Variant name';
+        const save = button('Save', () => {
+            const value = name.value.trim();
+            if (!value) return;
+            try {
+                saveVariant(value, getDesign());
+                notify(`Saved "${value}"`);
+            } catch (e) {
+                notify(`Could not save: ${e.message}`);
+            }
+        });
+        saveRow.append(name, save);
+
+        const fileRow = document.createElement('div');
+        fileRow.className = 'panel-row';
+        const picker = document.createElement('input');
+        picker.type = 'file';
+        picker.accept = '.json,application/json';
+        picker.hidden = true;
+        picker.addEventListener('change', () => { if (picker.files[0]) importFile(picker.files[0]); });
+        fileRow.append(
+            button('Download', () => {
+                const layout = getDesign();
+                downloadText(`${slug(layout.name)}.json`, JSON.stringify({ name: layout.name, layout }, null, 2) + '\n', 'application/json');
+            }),
+            button('Import…', () => picker.click()),
+            button('Share link', () => {
+                shareDesign(getDesign())
+                    .then((url) => (navigator.clipboard
+                        ? navigator.clipboard.writeText(url).then(() => 'Share link copied (also in the address bar)')
+                        : 'Share link is in the address bar'))
+                    .then(notify)
+                    .catch((e) => notify(`Could not share: ${e.message}`));
+            }),
+            picker
+        );
+
+        const list = document.createElement('ul');
+        listVariants().forEach((variant) => {
+            const li = document.createElement('li');
+            const title = document.createElement('div');
+            title.textContent = `${variant.name} — ${new Date(variant.saved).toLocaleString()}`;
+            li.append(
+                title,
+                button('Load', () => load(variant)),
+                button('Compare', () => {
+                    try {
+                        onCompare(normalizeLayout(variant.layout, variant.name), variant.name);
+                    } catch (e) {
+                        notify(e.message);
+                    }
+                }),
+                button('Download', () => downloadText(`${slug(variant.name)}.json`, JSON.stringify(variant, null, 2) + '\n', 'application/json')),
+                button('Delete', () => {
+                    deleteVariant(variant.name);
+                    notify(`Deleted "${variant.name}"`);
+                })
+            );
+            list.appendChild(li);
+        });
+        if (!list.children.length) {
+            const li = document.createElement('li');
+            li.textContent = 'No saved variants yet.';
+            list.appendChild(li);
+        }
+
+        panel.append(heading, saveRow, fileRow, list);
+        if (message) {
+            const note = document.createElement('p');
+            note.textContent = message;
+            panel.appendChild(note);
+        }
+    }
+
+    return {
+        render,
+        setVisible(on) {
+            panel.hidden = !on;
+            if (on) render();
+        },
+        get visible() { return !panel.hidden; }
+    };
+}
@@ -0,0 +1,265 @@
+// First-person walkthrough
+// Walk the room at eye height: WASD/arrow keys with pointer-lock mouse look on
+// desktop, two virtual joysticks (move and look) on touch screens. The walker is
+// a circle on the floor plan that collides with the walls, the door leaves and
+// every placed fixture low enough to bump into; door openings can be walked
+// through.
+import * as THREE from 'three';
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { roomWalls, openingsOn, wallPosition, roomBounds, outsideCorners } from './room.js';
+import { EYE_HEIGHT } from './camera.js';
+
+const WALK_SPEED = 36; // inches per second
+const RUN_FACTOR = 2;
+const LOOK_SPEED = Math.PI / 2; // radians per second at full joystick deflection
+const BODY_RADIUS = 6; // inches, half the walker's shoulder depth
+const WALL_THICKNESS = 4;
+const HEAD_CLEARANCE = 4; // fixtures this far above eye height are walked under
+const MAX_STEP = 2; // openings with a higher sill are not walkable
+const OUTSIDE_MARGIN = 48; // how far past the walls the walker may wander
+const ANGLED_PIECE = 2; // inches of an angled wall per collision box
+const PITCH_LIMIT = Math.PI / 2 - 0.05;
+
+const KEYS = {
+    KeyW: 'forward', ArrowUp: 'forward',
+    KeyS: 'backward', ArrowDown: 'backward',
+    KeyA: 'left', ArrowLeft: 'left',
+    KeyD: 'right', ArrowRight: 'right'
+};
+
+// Floor-plan boxes for the walls, broken where a floor-level opening is. An
+// angled wall is a chain of short boxes.
+function wallObstacles(room) {
+    const boxes = [];
+    roomWalls(room).forEach(({ name: wall, length, direction }) => {
+        const gaps = openingsOn(room, wall)
+            .filter((o) => o.type !== 'niche' && (o.sill || 0) <= MAX_STEP)
+            .map((o) => [o.along - o.width / 2, o.along + o.width / 2])
+            .sort((a, b) => a[0] - b[0]);
+        let start = -length / 2;
+        const runs = [];
+        gaps.forEach(([g0, g1]) => {
+            if (g0 > start) runs.push([start, g0]);
+            start = Math.max(start, g1);
+        });
+        if (start < length / 2) runs.push([start, length / 2]);
+        const outside = outsideCorners(room, wall);
+        const pieces = Math.abs(direction.x) < 1e-6 || Math.abs(direction.z) < 1e-6 ? 0 : ANGLED_PIECE;
+        runs.forEach(([a0, a1]) => {
+            // Runs that reach an inside corner are extended by the wall
+            // thickness so the corner closes
+            const from = a0 <= -length / 2 && !outside.start ? a0 - WALL_THICKNESS : a0;
+            const to = a1 >= length / 2 && !outside.end ? a1 + WALL_THICKNESS : a1;
+            const count = pieces ? Math.ceil((to - from) / pieces) : 1;
+            for (let k = 0; k < count; k++) {
+                const box = new THREE.Box3()
+                    .expandByPoint(wallPosition(room, wall, from + (to - from) * k / count, 0, -WALL_THICKNESS))
+                    .expandByPoint(wallPosition(room, wall, from + (to - from) * (k + 1) / count, 0, 0));
+                boxes.push(box);
+            }
+        });
+    });
+    return boxes;
+}
+
+// A virtual joystick: a ring with a knob that reports x/y in -1..1 while held
+function createJoystick(container, side) {
+    const base = document.createElement('div');
+    base.className = `joystick joystick-${side}`;
+    const knob = document.createElement('div');
+    knob.className = 'joystick-knob';
+    base.appendChild(knob);
+    container.appendChild(base);
+
+    const value = { x: 0, y: 0 };
+    let pointerId = null;
+
+    function move(event) {
+        const rect = base.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let dx = event.clientX - (rect.left + radius);
+        let dy = event.clientY - (rect.top + radius);
+        const length = Math.hypot(dx, dy);
+        if (length > radius) {
+            dx *= radius / length;
+            dy *= radius / length;
+        }
+        value.x = dx / radius;
+        value.y = dy / radius;
+        knob.style.transform = `translate(${dx}px, ${dy}px)`;
+    }
+
+    function release(event) {
+        if (event.pointerId !== pointerId) return;
+        pointerId = null;
+        value.x = value.y = 0;
+        knob.style.transform = '';
+    }
+
+    base.addEventListener('pointerdown', (event) => {
+        pointerId = event.pointerId;
+        base.setPointerCapture(pointerId);
+        move(event);
+        event.preventDefault();
+    });
+    base.addEventListener('pointermove', (event) => {
+        if (event.pointerId === pointerId) move(event);
+    });
+    base.addEventListener('pointerup', release);
+    base.addEventListener('pointercancel', release);
+
+    return {
+        value,
+        set visible(on) { base.hidden = !on; },
+        remove() { base.remove(); }
+    };
+}
+
+// Create the walkthrough controller. Call update(dt) every frame while active.
+//   camera, domElement  the camera to drive and the canvas to lock the pointer on
+//   room                layout room, for walls and openings
+//   fixtures            Map of fixture id -> { spec, group }
+//   doors               door controllers; their leaves block the walker
+//   eyeHeight           camera height above the floor, inches
+//   onLockChange(on)    called when pointer lock is gained or lost
+export function createWalkthrough({ camera, domElement, room, fixtures, doors = [], eyeHeight = EYE_HEIGHT, onLockChange = () => {} }) {
+    const look = new PointerLockControls(camera, domElement);
+    look.addEventListener('lock', () => onLockChange(true));
+    look.addEventListener('unlock', () => onLockChange(false));
+
+    const touch = !!window.matchMedia?.('(pointer: coarse)').matches;
+    const moveStick = createJoystick(document.body, 'left');
+    const lookStick = createJoystick(document.body, 'right');
+    moveStick.visible = lookStick.visible = false;
+
+    const walls = wallObstacles(room);
+    const bounds = roomBounds(room).expandByVector(new THREE.Vector3(OUTSIDE_MARGIN, 0, OUTSIDE_MARGIN));
+    const held = { forward: false, backward: false, left: false, right: false, run: false };
+    const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    let active = false;
+
+    function onKey(event) {
+        if (!active || event.target.closest?.('input, textarea, select')) return;
+        const down = event.type === 'keydown';
+        if (event.code === 'ShiftLeft' || event.code === 'ShiftRight') held.run = down;
+        const key = KEYS[event.code];
+        if (!key) return;
+        held[key] = down;
+        event.preventDefault();
+    }
+    window.addEventListener('keydown', onKey);
+    window.addEventListener('keyup', onKey);
+
+    // Remove the key listeners, joysticks and pointer lock (before rebuilding)
+    function dispose() {
+        exit();
+        window.removeEventListener('keydown', onKey);
+        window.removeEventListener('keyup', onKey);
+        look.dispose();
+        moveStick.remove();
+        lookStick.remove();
+    }
+
+    // Everything the walker can bump into right now, as floor-plan boxes
+    function obstacles() {
+        const boxes = walls.slice();
+        const headroom = eyeHeight + HEAD_CLEARANCE;
+        fixtures.forEach(({ group }) => {
+            const box = new THREE.Box3().setFromObject(group);
+            if (box.min.y < headroom) boxes.push(box);
+        });
+        doors.forEach((door) => boxes.push(new THREE.Box3().setFromObject(door.pivot)));
+        return boxes;
+    }
+
+    // How far (x, z) is outside a box on the floor plan, negative inside it;
+    // the walker overlaps boxes closer than BODY_RADIUS
+    function clearance(x, z, b) {
+        return Math.max(b.min.x - x, x - b.max.x, b.min.z - z, z - b.max.z);
+    }
+
+    // A step is blocked when it takes the walker into a box or deeper into
+    // one it already overlaps. Steps that slide along or back out of a box
+    // are allowed, so a door swinging into the walker does not trap them, but
+    // nothing already overlapped can be walked through.
+    function blocked(from, x, z, boxes) {
+        return boxes.some((b) => {
+            const after = clearance(x, z, b);
+            return after < BODY_RADIUS && after < clearance(from.x, from.z, b);
+        });
+    }
+
+    // Move by a floor-plan offset, one axis at a time so walls can be slid along
+    function walk(dx, dz) {
+        const boxes = obstacles();
+        const p = camera.position;
+        const x = THREE.MathUtils.clamp(p.x + dx, bounds.min.x, bounds.max.x);
+        if (!blocked(p, x, p.z, boxes)) p.x = x;
+        const z = THREE.MathUtils.clamp(p.z + dz, bounds.min.z, bounds.max.z);
+        if (!blocked(p, p.x, z, boxes)) p.z = z;
+    }
+
+    function update(dt) {
+        if (!active) return;
+        if (touch && (lookStick.value.x || lookStick.value.y)) {
+            euler.setFromQuaternion(camera.quaternion);
+            euler.y -= lookStick.value.x * LOOK_SPEED * dt;
+            euler.x = THREE.MathUtils.clamp(euler.x - lookStick.value.y * LOOK_SPEED * dt, -PITCH_LIMIT, PITCH_LIMIT);
+            camera.quaternion.setFromEuler(euler);
+        }
+
+        let forward = (held.forward ? 1 : 0) - (held.backward ? 1 : 0) - moveStick.value.y;
+        let strafe = (held.right ? 1 : 0) - (held.left ? 1 : 0) + moveStick.value.x;
+        const amount = Math.hypot(forward, strafe);
+        if (amount > 1) {
+            forward /= amount;
+            strafe /= amount;
+        }
+        if (amount > 0) {
+            // Heading on the floor plan, ignoring pitch
+            const heading = camera.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+            const side = new THREE.Vector3(-heading.z, 0, heading.x);
+            const step = WALK_SPEED * (held.run ? RUN_FACTOR : 1) * dt;
+            walk((heading.x * forward + side.x * strafe) * step, (heading.z * forward + side.z * strafe) * step);
+        }
+        camera.position.y = eyeHeight;
+    }
+
+    // Start walking from a position, facing a point
+    function enter(position, target) {
+        active = true;
+        camera.position.set(position.x, eyeHeight, position.z);
+        camera.lookAt(target.x, eyeHeight, target.z);
+        moveStick.visible = lookStick.visible = touch;
+        console.log(`Walkthrough on (eye height ${eyeHeight}")`);
+    }
+
+    function exit() {
+        if (!active) return;
+        active = false;
+        look.unlock();
+        Object.keys(held).forEach((k) => { held[k] = false; });
+        moveStick.visible = lookStick.visible = false;
+        console.log('Walkthrough off');
+    }
+
+    function setEyeHeight(height) {
+        if (!(height > 0)) return;
+        eyeHeight = Math.min(height, room.height - 1);
+        if (active) camera.position.y = eyeHeight;
+    }
+
+    return {
+        enter,
+        exit,
+        update,
+        setEyeHeight,
+        dispose,
+        // Capture the mouse for looking around (desktop only; needs a user gesture)
+        lock() { if (active && !touch) look.lock(); },
+        get active() { return active; },
+        get locked() { return look.isLocked; },
+        get touch() { return touch; },
+        get eyeHeight() { return eyeHeight; }
+    };
+}
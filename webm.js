@@ -0,0 +1,120 @@
+// WebM writer
+// Just enough Matroska to hold one VP9 video track: the chunks a WebCodecs
+// VideoEncoder produces go in as they are, with their own timestamps, so the
+// file depends only on the encoded frames and never on the wall clock.
+
+const TIMECODE_SCALE = 1000000; // ns per timecode unit: timecodes in ms
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let at = 0;
+    parts.forEach((p) => {
+        out.set(p, at);
+        at += p.length;
+    });
+    return out;
+}
+
+// Big-endian bytes of a non-negative integer, at least `length` of them
+function bytesOf(value, length = 1) {
+    const bytes = [];
+    while (value > 0 || bytes.length < length) {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    }
+    return bytes;
+}
+
+// EBML variable-length size: a length marker bit, then the value
+function sizeField(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+    const bytes = bytesOf(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return Uint8Array.from(bytes);
+}
+
+// IDs are written with their marker bits already in place
+function element(id, ...children) {
+    const body = concat(children);
+    return concat([Uint8Array.from(bytesOf(id)), sizeField(body.length), body]);
+}
+
+function uint(id, value) {
+    return element(id, Uint8Array.from(bytesOf(value)));
+}
+
+function float(id, value) {
+    const body = new Uint8Array(8);
+    new DataView(body.buffer).setFloat64(0, value);
+    return element(id, body);
+}
+
+function string(id, value) {
+    return element(id, new TextEncoder().encode(value));
+}
+
+// SimpleBlock on track 1, `time` ms after its cluster's timecode
+function simpleBlock(time, key, data) {
+    const header = new Uint8Array(4);
+    header[0] = 0x81; // track number 1 as a one-byte vint
+    new DataView(header.buffer).setInt16(1, time);
+    header[3] = key ? 0x80 : 0;
+    return element(0xA3, header, data);
+}
+
+// Clusters start at each key frame (and before block offsets outgrow 16 bits)
+function clusters(frames) {
+    const out = [];
+    let start = null;
+    let blocks = [];
+    const close = () => {
+        if (blocks.length) out.push(element(0x1F43B675, uint(0xE7, start), ...blocks));
+        blocks = [];
+    };
+    frames.forEach(({ data, timestamp, key }) => {
+        const time = Math.round(timestamp / 1000);
+        if (start === null || key || time - start > 32767) {
+            close();
+            start = time;
+        }
+        blocks.push(simpleBlock(time - start, key, data));
+    });
+    close();
+    return out;
+}
+
+// WebM file from encoded frames.
+//   frames    [{ data (Uint8Array), timestamp (µs), key }] in decode order
+//   duration  µs
+//   codec     Matroska codec id ('V_VP9', 'V_VP8')
+// Returns a Blob.
+export function webmFile({ width, height, frames, duration, codec = 'V_VP9' }) {
+    const header = element(0x1A45DFA3,
+        uint(0x4286, 1), // EBMLVersion
+        uint(0x42F7, 1), // EBMLReadVersion
+        uint(0x42F2, 4), // EBMLMaxIDLength
+        uint(0x42F3, 8), // EBMLMaxSizeLength
+        string(0x4282, 'webm'), // DocType
+        uint(0x4287, 4), // DocTypeVersion
+        uint(0x4285, 2) // DocTypeReadVersion
+    );
+    const info = element(0x1549A966,
+        uint(0x2AD7B1, TIMECODE_SCALE),
+        string(0x4D80, 'bathroom-3d'), // MuxingApp
+        string(0x5741, 'bathroom-3d'), // WritingApp
+        float(0x4489, duration / 1000) // Duration in timecode units
+    );
+    const tracks = element(0x1654AE6B,
+        element(0xAE, // TrackEntry
+            uint(0xD7, 1), // TrackNumber
+            uint(0x73C5, 1), // TrackUID
+            uint(0x83, 1), // TrackType: video
+            uint(0x9C, 0), // FlagLacing
+            string(0x86, codec),
+            element(0xE0, uint(0xB0, width), uint(0xBA, height))
+        )
+    );
+    const segment = element(0x18538067, info, tracks, ...clusters(frames));
+    return new Blob([header, segment], { type: 'video/webm' });
+}